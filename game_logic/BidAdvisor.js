@@ -0,0 +1,125 @@
+// game_logic/BidAdvisor.js
+
+import { Deck } from './Deck.js';
+import { chooseBid, estimateTricks, isNilHand, groupBySuit } from './BotStrategy.js';
+
+/**
+ * Bid advice for human players: a suggested bid with the reasons behind it, drawn from
+ * the same hand evaluation the computer players use. Works from the player's own view
+ * (GameManager.getPlayerView), so it only knows what the player knows.
+ */
+
+const SUIT_NAMES = { S: 'Spades', H: 'Hearts', D: 'Diamonds', C: 'Clubs' };
+
+// Bags this close to the limit make an underbid expensive
+const BAG_WARNING_MARGIN = 3;
+
+/**
+ * Returns the cards that win for certain: Spades running down from the top of the deck,
+ * and side-suit Aces (with the King too when both are held).
+ * @param {object} view
+ * @returns {Card[]}
+ */
+function getSureWinners(view) {
+    const suits = groupBySuit(view.hand);
+    const topSpades = new Deck(view.rules.deck).cards
+        .filter(card => card.suitCode === 'S')
+        .sort((a, b) => b.value - a.value);
+
+    const winners = [];
+    for (const [index, card] of suits.S.entries()) {
+        if (card.value !== topSpades[index].value) break;
+        winners.push(card);
+    }
+    for (const suit of ['H', 'D', 'C']) {
+        const [first, second] = suits[suit];
+        if (first?.value !== 14) continue;
+        winners.push(first);
+        if (second?.value === 13) winners.push(second);
+    }
+    return winners;
+}
+
+/**
+ * Suggests a bid and explains it: sure tricks, Spade length, voids and singletons,
+ * whether Nil is viable, and how the bids made so far at the table change things.
+ * @param {object} view - The view of a player who has seen their hand and not yet bid.
+ * @returns {{bid: number, estimate: number, reasons: string[]}}
+ */
+function adviseBid(view) {
+    const { legalBids, players, tricksPerRound } = view;
+    const suits = groupBySuit(view.hand);
+    const estimate = estimateTricks(view);
+    const reasons = [];
+
+    // --- The hand ---
+    const sureWinners = getSureWinners(view);
+    reasons.push(sureWinners.length > 0
+        ? `**${sureWinners.length}** sure trick(s): ${sureWinners.map(card => card.code).join(' ')}.`
+        : 'No sure tricks: no top Spades or side Aces.');
+
+    const spadeCount = suits.S.length;
+    if (spadeCount >= 4) {
+        reasons.push(`**${spadeCount} Spades**: the long ones should win once the others run out.`);
+    } else {
+        reasons.push(`**${spadeCount} Spade(s)**: short in trumps, so count on your high cards only.`);
+    }
+
+    const voids = ['H', 'D', 'C'].filter(suit => suits[suit].length === 0).map(suit => SUIT_NAMES[suit]);
+    const singletons = ['H', 'D', 'C'].filter(suit => suits[suit].length === 1).map(suit => SUIT_NAMES[suit]);
+    if ((voids.length > 0 || singletons.length > 0) && spadeCount > sureWinners.filter(card => card.suitCode === 'S').length) {
+        const shortSuits = [...voids.map(name => `void in ${name}`), ...singletons.map(name => `singleton ${name}`)];
+        reasons.push(`${shortSuits.join(', ')}: spare Spades can trump there.`);
+    }
+
+    // --- The table ---
+    const partner = players.find(p => p.id === view.partnerId);
+    const opponents = players.filter(p => p.team !== view.team);
+    let bid = chooseBid(view);
+
+    const opponentBids = opponents.filter(p => p.bid !== null);
+    if (opponentBids.some(p => p.isNil)) {
+        reasons.push('An opponent bid **Nil**: you will want to spend low cards making them take a trick.');
+    } else if (opponentBids.length > 0) {
+        reasons.push(`Opponents have bid **${opponentBids.reduce((sum, p) => sum + p.bid, 0)}** so far.`);
+    }
+
+    // Everyone still to bid is assumed to bid an even share of the tricks
+    const bidSoFar = players.reduce((sum, p) => sum + (p.bid ?? 0), 0);
+    const stillToBid = players.filter(p => p.bid === null && p.id !== view.playerId).length;
+    const expectedTotal = bidSoFar + bid + stillToBid * (tricksPerRound / players.length);
+    if (bid > 1 && legalBids.includes(bid - 1) && expectedTotal > tricksPerRound + 1) {
+        bid -= 1;
+        reasons.push(`The table has already bid **${bidSoFar}** of ${tricksPerRound} tricks; tricks will be scarce, so bid one less.`);
+    }
+
+    if (partner?.isNil) {
+        reasons.push('Your partner bid **Nil**: bid a trick higher, since you will be covering for them.');
+    } else if (partner?.bid != null && bid > 0) {
+        reasons.push(`Your partner bid **${partner.bid}**, so your team would bid **${partner.bid + bid}**.`);
+    }
+
+    const teamBags = view.teamBags[view.team] ?? 0;
+    if (teamBags >= view.rules.bagLimit - BAG_WARNING_MARGIN) {
+        reasons.push(`Your side has **${teamBags}** bags (penalty at ${view.rules.bagLimit}): don't underbid.`);
+    }
+
+    // --- Nil ---
+    if (legalBids.includes(0)) {
+        if (bid === 0) {
+            reasons.push('**Nil** looks viable: no high Spades and nothing that is sure to win.');
+        } else if (isNilHand(view) && partner?.isNil) {
+            reasons.push('Your hand could go Nil, but your partner already has: one of you needs to take tricks.');
+        } else {
+            reasons.push('**Nil** is too risky with this hand.');
+        }
+    }
+
+    if (legalBids.length === 1) {
+        reasons.push(`The bidding rules leave you only one bid: **${legalBids[0] === 0 ? 'Nil' : legalBids[0]}**.`);
+    }
+
+    return { bid, estimate, reasons };
+}
+
+export { adviseBid };
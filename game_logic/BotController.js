@@ -0,0 +1,112 @@
+// game_logic/BotController.js
+
+import { chooseBid, getFallbackBid, chooseCard, chooseEasyBid, chooseEasyCard, chooseDraftKeep, chooseExchangeCards } from './BotStrategy.js';
+import { chooseBidBySearch, chooseCardBySearch } from './BotSearch.js';
+
+// Pause before a computer player acts, so humans can follow the table
+const BOT_DELAY_MS = 1500;
+
+// How long a Hard computer player simulates each decision (part of the pause above)
+const HARD_THINK_MS = 1000;
+
+// How each difficulty decides its bids and plays; decisions may be async
+const DECIDERS = {
+    easy: { bid: view => chooseEasyBid(view), card: view => chooseEasyCard(view) },
+    normal: { bid: chooseBid, card: chooseCard },
+    hard: {
+        bid: view => chooseBidBySearch(view, HARD_THINK_MS),
+        card: view => chooseCardBySearch(view, HARD_THINK_MS)
+    }
+};
+
+// Game -> pending timer, so a game never has two bot turns queued at once
+const pendingTurns = new WeakMap();
+
+/**
+ * Lets the computer players of a game take their turns. Bots act through the same
+ * tryPlaceBid / tryPlayCard paths as humans, deciding from their own player view
+ * at their seat's difficulty.
+ * @param {GameManager} game
+ */
+function attachBots(game) {
+    for (const eventName of ['draftTurn', 'bidRequested', 'exchangeStarted', 'exchangeCardsChosen', 'playRequested', 'playerReplaced']) {
+        game.on(eventName, () => scheduleBotTurn(game));
+    }
+}
+
+/**
+ * Queues the next bot action for a game, if a bot is due to act.
+ * @param {GameManager} game
+ */
+function scheduleBotTurn(game) {
+    if (pendingTurns.has(game)) return;
+
+    const thinkingMs = game.getCurrentPlayer()?.botDifficulty === 'hard' ? HARD_THINK_MS : 0;
+    pendingTurns.set(game, setTimeout(() => {
+        pendingTurns.delete(game);
+        playBotTurn(game).catch(err => console.error('❌ Computer player failed to act:', err));
+    }, BOT_DELAY_MS - thinkingMs));
+}
+
+/**
+ * Makes whichever bot is due to act in the game's current phase take its action.
+ * @param {GameManager} game
+ * @returns {Promise}
+ */
+async function playBotTurn(game) {
+    const current = game.getCurrentPlayer();
+    const decide = DECIDERS[current?.botDifficulty] ?? DECIDERS.normal;
+    // A decision may take a while; only act if the table is still waiting on this bot
+    // (its seat may have been reclaimed by a person meanwhile)
+    const stillToAct = (state) => game.state === state && game.getCurrentPlayer() === current && current.isBot;
+
+    switch (game.state) {
+        case 'DRAFT':
+            if (current.isBot) {
+                game.tryDraftDecision(current.discordId, chooseDraftKeep(game.getPlayerView(current.discordId)));
+            }
+            break;
+        case 'BIDDING':
+            if (current.isBot) {
+                // Bots always look at their cards rather than bid Blind Nil
+                game.revealHand(current.discordId);
+                const view = game.getPlayerView(current.discordId);
+                const bid = await decide.bid(view);
+                if (!stillToAct('BIDDING')) break;
+
+                const result = game.tryPlaceBid(current.discordId, bid);
+                if (result.error) {
+                    console.error(`❌ ${current.username} chose an illegal bid (${bid}): ${result.error}`);
+                    game.tryPlaceBid(current.discordId, getFallbackBid(view.legalBids));
+                }
+            }
+            break;
+        case 'EXCHANGE': {
+            const bot = game.getExchangeParticipants()
+                .map(id => game.getPlayerById(id))
+                .find(p => p.isBot && game.exchangeSelections[p.discordId] === null);
+            if (bot) {
+                const cards = chooseExchangeCards(game.getPlayerView(bot.discordId), game.rules.blindNilExchange);
+                game.trySubmitExchange(bot.discordId, cards.map(card => card.shortDisplay));
+                // Another bot may still have to choose
+                scheduleBotTurn(game);
+            }
+            break;
+        }
+        case 'PLAYING':
+            if (current.isBot) {
+                const view = game.getPlayerView(current.discordId);
+                const card = await decide.card(view);
+                if (!stillToAct('PLAYING')) break;
+
+                const result = game.tryPlayCard(current.discordId, card.shortDisplay);
+                if (result.error) {
+                    console.error(`❌ ${current.username} chose an illegal card (${card.shortDisplay}): ${result.error}`);
+                    game.tryPlayCard(current.discordId, view.legalCards[0].shortDisplay);
+                }
+            }
+            break;
+    }
+}
+
+export { attachBots, scheduleBotTurn };
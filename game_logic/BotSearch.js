@@ -0,0 +1,323 @@
+// game_logic/BotSearch.js
+
+import { chooseCard, estimateTricks, beats, getUnseenCards } from './BotStrategy.js';
+
+/**
+ * Monte Carlo search for Hard computer players. The hidden hands are dealt at random
+ * over and over, consistent with everything the bot has seen: the cards played so far
+ * and the suits each player has shown out of. Each deal is played to the end of the
+ * round with every seat using the Normal strategy, and the bot picks the card or bid
+ * that scored best on average. Like the other strategies it works from a player view
+ * (GameManager.getPlayerView) and never sees another player's hand.
+ */
+
+// Simulations run in slices this long, yielding in between so Discord events keep flowing
+const SLICE_MS = 25;
+
+// Deals tried while respecting shown voids before falling back to ignoring them
+const MAX_DEAL_ATTEMPTS = 20;
+
+// --- Dealing the Hidden Hands ---
+
+/**
+ * Shuffles an array in place (Fisher-Yates).
+ * @param {Array} items
+ * @param {function(): number} random
+ * @returns {Array} The same array.
+ */
+function shuffle(items, random) {
+    for (let i = items.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [items[i], items[j]] = [items[j], items[i]];
+    }
+    return items;
+}
+
+/**
+ * Finds the suits each player has shown out of, by not following a suit that was led.
+ * @param {object} view
+ * @returns {Object<string, Set<string>>} Player ID -> void suit codes.
+ */
+function getShownVoids(view) {
+    const voids = Object.fromEntries(view.players.map(p => [p.id, new Set()]));
+    const tricks = [...view.completedTricks.map(trick => trick.plays), view.trick];
+
+    for (const plays of tricks) {
+        if (plays.length === 0) continue;
+        const leadSuit = plays[0].card.suitCode;
+        for (const { playerId, card } of plays.slice(1)) {
+            if (card.suitCode !== leadSuit) voids[playerId].add(leadSuit);
+        }
+    }
+    return voids;
+}
+
+/**
+ * Deals the unseen cards at random to the other players, as many as each still holds,
+ * keeping every suit away from players who have shown out of it. Cards nobody can be
+ * holding (Honeymoon discards, the card removed for a three-handed deal) are left over.
+ * @param {object} view
+ * @param {Card[]} unseenCards
+ * @param {Object<string, Set<string>>} voids
+ * @param {function(): number} random
+ * @returns {Object<string, Card[]>} Player ID -> dealt cards, for every other player.
+ */
+function dealHiddenHands(view, unseenCards, voids, random) {
+    const others = view.players.filter(p => p.id !== view.playerId);
+
+    for (let attempt = 0; ; attempt++) {
+        const respectVoids = attempt < MAX_DEAL_ATTEMPTS;
+        const canHold = (player, card) => !respectVoids || !voids[player.id].has(card.suitCode);
+        const hands = Object.fromEntries(others.map(p => [p.id, []]));
+        const space = Object.fromEntries(others.map(p => [p.id, p.cardsLeft]));
+
+        // Place the cards that fewest players can hold first
+        const cards = shuffle([...unseenCards], random)
+            .map(card => ({ card, holders: others.filter(p => canHold(p, card)).length }))
+            .sort((a, b) => a.holders - b.holders);
+
+        for (const { card } of cards) {
+            const holders = others.filter(p => space[p.id] > 0 && canHold(p, card));
+            let pick = random() * holders.reduce((sum, p) => sum + space[p.id], 0);
+            const holder = holders.find(p => (pick -= space[p.id]) < 0);
+            if (!holder) continue;
+
+            hands[holder.id].push(card);
+            space[holder.id]--;
+        }
+
+        if (!respectVoids || Object.values(space).every(left => left === 0)) return hands;
+    }
+}
+
+// --- Simulating the Round ---
+
+/**
+ * Returns the cards a hand may play to a trick, as GameManager.validatePlay allows.
+ * @param {Card[]} hand
+ * @param {object[]} trick
+ * @param {string|null} leadSuit
+ * @param {boolean} spadesBroken
+ * @param {object} rules
+ * @returns {Card[]}
+ */
+function getLegalPlays(hand, trick, leadSuit, spadesBroken, rules) {
+    if (trick.length === 0) {
+        const sideCards = hand.filter(card => card.suitCode !== 'S');
+        return rules.spadesMustBeBroken && !spadesBroken && sideCards.length > 0 ? sideCards : hand;
+    }
+    const following = hand.filter(card => card.suitCode === leadSuit);
+    return following.length > 0 ? following : hand;
+}
+
+/**
+ * Plays out the rest of a round with every seat using the Normal strategy.
+ * @param {object} view - The searching player's view.
+ * @param {Object<string, Card[]>} hands - Every player's remaining cards (consumed).
+ * @param {object[]} players - View players with every bid filled in (updated with tricks won).
+ * @param {number} seat - Seat of the next player to act.
+ * @param {Card} [firstCard] - Card the next player plays, instead of choosing one.
+ */
+function playOut(view, hands, players, seat, firstCard = null) {
+    const { rules } = view;
+    const partnerIds = Object.fromEntries(players.map(p =>
+        [p.id, rules.mode === 'partnership' ? players.find(o => o.team === p.team && o.id !== p.id)?.id ?? null : null]));
+    const completedTricks = [...view.completedTricks];
+    let trick = [...view.trick];
+    let leadSuit = view.leadSuit;
+    let spadesBroken = view.spadesBroken;
+    let nextCard = firstCard;
+
+    while (hands[players[seat].id].length > 0) {
+        const player = players[seat];
+        const hand = hands[player.id];
+        const legalCards = getLegalPlays(hand, trick, leadSuit, spadesBroken, rules);
+        const card = nextCard ?? chooseCard({
+            playerId: player.id, partnerId: partnerIds[player.id], hand, legalCards,
+            trick, leadSuit, spadesBroken, completedTricks, players, rules
+        });
+        nextCard = null;
+
+        hand.splice(hand.indexOf(card), 1);
+        trick = [...trick, { playerId: player.id, card }];
+        if (trick.length === 1) leadSuit = card.suitCode;
+        if (card.suitCode === 'S') spadesBroken = true;
+
+        if (trick.length < players.length) {
+            seat = (seat + 1) % players.length;
+            continue;
+        }
+
+        const winningPlay = trick.reduce((best, play) => (beats(play.card, best.card) ? play : best));
+        const winner = players.find(p => p.id === winningPlay.playerId);
+        winner.tricksWon++;
+        completedTricks.push({ plays: trick, winnerId: winner.id });
+        trick = [];
+        leadSuit = null;
+        seat = players.indexOf(winner);
+    }
+}
+
+/**
+ * Scores a simulated round for every team the way GameManager.scoreTeamRound does,
+ * with each bag charged at its share of the bag penalty.
+ * @param {object[]} players
+ * @param {object} rules
+ * @returns {Object<number, number>} Team ID -> points.
+ */
+function scoreRound(players, rules) {
+    const { nilValue, blindNilValue, doubleNilValue, nilTricksCountAsBags, bagLimit, bagPenalty } = rules;
+    const bagCost = bagPenalty / bagLimit;
+    const scores = {};
+
+    for (const teamId of new Set(players.map(p => p.team))) {
+        const team = players.filter(p => p.team === teamId);
+        const nilPlayers = team.filter(p => p.isNil);
+        const nilTricks = nilPlayers.reduce((sum, p) => sum + p.tricksWon, 0);
+        let points = 0;
+
+        if (nilPlayers.length > 1 && nilPlayers.length === team.length && !nilPlayers.some(p => p.isBlindNil)) {
+            points += nilTricks === 0 ? doubleNilValue : -doubleNilValue;
+        } else {
+            for (const p of nilPlayers) {
+                const value = p.isBlindNil ? blindNilValue : nilValue;
+                points += p.tricksWon === 0 ? value : -value;
+            }
+        }
+        if (nilTricksCountAsBags) points -= nilTricks * bagCost;
+
+        const contractPlayers = team.filter(p => !p.isNil);
+        if (contractPlayers.length > 0) {
+            const bid = contractPlayers.reduce((sum, p) => sum + p.bid, 0);
+            const tricks = contractPlayers.reduce((sum, p) => sum + p.tricksWon, 0);
+            points += tricks >= bid ? bid * 10 - (tricks - bid) * bagCost : -bid * 10;
+        }
+        scores[teamId] = points;
+    }
+    return scores;
+}
+
+/**
+ * How far a team's simulated round outscored the other teams' average.
+ * @param {Object<number, number>} scores
+ * @param {number} teamId
+ * @returns {number}
+ */
+function getAdvantage(scores, teamId) {
+    const others = Object.entries(scores).filter(([id]) => Number(id) !== teamId).map(([, points]) => points);
+    return scores[teamId] - others.reduce((sum, points) => sum + points, 0) / others.length;
+}
+
+/**
+ * Runs simulations until the time budget is spent, yielding to the event loop between slices.
+ * @param {number} budgetMs
+ * @param {function(): void} simulate
+ * @returns {Promise}
+ */
+async function runForBudget(budgetMs, simulate) {
+    const deadline = Date.now() + budgetMs;
+    do {
+        const sliceEnd = Math.min(deadline, Date.now() + SLICE_MS);
+        do {
+            simulate();
+        } while (Date.now() < sliceEnd);
+        await new Promise(resolve => setImmediate(resolve));
+    } while (Date.now() < deadline);
+}
+
+/**
+ * Copies the dealt hands with the searching player's own hand added, ready to be played out.
+ * @param {object} view
+ * @param {Object<string, Card[]>} hiddenHands
+ * @returns {Object<string, Card[]>}
+ */
+function withOwnHand(view, hiddenHands) {
+    const hands = { [view.playerId]: [...view.hand] };
+    for (const [playerId, hand] of Object.entries(hiddenHands)) hands[playerId] = [...hand];
+    return hands;
+}
+
+// --- Decisions ---
+
+/**
+ * Chooses a card by simulating the rest of the round after each legal card.
+ * @param {object} view
+ * @param {number} budgetMs - How long to simulate for.
+ * @param {function(): number} [random=Math.random]
+ * @returns {Promise<Card>}
+ */
+async function chooseCardBySearch(view, budgetMs, random = Math.random) {
+    const { legalCards } = view;
+    if (legalCards.length === 1) return legalCards[0];
+
+    const unseenCards = getUnseenCards(view);
+    const voids = getShownVoids(view);
+    const totals = legalCards.map(() => 0);
+
+    await runForBudget(budgetMs, () => {
+        // Every card is tried against the same deal, so the comparison is fair
+        const hiddenHands = dealHiddenHands(view, unseenCards, voids, random);
+        legalCards.forEach((card, index) => {
+            const players = view.players.map(p => ({ ...p }));
+            playOut(view, withOwnHand(view, hiddenHands), players, view.seat, card);
+            totals[index] += getAdvantage(scoreRound(players, view.rules), view.team);
+        });
+    });
+
+    return legalCards[totals.indexOf(Math.max(...totals))];
+}
+
+/**
+ * Chooses a bid by simulating the round: once playing for tricks, scoring every number
+ * bid against the tricks taken, and once playing Nil when Nil is allowed. Players still
+ * to bid are assumed to bid what their sampled hand is worth.
+ * @param {object} view
+ * @param {number} budgetMs - How long to simulate for.
+ * @param {function(): number} [random=Math.random]
+ * @returns {Promise<number>} The bid (0 for Nil).
+ */
+async function chooseBidBySearch(view, budgetMs, random = Math.random) {
+    const { legalBids } = view;
+    if (legalBids.length === 1) return legalBids[0];
+
+    const numberBids = legalBids.filter(bid => bid > 0);
+    const estimate = Math.round(estimateTricks(view));
+    const playingBid = numberBids.reduce((best, bid) => (Math.abs(bid - estimate) < Math.abs(best - estimate) ? bid : best), numberBids[0]);
+    const leaderSeat = (view.dealerSeat + 1) % view.players.length;
+    const unseenCards = getUnseenCards(view);
+    const voids = getShownVoids(view);
+    const totals = Object.fromEntries(legalBids.map(bid => [bid, 0]));
+
+    await runForBudget(budgetMs, () => {
+        const hiddenHands = dealHiddenHands(view, unseenCards, voids, random);
+        const guessPlayers = () => view.players.map(p => {
+            if (p.bid !== null || p.id === view.playerId) return { ...p };
+            const bid = Math.max(1, Math.round(estimateTricks({ ...view, hand: hiddenHands[p.id] })));
+            return { ...p, bid, isNil: false };
+        });
+
+        if (numberBids.length > 0) {
+            const players = guessPlayers();
+            const me = players[view.seat];
+            Object.assign(me, { bid: playingBid, isNil: false });
+            playOut(view, withOwnHand(view, hiddenHands), players, leaderSeat);
+
+            // The tricks taken barely depend on the exact number bid, so one play-out scores them all
+            for (const bid of numberBids) {
+                me.bid = bid;
+                totals[bid] += getAdvantage(scoreRound(players, view.rules), view.team);
+            }
+        }
+
+        if (legalBids.includes(0)) {
+            const players = guessPlayers();
+            Object.assign(players[view.seat], { bid: 0, isNil: true });
+            playOut(view, withOwnHand(view, hiddenHands), players, leaderSeat);
+            totals[0] += getAdvantage(scoreRound(players, view.rules), view.team);
+        }
+    });
+
+    return legalBids.reduce((best, bid) => (totals[bid] > totals[best] ? bid : best));
+}
+
+export { chooseCardBySearch, chooseBidBySearch };
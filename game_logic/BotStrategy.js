@@ -0,0 +1,365 @@
+// game_logic/BotStrategy.js
+
+import { Deck } from './Deck.js';
+
+/**
+ * Decision making for computer players. Every function works from a player view
+ * (GameManager.getPlayerView), never from the game itself, so a bot only knows
+ * what a human in its seat would know: its own hand, the bids and every card played.
+ */
+
+const SIDE_SUITS = ['H', 'D', 'C'];
+
+// --- Card Helpers ---
+
+/** Sorts cards from highest to lowest value. */
+const byValueDesc = (a, b) => b.value - a.value;
+
+/**
+ * Groups a hand by suit, each suit sorted from highest to lowest.
+ * @param {Card[]} cards
+ * @returns {Object<string, Card[]>}
+ */
+function groupBySuit(cards) {
+    const suits = { S: [], H: [], D: [], C: [] };
+    for (const card of cards) suits[card.suitCode].push(card);
+    for (const suit of Object.values(suits)) suit.sort(byValueDesc);
+    return suits;
+}
+
+/** Returns the lowest card, preferring to keep Spades. */
+function lowestCard(cards) {
+    const sideCards = cards.filter(card => card.suitCode !== 'S');
+    const pool = sideCards.length > 0 ? sideCards : cards;
+    return pool.reduce((low, card) => (card.value < low.value ? card : low));
+}
+
+/** Returns the highest card. */
+function highestCard(cards) {
+    return cards.reduce((high, card) => (card.value > high.value ? card : high));
+}
+
+/**
+ * Whether a card would take the lead from the card currently winning a trick.
+ * Only a Spade can beat a card of another suit.
+ * @param {Card} card
+ * @param {Card} winningCard
+ * @returns {boolean}
+ */
+function beats(card, winningCard) {
+    if (card.suitCode === winningCard.suitCode) return card.value > winningCard.value;
+    return card.suitCode === 'S';
+}
+
+/**
+ * Returns the play currently winning the trick in the view, if any.
+ * @param {object} view
+ * @returns {{playerId: string, card: Card}|null}
+ */
+function getWinningPlay(view) {
+    return view.trick.reduce((best, play) => (!best || beats(play.card, best.card) ? play : best), null);
+}
+
+/**
+ * Returns the cards this player has not seen: not in their hand and not yet played this round.
+ * @param {object} view
+ * @returns {Card[]}
+ */
+function getUnseenCards(view) {
+    const seen = new Set([
+        ...view.hand,
+        ...view.trick.map(play => play.card),
+        ...view.completedTricks.flatMap(trick => trick.plays.map(play => play.card))
+    ].map(card => card.shortDisplay));
+    return new Deck(view.rules.deck).cards.filter(card => !seen.has(card.shortDisplay));
+}
+
+/**
+ * Whether no unseen card of the same suit ranks above this one.
+ * @param {Card} card
+ * @param {Card[]} unseenCards
+ * @returns {boolean}
+ */
+function isBoss(card, unseenCards) {
+    return !unseenCards.some(other => other.suitCode === card.suitCode && other.value > card.value);
+}
+
+// --- Bidding ---
+
+/**
+ * Estimates how many tricks a hand will take: Spade honours and length, side-suit
+ * Aces and guarded Kings and Queens, and ruffs in short suits. Longer hands (17 cards
+ * in three-handed Cutthroat) take more tricks from their length, so the estimate is raised.
+ * @param {object} view
+ * @returns {number}
+ */
+function estimateTricks(view) {
+    const suits = groupBySuit(view.hand);
+    const spadeValues = new Deck(view.rules.deck).cards.filter(card => card.suitCode === 'S').map(card => card.value);
+    let tricks = 0;
+    let spadeWinners = 0;
+
+    // A Spade wins when it has at least as many smaller Spades guarding it as higher ones are missing
+    suits.S.forEach((card, index) => {
+        const higherMissing = spadeValues.filter(value => value > card.value && !suits.S.some(held => held.value === value)).length;
+        if (higherMissing <= index) {
+            tricks += 1;
+            spadeWinners++;
+        } else if (higherMissing === index + 1) {
+            tricks += 0.5;
+        }
+    });
+
+    // Long Spades take tricks once the others run out
+    const spareSpades = suits.S.length - spadeWinners;
+    tricks += Math.min(spareSpades, Math.max(0, suits.S.length - 3)) * 0.9;
+
+    let ruffingSpades = Math.max(0, spareSpades - Math.max(0, suits.S.length - 3));
+    // Side honours are ruffed more often when the deck has extra trumps (Jokers)
+    const sideHonourValue = 13 / spadeValues.length;
+    for (const suit of SIDE_SUITS) {
+        const cards = suits[suit];
+        const has = value => cards.some(card => card.value === value);
+
+        let honours = 0;
+        if (has(14)) honours += cards.length <= 6 ? 1 : 0.5;
+        if (has(13) && cards.length >= 2) honours += has(14) ? 0.9 : 0.7;
+        if (has(12) && cards.length >= 3) honours += has(14) || has(13) ? 0.5 : 0.25;
+        tricks += honours * sideHonourValue;
+
+        // Short suits let spare Spades ruff
+        const ruffs = Math.min(ruffingSpades, Math.max(0, 2 - cards.length));
+        tricks += ruffs * 0.75;
+        ruffingSpades -= ruffs;
+    }
+
+    return tricks * (1 + (view.tricksPerRound / 13 - 1) * 0.6);
+}
+
+/**
+ * Whether a hand is weak enough to bid Nil: no high Spades, few Spades, and no side Aces
+ * or unguarded Kings. Stricter without a partner to cover the Nil.
+ * @param {object} view
+ * @returns {boolean}
+ */
+function isNilHand(view) {
+    const suits = groupBySuit(view.hand);
+    const [maxSpades, maxSpadeValue] = view.partnerId ? [3, 11] : [2, 9];
+    if (suits.S.length > maxSpades || suits.S.some(card => card.value > maxSpadeValue)) return false;
+
+    return SIDE_SUITS.every(suit => {
+        const cards = suits[suit];
+        if (cards.some(card => card.value === 14)) return false;
+        // A King or Queen can be ducked only with enough low cards beneath it
+        return !cards.some(card => card.value >= 12 && cards.filter(low => low.value < 8).length < 3);
+    });
+}
+
+/**
+ * Chooses a bid from the legal bids in the view.
+ * @param {object} view
+ * @returns {number} The bid (0 for Nil).
+ */
+function chooseBid(view) {
+    const { legalBids } = view;
+    if (legalBids.length === 1) return legalBids[0];
+
+    const partner = view.players.find(p => p.id === view.partnerId);
+    const estimate = estimateTricks(view);
+
+    // Never join a partner's Nil; a weak hand otherwise tries for one
+    const nilWanted = !partner?.isNil && (isNilHand(view) || (view.rules.bidding === 'suicide' && estimate < 3.25));
+    if (legalBids.includes(0) && nilWanted) return 0;
+
+    const numberBids = legalBids.filter(bid => bid > 0);
+    if (numberBids.length === 0) return 0;
+
+    // Covering a partner's Nil means taking more tricks than the hand alone would
+    const target = Math.max(1, Math.round(estimate) + (partner?.isNil ? 1 : 0));
+    return numberBids.reduce((best, bid) => (Math.abs(bid - target) < Math.abs(best - target) ? bid : best));
+}
+
+/**
+ * Returns the bid to fall back on when a chosen bid turns out to be illegal: the lowest
+ * number bid, so nobody is ever committed to Nil they did not choose. Nil only when it
+ * is the sole legal bid.
+ * @param {number[]} legalBids
+ * @returns {number}
+ */
+function getFallbackBid(legalBids) {
+    const numberBids = legalBids.filter(bid => bid > 0);
+    return numberBids.length > 0 ? Math.min(...numberBids) : legalBids[0];
+}
+
+// --- Card Play ---
+
+/**
+ * Plays to lose every trick: the highest card that does not win, or the highest card
+ * when forced to win.
+ * @param {Card[]} legalCards
+ * @param {{card: Card}|null} winningPlay
+ * @returns {Card}
+ */
+function duck(legalCards, winningPlay) {
+    if (!winningPlay) return lowestCard(legalCards);
+    const losers = legalCards.filter(card => !beats(card, winningPlay.card));
+    return losers.length > 0 ? highestCard(losers) : highestCard(legalCards);
+}
+
+/**
+ * Chooses the card to lead when trying to take tricks: a boss side card, then a boss
+ * Spade, else the lowest card of the longest side suit.
+ */
+function chooseLead(legalCards, unseenCards) {
+    const bossCards = legalCards.filter(card => isBoss(card, unseenCards));
+    const bossSide = bossCards.filter(card => card.suitCode !== 'S');
+    if (bossSide.length > 0) return highestCard(bossSide);
+    if (bossCards.length > 0) return highestCard(bossCards);
+
+    const suits = groupBySuit(legalCards.filter(card => card.suitCode !== 'S'));
+    const longest = SIDE_SUITS.map(suit => suits[suit]).sort((a, b) => b.length - a.length)[0];
+    return longest.length > 0 ? longest[longest.length - 1] : lowestCard(legalCards);
+}
+
+/**
+ * Chooses a card from the legal cards in the view. Covers a partner's Nil, tries to
+ * set an opponent's Nil, ducks to protect its own Nil, and otherwise plays for its
+ * team's contract while avoiding bags once the contract is made.
+ * @param {object} view
+ * @returns {Card}
+ */
+function chooseCard(view) {
+    const { legalCards, trick, players } = view;
+    if (legalCards.length === 1) return legalCards[0];
+
+    const me = players.find(p => p.id === view.playerId);
+    const partner = players.find(p => p.id === view.partnerId);
+    const opponents = players.filter(p => p.team !== me.team);
+    const winningPlay = getWinningPlay(view);
+    const unseenCards = getUnseenCards(view);
+    const isLead = trick.length === 0;
+    const isLast = trick.length === players.length - 1;
+    const hasPlayed = id => trick.some(play => play.playerId === id);
+    const winners = winningPlay ? legalCards.filter(card => beats(card, winningPlay.card)) : [];
+
+    // 1. Our own Nil: never take a trick
+    if (me.isNil) {
+        return duck(legalCards, winningPlay);
+    }
+
+    // 2. Covering a partner's Nil that is still intact
+    if (partner?.isNil && partner.tricksWon === 0) {
+        if (isLead) return highestCard(legalCards);
+        if (!hasPlayed(partner.id)) {
+            // Win high so the Nil bidder can play under us
+            return winners.length > 0 ? highestCard(winners) : lowestCard(legalCards);
+        }
+        if (winningPlay.playerId === partner.id) {
+            return winners.length > 0 ? lowestCard(winners) : lowestCard(legalCards);
+        }
+    }
+
+    // 3. Setting an opponent's Nil: leave them holding the winning card
+    const nilOpponent = opponents.find(p => p.isNil && p.tricksWon === 0);
+    if (nilOpponent) {
+        if (isLead) return lowestCard(legalCards);
+        if (winningPlay.playerId === nilOpponent.id) return duck(legalCards, winningPlay);
+        if (!hasPlayed(nilOpponent.id)) return lowestCard(legalCards);
+    }
+
+    // 4. Our contract: how many more tricks the non-Nil players of the team need
+    const team = players.filter(p => p.team === me.team && !p.isNil);
+    const tricksNeeded = team.reduce((sum, p) => sum + p.bid - p.tricksWon, 0);
+
+    if (tricksNeeded <= 0) {
+        // Contract made: every further trick is a bag
+        return duck(legalCards, winningPlay);
+    }
+
+    if (isLead) return chooseLead(legalCards, unseenCards);
+
+    const partnerWinning = partner && winningPlay.playerId === partner.id;
+    if (partnerWinning && (isLast || isBoss(winningPlay.card, unseenCards))) {
+        return lowestCard(legalCards);
+    }
+
+    if (winners.length > 0) {
+        const cheapestWinner = winners.reduce((low, card) => (card.value < low.value ? card : low));
+        if (isLast || cheapestWinner.suitCode !== view.leadSuit) return cheapestWinner;
+
+        const bossWinners = winners.filter(card => isBoss(card, unseenCards));
+        if (bossWinners.length > 0) {
+            return bossWinners.reduce((low, card) => (card.value < low.value ? card : low));
+        }
+    }
+    return lowestCard(legalCards);
+}
+
+// --- Easy Level ---
+
+/**
+ * Chooses a bid the way a beginner would: a rough count of the hand, give or take a
+ * trick, and Nil only when nothing else is allowed.
+ * @param {object} view
+ * @param {function(): number} [random=Math.random]
+ * @returns {number}
+ */
+function chooseEasyBid(view, random = Math.random) {
+    const { legalBids } = view;
+    const numberBids = legalBids.filter(bid => bid > 0);
+    if (numberBids.length === 0) return legalBids[0];
+
+    const target = Math.round(estimateTricks(view) + random() * 2 - 1);
+    return numberBids.reduce((best, bid) => (Math.abs(bid - target) < Math.abs(best - target) ? bid : best));
+}
+
+/**
+ * Chooses a card the way a beginner would: lead high, win the trick with the cheapest
+ * card that can, otherwise throw the lowest. Ignores partners, bags and opposing Nils.
+ * @param {object} view
+ * @returns {Card}
+ */
+function chooseEasyCard(view) {
+    const { legalCards } = view;
+    const me = view.players.find(p => p.id === view.playerId);
+    const winningPlay = getWinningPlay(view);
+
+    if (me.isNil) return duck(legalCards, winningPlay);
+    if (!winningPlay) return highestCard(legalCards);
+
+    const winners = legalCards.filter(card => beats(card, winningPlay.card));
+    return winners.length > 0
+        ? winners.reduce((low, card) => (card.value < low.value ? card : low))
+        : lowestCard(legalCards);
+}
+
+// --- Honeymoon Draft & Blind Nil Exchange ---
+
+/**
+ * Decides whether to keep the card drawn in the Honeymoon draft: Spades and high cards are kept.
+ * @param {object} view
+ * @returns {boolean}
+ */
+function chooseDraftKeep(view) {
+    const card = view.draftCard;
+    return card.suitCode === 'S' || card.value >= 12;
+}
+
+/**
+ * Chooses the cards to pass in a Blind Nil exchange: the Nil bidder gets rid of its
+ * highest cards, while its partner passes its lowest side cards.
+ * @param {object} view
+ * @param {number} count
+ * @returns {Card[]}
+ */
+function chooseExchangeCards(view, count) {
+    const me = view.players.find(p => p.id === view.playerId);
+    const rank = card => (card.suitCode === 'S' ? 100 : 0) + card.value;
+    const sorted = [...view.hand].sort((a, b) => rank(b) - rank(a));
+    return me.isNil ? sorted.slice(0, count) : sorted.slice(-count);
+}
+
+export {
+    chooseBid, getFallbackBid, chooseCard, chooseEasyBid, chooseEasyCard, chooseDraftKeep, chooseExchangeCards,
+    estimateTricks, isNilHand, groupBySuit, lowestCard, beats, getUnseenCards
+};
@@ -16,28 +16,41 @@ const RANKS_MAP = {
   'A': { name: 'Ace', value: 14 }
 };
 
+// Jokers only appear in the "Joker Joker Deuce Deuce" deck, where they rank as the top trumps
+const JOKER_RANKS = {
+  'BJ': { name: 'Big Joker', value: 17 },
+  'LJ': { name: 'Little Joker', value: 16 }
+};
+const JOKER_SYMBOL = '🃏';
+
 export class Card {
+  /** Static map for suit codes to emojis */
+  static CARD_EMOJIS = Object.fromEntries(
+    Object.entries(SUITS_MAP).map(([code, suit]) => [code, suit.symbol])
+  );
+
   /**
-   * @param {string} rankCode - Single character rank code (e.g., 'A', 'T').
-   * @param {string} suitCode - Single character suit code (e.g., 'S', 'H').
+   * @param {string} rankCode - Single character rank code (e.g., 'A', 'T'), or 'BJ' / 'LJ' for a joker.
+   * @param {string} suitCode - Single character suit code (e.g., 'S', 'H'). Jokers are always Spades.
    */
   constructor(rankCode, suitCode) {
+    this.isJoker = rankCode in JOKER_RANKS;
     this.rankCode = rankCode;
-    this.suitCode = suitCode;
-    this.suit = SUITS_MAP[suitCode];     // Full suit object
-    this.rank = RANKS_MAP[rankCode];     // Full rank object
+    this.suitCode = this.isJoker ? 'S' : suitCode; // Jokers follow and trump as Spades
+    this.suit = SUITS_MAP[this.suitCode];            // Full suit object
+    this.rank = this.isJoker ? JOKER_RANKS[rankCode] : RANKS_MAP[rankCode]; // Full rank object
     this.value = this.rank.value;
 
     // Display helpers
-    this.symbol = this.suit.symbol;      // ♠️, ♥️, ♦️, ♣️
+    this.symbol = this.isJoker ? JOKER_SYMBOL : this.suit.symbol; // ♠️, ♥️, ♦️, ♣️ or 🃏
     this.rankText = rankCode === 'T' ? '10' : rankCode; // Show '10' instead of 'T'
     this.code = this.rankText + this.symbol; // Used for display like '10♠️'
 
-    // Short display (e.g., 'AS', 'TC') for internal use
-    this.shortDisplay = rankCode + suitCode;
+    // Short display (e.g., 'AS', 'TC', 'BJ') for internal use
+    this.shortDisplay = this.isJoker ? rankCode : rankCode + suitCode;
 
-    // Full display for announcements
-    this.fullDisplay = `<span class="card-icon ${this.suit.color}">${this.rank.name} of ${this.symbol}</span>`;
+    // Full display for announcements, as plain text (e.g., 'Ace of Spades', 'Big Joker')
+    this.fullDisplay = this.isJoker ? this.rank.name : `${this.rank.name} of ${this.suit.name}`;
   }
 
   /** Returns all available rank codes (e.g., ['A', 'K', ...]) */
@@ -45,8 +58,30 @@ export class Card {
     return Object.keys(RANKS_MAP);
   }
 
+  /** Returns the joker rank codes, highest first (['BJ', 'LJ']) */
+  static getJokerCodes() {
+    return Object.keys(JOKER_RANKS);
+  }
+
   /** Returns all available suit codes (e.g., ['C', 'D', 'H', 'S']) */
   static getSuitCodes() {
     return Object.keys(SUITS_MAP);
   }
+
+  /**
+   * Normalizes user card input to the internal short code (e.g., '10c', 'C10', 'TC' -> 'TC').
+   * Accepts Rank+Suit or Suit+Rank, with '10' or 'T' for tens.
+   * @param {string} input - Raw card input.
+   * @returns {string | null} The short code, or null if the input is not a card.
+   */
+  static normalizeCode(input) {
+    const clean = String(input).trim().toUpperCase().replace('10', 'T');
+    if (JOKER_RANKS[clean]) return clean;
+    if (clean.length !== 2) return null;
+
+    const [first, second] = clean;
+    if (RANKS_MAP[first] && SUITS_MAP[second]) return first + second;
+    if (SUITS_MAP[first] && RANKS_MAP[second]) return second + first;
+    return null;
+  }
 }
\ No newline at end of file
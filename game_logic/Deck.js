@@ -1,11 +1,20 @@
 // game_logic/Deck.js
 import { Card } from './Card.js'; // Uses NAMED IMPORT for Card
 
+// "Joker Joker Deuce Deuce": these two deuces make room for the jokers
+const JOKER_DECK_REMOVED = ['2C', '2D'];
+// In the joker deck the 2♠ ranks above the A♠, just below the Little Joker
+const HIGH_DEUCE_VALUE = 15;
+
 /**
  * Manages the deck of 52 playing cards.
  */
 class Deck {
-    constructor() {
+    /**
+     * @param {string} [variant='standard'] - 'standard', or 'jokers' for Joker Joker Deuce Deuce.
+     */
+    constructor(variant = 'standard') {
+        this.variant = variant;
         this.cards = [];
         this.reset();
     }
@@ -21,19 +30,55 @@ class Deck {
                 this.cards.push(new Card(rankCode, suitCode)); 
             }
         }
+
+        if (this.variant === 'jokers') {
+            this.cards = this.cards.filter(card => !JOKER_DECK_REMOVED.includes(card.shortDisplay));
+            this.cards.find(card => card.shortDisplay === '2S').value = HIGH_DEUCE_VALUE;
+            for (const jokerCode of Card.getJokerCodes()) {
+                this.cards.push(new Card(jokerCode, 'S'));
+            }
+        }
     }
 
-    shuffle() {
+    /**
+     * Shuffles the deck in place.
+     * @param {function(): number} [random=Math.random] - Source of numbers in [0, 1);
+     *   pass a seeded generator from Random.js for a reproducible shuffle.
+     */
+    shuffle(random = Math.random) {
         // Fisher-Yates shuffle algorithm
         for (let i = this.cards.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
+            const j = Math.floor(random() * (i + 1));
             [this.cards[i], this.cards[j]] = [this.cards[j], this.cards[i]];
         }
     }
 
+    /**
+     * Builds a lookup from short code (e.g., 'AS', 'BJ') to a card of a deck variant,
+     * used to restore saved hands and tricks.
+     * @param {string} [variant='standard']
+     * @returns {function(string): Card}
+     */
+    static createCardLookup(variant = 'standard') {
+        const cardsByCode = new Map(new Deck(variant).cards.map(card => [card.shortDisplay, card]));
+        return code => cardsByCode.get(code);
+    }
+
     deal() {
         return this.cards.pop();
     }
+
+    /**
+     * Takes the lowest card of a suit out of the deck (used for three-handed deals).
+     * @param {string} suitCode - Single character suit code (e.g., 'C').
+     * @returns {Card} The removed card.
+     */
+    removeLowestOfSuit(suitCode) {
+        const suitCards = this.cards.filter(card => card.suitCode === suitCode);
+        const lowest = suitCards.reduce((low, card) => (card.value < low.value ? card : low));
+        this.cards.splice(this.cards.indexOf(lowest), 1);
+        return lowest;
+    }
 }
 
 // CRITICAL FIX: Provides the NAMED EXPORT 'Deck'
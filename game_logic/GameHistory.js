@@ -0,0 +1,273 @@
+// game_logic/GameHistory.js
+
+import { Deck } from './Deck.js';
+
+/**
+ * Records a game as it is played, from the engine's own events: each round's deal,
+ * the bids in order, any Blind Nil exchange, every trick (leader, cards, winner)
+ * and the round scores. Cards are stored as short codes (e.g., 'AS', 'TC', 'BJ')
+ * so the record is plain JSON.
+ */
+class GameHistory {
+    /**
+     * @param {GameManager} [game] - The game to record (omit when loading a saved record).
+     */
+    constructor(game = null) {
+        this.id = null;             // Set when the first round is dealt: "<channelId>-<timestamp>"
+        this.channelId = null;
+        this.startedAt = null;
+        this.endedAt = null;
+        this.rules = null;
+        this.seed = null;
+        this.players = {};          // Discord ID -> { username, team, isBot } (isBot also marks open seats)
+        this.rounds = [];
+        this.result = null;         // { winningTeam, scores, abandoned } once the game is over
+
+        if (game) this.attach(game);
+    }
+
+    /**
+     * Loads a record saved with toJSON, e.g. the history of a finished game.
+     * @param {object} data
+     * @returns {GameHistory}
+     */
+    static fromJSON(data) {
+        const history = new GameHistory();
+        history.restore(data);
+        return history;
+    }
+
+    /**
+     * Subscribes to a game's events.
+     * @param {GameManager} game
+     */
+    attach(game) {
+        game.on('biddingStarted', ({ round, dealer }) => {
+            if (!this.id) {
+                this.startedAt = new Date().toISOString();
+                this.channelId = game.channelId;
+                this.id = `${game.channelId}-${Date.now()}`;
+                this.rules = game.rules;
+                this.seed = game.seed;
+            }
+            for (const p of game.players) {
+                this.players[p.discordId] = { username: p.username, team: p.team, isBot: !game.isHumanSeat(p) };
+            }
+
+            this.rounds.push({
+                round,
+                seed: game.getCurrentRoundSeed(),
+                dealerId: dealer.discordId,
+                hands: Object.fromEntries(game.players.map(p => [p.discordId, p.hand.map(card => card.shortDisplay)])),
+                bids: [],
+                exchanges: [],
+                tricks: [],
+                scores: null
+            });
+        });
+
+        game.on('bidPlaced', ({ player, bid, isBlindNil }) => {
+            this.getCurrentRound().bids.push({ playerId: player.discordId, bid, isBlindNil });
+        });
+
+        game.on('cardsExchanged', ({ exchanges }) => {
+            for (const { blindNilPlayer, partner, fromBlindNil, fromPartner } of exchanges) {
+                this.getCurrentRound().exchanges.push(
+                    { fromId: blindNilPlayer.discordId, toId: partner.discordId, cards: fromBlindNil.map(card => card.shortDisplay) },
+                    { fromId: partner.discordId, toId: blindNilPlayer.discordId, cards: fromPartner.map(card => card.shortDisplay) }
+                );
+            }
+        });
+
+        game.on('trickWon', ({ winner, trick, trickNumber }) => {
+            this.getCurrentRound().tricks.push({
+                number: trickNumber,
+                leaderId: trick[0].player.discordId,
+                plays: trick.map(({ player, card }) => ({ playerId: player.discordId, card: card.shortDisplay })),
+                winnerId: winner.discordId
+            });
+        });
+
+        game.on('roundScored', ({ teams }) => {
+            this.getCurrentRound().scores = teams.map(({ nilResults, ...team }) => ({
+                ...team,
+                nilResults: nilResults.map(({ player, ...nil }) => ({ ...nil, playerId: player.discordId }))
+            }));
+        });
+
+        // A seat taken over mid-round keeps its record under the new player's ID
+        game.on('playerReplaced', ({ player, previousId }) => {
+            this.players[player.discordId] = { username: player.username, team: player.team, isBot: !game.isHumanSeat(player) };
+            const round = this.getCurrentRound();
+            if (!round) return;
+
+            const rename = id => (id === previousId ? player.discordId : id);
+            round.dealerId = rename(round.dealerId);
+            round.hands = Object.fromEntries(Object.entries(round.hands).map(([id, hand]) => [rename(id), hand]));
+            for (const bid of round.bids) bid.playerId = rename(bid.playerId);
+            for (const exchange of round.exchanges) {
+                exchange.fromId = rename(exchange.fromId);
+                exchange.toId = rename(exchange.toId);
+            }
+            for (const trick of round.tricks) {
+                trick.leaderId = rename(trick.leaderId);
+                trick.winnerId = rename(trick.winnerId);
+                for (const play of trick.plays) play.playerId = rename(play.playerId);
+            }
+        });
+
+        game.on('gameOver', ({ winningTeam, scores }) => {
+            this.endedAt = new Date().toISOString();
+            this.result = { winningTeam, scores };
+        });
+
+        game.on('gameAbandoned', ({ scores }) => {
+            this.endedAt = new Date().toISOString();
+            this.result = { winningTeam: null, scores, abandoned: true };
+        });
+    }
+
+    /** @returns {object|undefined} The round being recorded. */
+    getCurrentRound() {
+        return this.rounds[this.rounds.length - 1];
+    }
+
+    /**
+     * Returns the rounds that have been scored (safe to show: their hands are no longer secret).
+     * @returns {object[]}
+     */
+    getFinishedRounds() {
+        return this.rounds.filter(round => round.scores !== null);
+    }
+
+    /**
+     * Totals each human player's results over the finished rounds, for the stats store.
+     * A round counts for whoever held the seat when it was scored; the game counts for
+     * those seated at the end. Bags and points are their side's, so partners share them.
+     * @returns {Object<string, object>} Discord ID -> { username, gamePlayed, gameWon, rounds,
+     *   contractsMade, contractsOver, contractsSet, nilAttempts, nilMade, blindNilAttempts,
+     *   blindNilMade, bags, points }
+     */
+    getPlayerSummaries() {
+        const summaries = {};
+        const rounds = this.getFinishedRounds();
+        const finalSeats = Object.keys(rounds[rounds.length - 1]?.hands ?? {});
+
+        for (const round of rounds) {
+            for (const playerId of Object.keys(round.hands)) {
+                const player = this.players[playerId];
+                if (!player || player.isBot) continue;
+
+                const summary = summaries[playerId] ??= {
+                    username: player.username,
+                    gamePlayed: finalSeats.includes(playerId) && this.result !== null,
+                    gameWon: finalSeats.includes(playerId) && this.result?.winningTeam === player.team,
+                    rounds: 0, contractsMade: 0, contractsOver: 0, contractsSet: 0,
+                    nilAttempts: 0, nilMade: 0, blindNilAttempts: 0, blindNilMade: 0,
+                    bags: 0, points: 0
+                };
+                const team = round.scores.find(score => score.teamId === player.team);
+                const bid = round.bids.find(b => b.playerId === playerId);
+                summary.rounds++;
+                summary.bags += (team.contract?.bags ?? 0) + (team.nilBags ?? 0);
+                summary.points += team.scoreChange - (team.bagPenalty ?? 0);
+
+                if (bid?.bid === 0) {
+                    const made = team.doubleNil?.made ?? team.nilResults.find(nil => nil.playerId === playerId)?.made;
+                    summary[bid.isBlindNil ? 'blindNilAttempts' : 'nilAttempts']++;
+                    if (made) summary[bid.isBlindNil ? 'blindNilMade' : 'nilMade']++;
+                } else if (team.contract) {
+                    const { made, bags } = team.contract;
+                    summary[!made ? 'contractsSet' : bags > 0 ? 'contractsOver' : 'contractsMade']++;
+                }
+            }
+        }
+        return summaries;
+    }
+
+    /**
+     * Returns a player's name as recorded, or their ID if unknown.
+     * @param {string} playerId
+     * @returns {string}
+     */
+    getUsername(playerId) {
+        return this.players[playerId]?.username ?? playerId;
+    }
+
+    /**
+     * Returns "Team 1" in partnership games, or the player's name when every seat is its own team.
+     * @param {number} teamId
+     * @returns {string}
+     */
+    getTeamLabel(teamId) {
+        if (this.rules?.mode === 'partnership') return `Team ${teamId}`;
+        const [playerId] = Object.entries(this.players).find(([, p]) => p.team === Number(teamId)) ?? [];
+        return playerId ? this.getUsername(playerId) : `Seat ${teamId}`;
+    }
+
+    /**
+     * Returns the record as plain data.
+     * @returns {object}
+     */
+    toJSON() {
+        const { id, channelId, startedAt, endedAt, rules, seed, players, rounds, result } = this;
+        return { id, channelId, startedAt, endedAt, rules, seed, players, rounds, result };
+    }
+
+    /**
+     * Restores a record saved with toJSON into this history.
+     * @param {object} data
+     */
+    restore(data) {
+        Object.assign(this, data);
+    }
+
+    /**
+     * Renders the finished rounds as a plain-text transcript for export. The game seed is
+     * left out until the game is over, since it would give away the deals still to come.
+     * @returns {string}
+     */
+    toText() {
+        const getCard = Deck.createCardLookup(this.rules?.deck);
+        const showCards = codes => codes.map(code => getCard(code)?.code ?? code).join(' ');
+        const lines = [
+            `Spades game ${this.id}`,
+            `Rules: ${this.rules?.name} (${this.rules?.mode}, ${this.rules?.bidding} bidding) | Seed: ${this.result ? this.seed : 'shown when the game is over'}`,
+            `Started: ${this.startedAt}` + (this.endedAt ? ` | Ended: ${this.endedAt}` : ''),
+            `Players: ${Object.values(this.players).map(p => this.rules?.mode === 'partnership' ? `${p.username} (Team ${p.team})` : p.username).join(', ')}`
+        ];
+
+        for (const round of this.getFinishedRounds()) {
+            lines.push('', `=== Round ${round.round} (dealer ${this.getUsername(round.dealerId)}, seed ${round.seed}) ===`);
+            for (const [playerId, hand] of Object.entries(round.hands)) {
+                lines.push(`${this.getUsername(playerId)}: ${showCards(hand)}`);
+            }
+
+            lines.push('Bids: ' + round.bids.map(({ playerId, bid, isBlindNil }) =>
+                `${this.getUsername(playerId)} ${isBlindNil ? 'Blind Nil' : bid === 0 ? 'Nil' : bid}`).join(', '));
+            for (const { fromId, toId, cards } of round.exchanges) {
+                lines.push(`Exchange: ${this.getUsername(fromId)} -> ${this.getUsername(toId)}: ${showCards(cards)}`);
+            }
+
+            for (const trick of round.tricks) {
+                const plays = trick.plays.map(({ playerId, card }) => `${this.getUsername(playerId)} ${showCards([card])}`).join(', ');
+                lines.push(`Trick ${trick.number}: ${plays} -> won by ${this.getUsername(trick.winnerId)}`);
+            }
+
+            for (const team of round.scores) {
+                lines.push(`${this.getTeamLabel(team.teamId)}: ${team.scoreChange >= 0 ? '+' : ''}${team.scoreChange}` +
+                    (team.bagPenalty ? `, bag penalty -${team.bagPenalty}` : '') +
+                    ` => ${team.score} points, ${team.bags} bags`);
+            }
+        }
+
+        if (this.result) {
+            lines.push('', this.result.winningTeam === null
+                ? 'Result: tie'
+                : `Result: ${this.getTeamLabel(this.result.winningTeam)} wins`);
+        }
+        return lines.join('\n');
+    }
+}
+
+export { GameHistory };
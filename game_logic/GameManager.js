@@ -1,495 +1,1545 @@
 // game_logic/GameManager.js
 
+import { EventEmitter } from 'node:events';
 import { Deck } from './Deck.js';
 import { Player } from './Player.js';
 import { Card } from './Card.js'; // Used for type hinting and checking card properties
+import { DEFAULT_RULES, RULE_PRESETS, createRules } from './Rules.js';
+import { generateSeed, getRoundSeed, createRandom } from './Random.js';
+import { GameHistory } from './GameHistory.js';
+import { adviseBid } from './BidAdvisor.js';
+import { chooseBid, getFallbackBid, chooseCard, chooseDraftKeep, chooseExchangeCards, lowestCard } from './BotStrategy.js';
+
+// In Suicide bidding the partner who does not bid Nil must bid at least this many
+const SUICIDE_MIN_BID = 4;
+
+/**
+ * Formats a sorted list of bids compactly, e.g. [0, 4, 5, 6] -> "Nil, 4–6".
+ * @param {number[]} bids
+ * @returns {string}
+ */
+export function formatBidList(bids) {
+    const parts = bids.includes(0) ? ['Nil'] : [];
+    const numbers = bids.filter(bid => bid > 0);
+
+    for (let i = 0; i < numbers.length; i++) {
+        let end = i;
+        while (end + 1 < numbers.length && numbers[end + 1] === numbers[end] + 1) end++;
+        parts.push(end > i ? `${numbers[i]}–${numbers[end]}` : `${numbers[i]}`);
+        i = end;
+    }
+    return parts.join(', ');
+}
+
+// How many players each table mode seats
+const MODE_PLAYER_COUNTS = {
+    partnership: { min: 4, max: 4 },
+    cutthroat: { min: 3, max: 4 },
+    honeymoon: { min: 2, max: 2 }
+};
+
+// Target scores a table may play to
+export const TARGET_SCORE_LIMITS = { min: 100, max: 1000 };
+
+// Turn timers a table may set, in seconds (0 turns the timer off)
+export const TURN_TIME_LIMITS = { min: 15, max: 600 };
+
+// Seats clockwise around the table; partners sit across from each other
+const SEAT_NAMES = ['North', 'East', 'South', 'West'];
+
+// Computer player levels, with their display names
+export const BOT_DIFFICULTIES = {
+    easy: 'Easy',
+    normal: 'Normal',
+    hard: 'Hard'
+};
 
 /**
- * Manages the state and flow of a four-player game of Spades, including dealing,
- * bidding, trick play, and scoring.
+ * Manages the state and flow of a game of Spades, including the lobby,
+ * dealing, bidding, trick play, scoring, and round rotation.
+ *
+ * Scores and bags are kept per team number. In partnership mode two players share
+ * each team; in cutthroat and honeymoon mode every player is their own team of one.
+ *
+ * This is the single rules engine for the bot: every slash command and button
+ * handler reads from and acts through an instance of this class.
+ *
+ * The engine does not format messages. It emits typed events with full payloads,
+ * and the Discord layer (or logging, stats, ...) subscribes to render them:
+ * - `playerJoined`    { player }
+ * - `draftStarted`    { round, dealer }
+ * - `draftTurn`       { player, card, cardsLeft }
+ * - `draftComplete`   { tricksPerRound }
+ * - `cardsDealt`      { round, dealer, removedCard }
+ * - `biddingStarted`  { round, dealer, firstBidder }
+ * - `bidRequested`    { player, legalBids, blindNilAvailable }
+ * - `handRevealed`    { player }
+ * - `bidPlaced`       { player, bid, isBlindNil, bidDisplay, bidsRemaining }
+ * - `biddingComplete` { teamBids }
+ * - `exchangeStarted` { pairs, count }
+ * - `exchangeCardsChosen` { player, waitingFor }
+ * - `cardsExchanged`  { exchanges }
+ * - `playStarted`     { leader }
+ * - `playRequested`   { player, trick, leadSuit }
+ * - `cardPlayed`      { player, card, isLead, trick }
+ * - `spadesBroken`    { player, card }
+ * - `trickWon`        { winner, card, trick, trickNumber, tricksWon }
+ * - `roundScored`     { round, seed, teams }
+ * - `gameOver`        { winningTeam, winningScore, leaders, setOutTeams, scores, seed }
+ * - `turnWarning`     { players, secondsLeft }
+ * - `turnTimedOut`    { player, timeouts }
+ * - `playerAfk`       { player, timeouts }
+ * - `playerReplaced`  { player, previousId, previousName, previousWasHuman, reason }
+ * - `playerLeft`      { player }                    (lobby only; mid-game leaving opens the seat)
+ * - `gameAbandoned`   { scores }
+ * - `spectatorAdded`  { userId }
+ * - `spectatorRemoved` { userId }
+ * - `seatChanged`     { player, seat, swappedWith }
+ * - `seatSwapRequested` { player, occupant }
+ * - `seatsRandomized` { players }
+ * - `seatsLocked`     { locked }
+ * - `playerReady`     { player, ready }
+ * - `settingsChanged` { rules, removedBots }
+ * - `botDifficultyChanged` { player, difficulty }
+ *
+ * Seeds are only carried by events once their deals are over: anyone holding a
+ * seed can reproduce its hands.
  */
-export default class GameManager {
+export default class GameManager extends EventEmitter {
+    /** Every event the engine emits, for listeners that track all state changes. */
+    static EVENTS = [
+        'playerJoined', 'draftStarted', 'draftTurn', 'draftComplete', 'cardsDealt',
+        'biddingStarted', 'bidRequested', 'handRevealed', 'bidPlaced', 'biddingComplete',
+        'exchangeStarted', 'exchangeCardsChosen', 'cardsExchanged',
+        'playStarted', 'playRequested', 'cardPlayed', 'spadesBroken', 'trickWon',
+        'roundScored', 'gameOver', 'turnWarning', 'turnTimedOut', 'playerAfk', 'playerReplaced',
+        'playerLeft', 'gameAbandoned', 'spectatorAdded', 'spectatorRemoved',
+        'seatChanged', 'seatSwapRequested', 'seatsRandomized', 'seatsLocked', 'playerReady', 'settingsChanged',
+        'botDifficultyChanged'
+    ];
+
     /**
-     * @param {function(string)} publicAnnounce - Function to send a message to the public game chat.
-     * @param {function(string, string)} privatePrompt - Function to send a DM to a specific player ID.
-     * @param {number} [targetScore=500] - The score required to win the game.
+     * @param {object} [rules] - House rules profile from Rules.js (defaults to the standard preset).
+     * @param {string} [seed] - Game seed for the shuffles; replaying a seed repeats every deal.
      */
-    constructor(publicAnnounce, privatePrompt, targetScore = 500) {
+    constructor(rules = createRules(), seed = generateSeed()) {
+        super();
+
         // Core game state
-        this.deck = new Deck();
-        this.players = [];
-        this.targetScore = targetScore; 
+        this.rules = rules;
+        this.seed = seed;
+        this.roundSeeds = [];        // The shuffle seed of each round played, in order
+        this.deck = new Deck(rules.deck);
+        this.players = [];           // Seating order; teammates sit across from each other
         this.isGameActive = false;
-	this.state = 'LOBBY'; // ✅ Add this line
+        this.state = 'LOBBY';        // LOBBY, BIDDING, PLAYING, GAME_OVER
+        this.channelId = null;       // Channel (or thread) the table is played in
+        this.parentChannelId = null; // For a table in a thread: the channel it was opened from
+        this.summaryMessageId = null; // For a table in a thread: its summary post in the parent channel
+        this.ownerId = null;         // Discord ID of the player who opened the lobby
+        this.spectators = [];        // Discord IDs of users watching the table
+        this.seatsLocked = false;    // Set by the lobby owner to stop players changing seats
+        this.seatRequests = {};      // Discord ID -> seat that player has asked to swap into
+        this.invitedUserIds = [];    // With invitedRoleIds: who may join an invite-only lobby (empty = anyone)
+        this.invitedRoleIds = [];
 
         // Round & Turn management
+        this.currentRound = 0;
+        this.dealerIndex = 0;
         this.currentPlayerIndex = 0; // The index of the player whose turn it is
+        this.tricksPerRound = 13;    // 13 with four players, 17 in three-handed cutthroat
         this.bidsTaken = 0;
         this.isBiddingActive = false;
 
+        // --- Honeymoon Draft ---
+        this.draftCard = null;        // The card the current drafter has turned over
+
+        // --- Blind Nil Card Exchange ---
+        this.exchangePairs = [];      // [blindNilId, partnerId] pairs swapping cards this round
+        this.exchangeSelections = {}; // Discord ID -> short codes chosen to pass (null until chosen)
+
         // --- Trick Play State ---
         this.isTrickActive = false;
         this.currentTrick = [];      // Stores {playerId: string, card: Card} objects
-        // CHANGED: trickSuit now consistently stores the single-character suit code ('C', 'D', 'H', 'S')
-        this.trickSuit = null;       // The suit that was led (e.g., 'C', 'D', 'H', 'S')
-        this.spadesBroken = false; // Tracks if a spade has been played as a trump this round
-        
-        // Communication hooks (MUST be implemented by the platform)
-        this.publicAnnounce = publicAnnounce;
-        this.privatePrompt = privatePrompt;
+        this.trickSuit = null;       // The suit code that was led (e.g., 'C', 'D', 'H', 'S')
+        this.spadesBroken = false;   // Tracks if a spade has been played this round
+        this.tricksPlayed = 0;       // Tricks completed this round
+
+        // --- Scoring State (keyed by team number) ---
+        this.teamScores = {};
+        this.teamBags = {};
+        this.winningTeam = null;     // Team number once the game is over (null on a tie)
+
+        // Deals, bids, tricks and scores of every round, recorded from this game's events
+        this.history = new GameHistory(this);
     }
 
     // --- Utility Methods ---
 
     /**
      * Finds a player object by their Discord ID.
-     * @param {string} playerId 
+     * @param {string} playerId
      * @returns {Player|undefined}
      */
     getPlayerById(playerId) {
-        // FIX: Use discordId property from Player class
         return this.players.find(p => p.discordId === playerId);
     }
-    
+
+    /**
+     * Returns the player whose turn it is to bid or play.
+     * @returns {Player|undefined}
+     */
+    getCurrentPlayer() {
+        return this.players[this.currentPlayerIndex];
+    }
+
     /**
      * Finds a card in a player's hand without removing it.
      * @param {Player} player - The player object.
-     * @param {string} cardCode - The two-character code of the card.
+     * @param {string} cardCode - The card code (e.g., 'AS', '10C', 'TC').
      * @returns {Card|undefined} The card object if found.
      */
     peekCardInHand(player, cardCode) {
-        const upperCode = cardCode.trim().toUpperCase();
-        return player.hand.find(card => card.code.toUpperCase() === upperCode);
+        return player.getCard(cardCode) || undefined;
     }
 
     /**
-     * Generates a readable display string for a player's hand, sorted.
-     * @param {Player} player 
-     * @returns {string} Formatted list of card codes/displays.
+     * Returns a formatted string of the player's hand using suit emojis.
+     * Example: A♠️ | 10♦️ | K♥️ | 3♣️
+     * @param {Player} player
+     * @returns {string}
      */
     getHandDisplay(player) {
-        player.sortHand(); // Ensure the hand is sorted before display
-        // Use the display property from the Card object (e.g., A♠️)
-        const handStrings = player.hand.map(card => card.display);
-        return handStrings.join(' | ');
+        player.sortHand();
+        return player.hand.map(card => card.code).join(' | ');
+    }
+
+    /**
+     * Returns the shuffle seed of the round in progress (null before the first deal).
+     * @returns {string|null}
+     */
+    getCurrentRoundSeed() {
+        return this.roundSeeds[this.currentRound - 1] ?? null;
+    }
+
+    /**
+     * Returns a player's bid for display ('?' before they have bid).
+     * @param {Player} player
+     * @returns {string}
+     */
+    getBidDisplay(player) {
+        if (player.bid === null) return '?';
+        if (player.isBlindNil) return 'Blind Nil';
+        return player.isNil ? 'Nil' : player.bid.toString();
     }
 
     // --- Player & Team Management ---
 
     /**
- 	* Adds a player and initializes their state.
- 	* @param {Object} playerDetails - Contains id, username, and guildId.
- 	* @returns {Object} Result object with either success or error.
- 	*/
-	addPlayer(playerDetails) {
-   	 if (this.players.length >= 4) {
-        return { error: 'Lobby is full!' };
+     * Whether this table plays in partnerships (as opposed to cutthroat or honeymoon).
+     * @returns {boolean}
+     */
+    hasPartnerships() {
+        return this.rules.mode === 'partnership';
     }
 
-    // Create and initialize the new player
-    const newPlayer = new Player(playerDetails.id, playerDetails.username);
-    newPlayer.discordId = playerDetails.id;
-    newPlayer.username = playerDetails.username;
-    newPlayer.guildId = playerDetails.guildId;
-    newPlayer.score = 0;
-    newPlayer.bags = 0;
+    /**
+     * Whether this is a two-player Honeymoon table, where hands are drafted from the stock.
+     * @returns {boolean}
+     */
+    isHoneymoon() {
+        return this.rules.mode === 'honeymoon';
+    }
 
-    // Temporary team assignment before partnerships are finalized
-    const teamId = (this.players.length % 2 === 0) ? 2 : 1;
-    newPlayer.team = teamId;
+    /**
+     * Adds a player and initializes their state.
+     * Players take the seat they asked for, or the first open one. The seat decides
+     * the team (see getSeatTeam); computer players are always ready. Nobody can sit
+     * down while the seats are locked.
+     * @param {Object} playerDetails - Contains id, username, guildId, optionally seat and
+     *   roleIds (checked against the invites), and for computer players isBot and botDifficulty.
+     * @returns {Object} Result object with either success or error.
+     */
+    addPlayer(playerDetails) {
+        if (this.state !== 'LOBBY') {
+            return { error: 'The game has already started.' };
+        }
+        if (this.getPlayerById(playerDetails.id)) {
+            return { error: 'You are already in this game.' };
+        }
+        if (this.isLobbyFull()) {
+            return { error: 'Lobby is full!' };
+        }
+        if (this.seatsLocked) {
+            return { error: 'The lobby owner has locked the seats.' };
+        }
+        if (!playerDetails.isBot && !this.isInvited(playerDetails.id, playerDetails.roleIds)) {
+            return { error: 'This lobby is invite-only.' };
+        }
+        const seat = playerDetails.seat ?? this.getOpenSeats()[0];
+        if (!this.getOpenSeats().includes(seat)) {
+            return { error: 'That seat is taken.' };
+        }
 
-    this.players.push(newPlayer);
+        const newPlayer = new Player(playerDetails.id, playerDetails.username);
+        newPlayer.guildId = playerDetails.guildId;
+        newPlayer.isBot = Boolean(playerDetails.isBot);
+        newPlayer.botDifficulty = newPlayer.isBot ? playerDetails.botDifficulty ?? 'normal' : null;
 
-    this.publicAnnounce(`Player **${newPlayer.username}** has joined (Team ${teamId} placeholder).`);
+        this.players.push(newPlayer);
+        this.seatPlayer(newPlayer, seat);
+        // A spectator who sits down stops watching
+        this.spectators = this.spectators.filter(id => id !== newPlayer.discordId);
+        this.emit('playerJoined', { player: newPlayer });
 
-    // Safely call setupPartnerships if it exists
-    if (this.players.length === 4 && typeof this.setupPartnerships === 'function') {
-        this.setupPartnerships();
+        return { success: true };
     }
 
-    return { success: true };
-}
+    /**
+     * Seats a computer player in the next open seat.
+     * Bots get IDs like "bot-1", which can never clash with a Discord ID.
+     * @param {string} [difficulty='normal'] - A key of BOT_DIFFICULTIES.
+     * @returns {Object} Result object with either success or error.
+     */
+    addBot(difficulty = 'normal') {
+        if (!this.rules.allowBots) {
+            return { error: 'Bots are not allowed at this table.' };
+        }
+        if (!BOT_DIFFICULTIES[difficulty]) {
+            return { error: `Unknown bot difficulty: ${difficulty}` };
+        }
+        const botNumber = this.getNextBotNumber();
+        return this.addPlayer({ id: `bot-${botNumber}`, username: `🤖 Bot ${botNumber}`, isBot: true, botDifficulty: difficulty });
+    }
+
+    /**
+     * Returns the number for the next computer player ("bot-<n>"), one above any seated so far.
+     * @returns {number}
+     */
+    getNextBotNumber() {
+        const numbers = this.players.filter(p => p.isBot).map(p => Number(p.discordId.split('-')[1]));
+        return Math.max(0, ...numbers) + 1;
+    }
+
+    /**
+     * Changes the difficulty of a computer player seated in the lobby.
+     * @param {string} playerId - ID of the computer player.
+     * @param {string} difficulty - A key of BOT_DIFFICULTIES.
+     * @returns {Object} Result object with either success or error.
+     */
+    setBotDifficulty(playerId, difficulty) {
+        if (this.state !== 'LOBBY') {
+            return { error: 'Bot difficulty can only be changed in the lobby.' };
+        }
+        const player = this.getPlayerById(playerId);
+        if (!player?.isBot) {
+            return { error: 'That seat is not a computer player.' };
+        }
+        if (!BOT_DIFFICULTIES[difficulty]) {
+            return { error: `Unknown bot difficulty: ${difficulty}` };
+        }
+
+        player.botDifficulty = difficulty;
+        this.emit('botDifficultyChanged', { player, difficulty });
+        return { success: true };
+    }
+
+    /**
+     * Returns the players on a team, in seating order.
+     * @param {number} teamId
+     * @returns {Player[]}
+     */
+    getTeamPlayers(teamId) {
+        return this.players.filter(p => p.team === teamId);
+    }
+
+    /**
+     * Returns the team numbers in play, in seating order.
+     * @returns {number[]}
+     */
+    getTeamIds() {
+        return [...new Set(this.players.map(p => p.team))].sort((a, b) => a - b);
+    }
+
+    /**
+     * Returns a short label for a team: "Team 1", or the player's name without partnerships.
+     * @param {number} teamId
+     * @returns {string}
+     */
+    getTeamLabel(teamId) {
+        return this.hasPartnerships() ? `Team ${teamId}` : this.getTeamPlayers(teamId)[0].username;
+    }
+
+    /**
+     * Returns a team label with its members, e.g. "Team 1 (Ann & Bo)".
+     * @param {number} teamId
+     * @returns {string}
+     */
+    getTeamName(teamId) {
+        if (!this.hasPartnerships()) return this.getTeamLabel(teamId);
+        return `Team ${teamId} (${this.getTeamPlayers(teamId).map(p => p.username).join(' & ')})`;
+    }
+
+    /**
+     * Returns the player sitting across the table from the given player
+     * (undefined without partnerships).
+     * @param {Player} player
+     * @returns {Player|undefined}
+     */
+    getPartner(player) {
+        return this.players.find(p => p.team === player.team && p !== player);
+    }
+
+    /**
+     * Returns how many points a team trails the leading opponent by (0 if not behind).
+     * @param {number} teamId
+     * @returns {number}
+     */
+    getTeamDeficit(teamId) {
+        const opponentScores = this.getTeamIds()
+            .filter(id => id !== teamId)
+            .map(id => this.teamScores[id]);
+        return Math.max(0, Math.max(...opponentScores) - this.teamScores[teamId]);
+    }
+
+    /**
+     * Returns the number of players currently in the lobby.
+     * @returns {number}
+     */
+    getLobbySize() {
+        return this.players.length;
+    }
+
+    /**
+     * Checks if the lobby has every seat filled.
+     * @returns {boolean}
+     */
+    isLobbyFull() {
+        return this.players.length >= this.getMaxPlayers();
+    }
+
+    /**
+     * Returns the fewest players the table can start with (4 in partnership, 3 in cutthroat, 2 in honeymoon).
+     * @returns {number}
+     */
+    getMinPlayers() {
+        return MODE_PLAYER_COUNTS[this.rules.mode].min;
+    }
+
+    /**
+     * Returns how many seats the table has (2 in honeymoon, otherwise 4).
+     * @returns {number}
+     */
+    getMaxPlayers() {
+        return MODE_PLAYER_COUNTS[this.rules.mode].max;
+    }
+
+    /**
+     * Checks if enough players have joined to start the game.
+     * @returns {boolean}
+     */
+    canStartGame() {
+        return this.players.length >= this.getMinPlayers() && this.players.length <= this.getMaxPlayers();
+    }
+
+    // --- Seating & Ready Check ---
+
+    /**
+     * Returns the names of the table's seats, clockwise from the first dealer.
+     * Partners sit across from each other: North/South against East/West.
+     * @returns {string[]}
+     */
+    getSeatNames() {
+        return this.getMaxPlayers() === 2 ? ['North', 'South'] : SEAT_NAMES;
+    }
+
+    /**
+     * Returns the team that plays from a seat: North/South are Team 1 and East/West
+     * Team 2 in partnerships; otherwise every seat is its own team.
+     * @param {number} seat
+     * @returns {number}
+     */
+    getSeatTeam(seat) {
+        return this.hasPartnerships() ? (seat % 2) + 1 : seat + 1;
+    }
+
+    /**
+     * Returns the lobby seats nobody is sitting in, in seat order.
+     * @returns {number[]}
+     */
+    getOpenSeats() {
+        return this.getSeatNames().map((_, seat) => seat).filter(seat => !this.players.some(p => p.seat === seat));
+    }
+
+    /**
+     * Puts a player in a seat (taking its team) and keeps the players in seat order.
+     * Moving unreadies a player, since the table they agreed to has changed.
+     * @param {Player} player
+     * @param {number} seat
+     */
+    seatPlayer(player, seat) {
+        player.seat = seat;
+        player.team = this.getSeatTeam(seat);
+        player.isReady = player.isBot;
+        delete this.seatRequests[player.discordId];
+        this.players.sort((a, b) => a.seat - b.seat);
+    }
+
+    /**
+     * Moves a lobby player to another seat. An empty seat is taken at once and a bot
+     * is swapped with; a person must agree to swap, by picking the other player's seat
+     * in return.
+     * @param {string} playerId - Discord ID of the player.
+     * @param {number} seat - The seat wanted (an index of getSeatNames()).
+     * @returns {object} Result object with error, or swappedWith / requested (the occupant asked to swap).
+     */
+    chooseSeat(playerId, seat) {
+        if (this.state !== 'LOBBY') {
+            return { error: 'Seats can only be changed in the lobby.' };
+        }
+        const player = this.getPlayerById(playerId);
+        if (!player) {
+            return { error: 'You are not in this lobby.' };
+        }
+        if (this.seatsLocked) {
+            return { error: 'The lobby owner has locked the seats.' };
+        }
+        if (!Number.isInteger(seat) || seat < 0 || seat >= this.getSeatNames().length) {
+            return { error: 'There is no such seat.' };
+        }
+        if (player.seat === seat) {
+            return { error: 'You are already sitting there.' };
+        }
+
+        const occupant = this.players.find(p => p.seat === seat);
+        if (occupant && !occupant.isBot && this.seatRequests[occupant.discordId] !== player.seat) {
+            this.seatRequests[playerId] = seat;
+            this.emit('seatSwapRequested', { player, occupant });
+            return { success: true, requested: occupant };
+        }
+
+        const previousSeat = player.seat;
+        this.seatPlayer(player, seat);
+        if (occupant) this.seatPlayer(occupant, previousSeat);
+
+        this.emit('seatChanged', { player, seat, swappedWith: occupant ?? null });
+        return { success: true, swappedWith: occupant ?? null };
+    }
+
+    /**
+     * Deals the lobby's players into random seats (and so random partnerships).
+     * @returns {object} Result object with either success or error.
+     */
+    randomizeSeats() {
+        if (this.state !== 'LOBBY') {
+            return { error: 'Seats can only be changed in the lobby.' };
+        }
+        if (this.seatsLocked) {
+            return { error: 'The lobby owner has locked the seats.' };
+        }
+
+        const seats = this.getSeatNames().map((_, seat) => seat);
+        for (let i = seats.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [seats[i], seats[j]] = [seats[j], seats[i]];
+        }
+        for (const [index, player] of [...this.players].entries()) {
+            this.seatPlayer(player, seats[index]);
+        }
+
+        this.emit('seatsRandomized', { players: [...this.players] });
+        return { success: true };
+    }
+
+    /**
+     * Locks or unlocks the seats, so players can no longer join, move, swap or be shuffled.
+     * @param {boolean} locked
+     * @returns {object} Result object with either success or error.
+     */
+    setSeatsLocked(locked) {
+        if (this.state !== 'LOBBY') {
+            return { error: 'Seats can only be locked in the lobby.' };
+        }
+
+        this.seatsLocked = locked;
+        this.seatRequests = {};
+        this.emit('seatsLocked', { locked });
+        return { success: true };
+    }
+
+    /**
+     * Marks a lobby player ready (or not). The game only starts once everyone is ready.
+     * @param {string} playerId - Discord ID of the player.
+     * @param {boolean} ready
+     * @returns {object} Result object with error, or allReady.
+     */
+    setReady(playerId, ready) {
+        if (this.state !== 'LOBBY') {
+            return { error: 'The game has already started.' };
+        }
+        const player = this.getPlayerById(playerId);
+        if (!player) {
+            return { error: 'You are not in this lobby.' };
+        }
+
+        player.isReady = ready;
+        this.emit('playerReady', { player, ready });
+        return { success: true, allReady: this.isEveryoneReady() };
+    }
+
+    /**
+     * Checks the ready check: every seated player (bots always are) has said they are ready.
+     * @returns {boolean}
+     */
+    isEveryoneReady() {
+        return this.players.every(p => p.isReady);
+    }
+
+    // --- Lobby Settings & Invites ---
+
+    /**
+     * Returns whether the lobby is open only to invited users and roles.
+     * @returns {boolean}
+     */
+    isInviteOnly() {
+        return this.invitedUserIds.length > 0 || this.invitedRoleIds.length > 0;
+    }
+
+    /**
+     * Checks whether a user may join (or watch) the table: anyone may when it is not
+     * invite-only; otherwise the owner, invited users and holders of an invited role.
+     * @param {string} userId - Discord ID of the user.
+     * @param {string[]} [roleIds=[]] - IDs of the user's roles in the server.
+     * @returns {boolean}
+     */
+    isInvited(userId, roleIds = []) {
+        return !this.isInviteOnly() ||
+            userId === this.ownerId ||
+            this.invitedUserIds.includes(userId) ||
+            roleIds.some(roleId => this.invitedRoleIds.includes(roleId));
+    }
+
+    /**
+     * Changes the table's settings before the game starts. Rules the table has changed
+     * from its preset are kept when switching presets. Turning bots off unseats any
+     * computer players already in the lobby.
+     * @param {object} settings - Any of preset, bidding, targetScore, turnTimeLimit,
+     *   allowBots, invitedUserIds and invitedRoleIds.
+     * @returns {object} Result object with error, or removedBots.
+     */
+    updateLobbySettings({ preset, invitedUserIds, invitedRoleIds, ...ruleChanges }) {
+        if (this.state !== 'LOBBY') {
+            return { error: 'Settings can only be changed before the game starts.' };
+        }
+        if (preset !== undefined && !RULE_PRESETS[preset]) {
+            return { error: `Unknown rules preset: ${preset}` };
+        }
+        const { targetScore, turnTimeLimit } = ruleChanges;
+        if (targetScore !== undefined &&
+            !(Number.isInteger(targetScore) && targetScore >= TARGET_SCORE_LIMITS.min && targetScore <= TARGET_SCORE_LIMITS.max)) {
+            return { error: `The target score must be a whole number from ${TARGET_SCORE_LIMITS.min} to ${TARGET_SCORE_LIMITS.max}.` };
+        }
+        if (turnTimeLimit !== undefined &&
+            !(Number.isInteger(turnTimeLimit) && (turnTimeLimit === 0 || (turnTimeLimit >= TURN_TIME_LIMITS.min && turnTimeLimit <= TURN_TIME_LIMITS.max)))) {
+            return { error: `The turn timer must be 0 (no limit) or ${TURN_TIME_LIMITS.min}–${TURN_TIME_LIMITS.max} seconds.` };
+        }
+
+        const currentPreset = RULE_PRESETS[this.rules.preset];
+        const tableChanges = Object.fromEntries(Object.entries(this.rules)
+            .filter(([key, value]) => !['name', 'preset'].includes(key) && currentPreset[key] !== value));
+        const definedChanges = Object.fromEntries(Object.entries(ruleChanges).filter(([, value]) => value !== undefined));
+        this.rules = createRules(preset ?? this.rules.preset, { ...tableChanges, ...definedChanges });
+        this.deck = new Deck(this.rules.deck);
 
+        if (invitedUserIds) this.invitedUserIds = [...invitedUserIds];
+        if (invitedRoleIds) this.invitedRoleIds = [...invitedRoleIds];
+
+        const removedBots = this.rules.allowBots ? [] : this.players.filter(p => p.isBot);
+        this.players = this.players.filter(p => !removedBots.includes(p));
+        for (const bot of removedBots) {
+            this.emit('playerLeft', { player: bot });
+        }
+
+        this.emit('settingsChanged', { rules: this.rules, removedBots });
+        return { success: true, removedBots };
+    }
+
+    // --- Spectators ---
+
+    /**
+     * Lets a user watch the table. Players cannot watch their own game, and only
+     * invitees may watch an invite-only one.
+     * @param {string} userId - Discord ID of the user.
+     * @param {string[]} [roleIds=[]] - IDs of the user's roles in the server.
+     * @returns {object} Result object with either success or error.
+     */
+    addSpectator(userId, roleIds = []) {
+        if (this.state === 'GAME_OVER') {
+            return { error: 'This game is already over.' };
+        }
+        if (!this.isInvited(userId, roleIds)) {
+            return { error: 'This game is private.' };
+        }
+        if (this.getPlayerById(userId)) {
+            return { error: 'You are playing in this game, so you cannot watch it.' };
+        }
+        if (this.spectators.includes(userId)) {
+            return { error: 'You are already watching this game.' };
+        }
+
+        this.spectators.push(userId);
+        this.emit('spectatorAdded', { userId });
+        return { success: true };
+    }
+
+    /**
+     * Stops a user watching the table.
+     * @param {string} userId - Discord ID of the user.
+     * @returns {object} Result object with either success or error.
+     */
+    removeSpectator(userId) {
+        if (!this.spectators.includes(userId)) {
+            return { error: 'You are not watching this game.' };
+        }
+
+        this.spectators = this.spectators.filter(id => id !== userId);
+        this.emit('spectatorRemoved', { userId });
+        return { success: true };
+    }
+
+    /**
+     * Returns whether a user has watched this table with every hand showing, and so
+     * may not take a seat in it.
+     * @param {string} userId - Discord ID of the user.
+     * @returns {boolean}
+     */
+    hasSeenHands(userId) {
+        return this.rules.spectatorHands && this.spectators.includes(userId);
+    }
 
     // --- Game Setup and Dealing ---
 
-	/**
-	 * Checks if the lobby has reached 4 players.
-	 * @returns {boolean}
-	 */
-	isLobbyFull() {
-	    return this.players.length >= 4;
-}
+    /**
+     * Starts the game from the lobby: the first player deals and the first round begins.
+     * @returns {Object} Result object with either success or error.
+     */
+    startGame() {
+        if (!this.canStartGame()) {
+            const { min, max } = MODE_PLAYER_COUNTS[this.rules.mode];
+            const requirement = min === max ? `exactly ${min} players` : `${min} or ${max} players`;
+            return { error: `This game requires ${requirement} to start.` };
+        }
+        if (!this.isEveryoneReady()) {
+            const waiting = this.players.filter(p => !p.isReady).map(p => `**${p.username}**`);
+            return { error: `Waiting for ${waiting.join(', ')} to be ready.` };
+        }
 
+        // A short-handed table closes up its empty seats
+        this.players.forEach((player, index) => {
+            player.seat = index;
+            player.team = this.getSeatTeam(index);
+        });
+        this.seatRequests = {};
+
+        this.isGameActive = true;
+        this.currentRound = 0;
+        this.roundSeeds = [];
+        this.dealerIndex = 0;
+        this.teamScores = Object.fromEntries(this.getTeamIds().map(id => [id, 0]));
+        this.teamBags = Object.fromEntries(this.getTeamIds().map(id => [id, 0]));
+        this.winningTeam = null;
+
+        this.startRound();
+        return { success: true };
+    }
 
-startGame() {
-    if (this.players.length !== 4) {
-        this.publicAnnounce("Error: Spades requires exactly 4 players to start.");
-        return;
+    /**
+     * Resets round state, deals a fresh deck and opens bidding with the player left of the dealer.
+     */
+    startRound() {
+        this.currentRound++;
+        this.currentTrick = [];
+        this.trickSuit = null;
+        this.spadesBroken = false;
+        this.tricksPlayed = 0;
+
+        // Each round is shuffled from its own recorded seed so the deal can be reproduced
+        const roundSeed = getRoundSeed(this.seed, this.currentRound);
+        this.roundSeeds.push(roundSeed);
+        this.deck.reset();
+        this.deck.shuffle(createRandom(roundSeed));
+
+        this.currentPlayerIndex = (this.dealerIndex + 1) % this.players.length;
+
+        // Honeymoon players build their hands from the stock before bidding
+        if (this.isHoneymoon()) {
+            this.startDraft();
+            return;
+        }
+
+        this.dealCards();
+        this.startBidding();
     }
 
-    this.isGameActive = true;
-    this.deck.reset();
-    this.deck.shuffle();
-    this.dealCards();
-    this.startBidding();
-}
+    // --- Honeymoon Draft ---
+
+    /**
+     * Starts the Honeymoon draft: players take turns drawing from the stock,
+     * beginning with the non-dealer.
+     */
+    startDraft() {
+        this.players.forEach(p => p.resetForNewRound());
+        this.state = 'DRAFT';
 
-dealCards() {
-    // Clear hands and reset round state
-    this.players.forEach(p => p.resetForNewRound());
+        this.emit('draftStarted', { round: this.currentRound, dealer: this.players[this.dealerIndex] });
+        this.drawDraftCard();
+    }
 
-    // Deals 13 cards to each of the 4 players
-    for (let i = 0; i < 52; i++) {
-        const card = this.deck.deal();
-        const playerIndex = i % this.players.length;
-        this.players[playerIndex].addCard(card);
+    /** Turns over the top card of the stock for the current drafter. */
+    drawDraftCard() {
+        this.draftCard = this.deck.deal();
+        this.emit('draftTurn', {
+            player: this.getCurrentPlayer(),
+            card: this.draftCard,
+            cardsLeft: this.deck.cards.length + 1
+        });
     }
 
-    // 1. Sort hands and privately send them
-    this.players.forEach(player => {
-        const handDisplay = this.getHandDisplay(player); // Use the utility method
-        this.privatePrompt(player.discordId, `Your hand for this round:\n\`${handDisplay}\``);
-    });
+    /**
+     * Resolves a Honeymoon draw. Keeping the drawn card discards the next card;
+     * discarding it means the next card must be kept. Either way the player sees both.
+     * @param {string} playerId - Discord ID of the player.
+     * @param {boolean} keep - Whether to keep the card currently drawn.
+     * @returns {object} Result object with error, kept, discarded, draftComplete and cardsLeft.
+     */
+    tryDraftDecision(playerId, keep) {
+        if (this.state !== 'DRAFT') {
+            return { error: 'There is no draft in progress.' };
+        }
 
-    this.publicAnnounce("Cards have been dealt privately to all players. Bidding will now commence!");
-}
+        const player = this.getCurrentPlayer();
+        if (player.discordId !== playerId) {
+            return { error: `It is not your turn to draw. It is **${player.username}**'s turn.` };
+        }
+        this.recordAction(player);
 
-/**
- * Returns a formatted string of the player's hand using suit emojis.
- * Example: A♠️ | 10♦️ | K♥️ | 3♣️
- * @param {Player} player
- * @returns {string}
- */
-getHandDisplay(player) {
-    player.sortHand();
-    return player.hand.map(card => card.code).join(' | ');
-}
+        const nextCard = this.deck.deal();
+        const kept = keep ? this.draftCard : nextCard;
+        const discarded = keep ? nextCard : this.draftCard;
+
+        player.addCard(kept);
+        player.sortHand();
+        this.draftCard = null;
+
+        const result = { error: null, kept, discarded, draftComplete: false, cardsLeft: this.deck.cards.length };
+
+        if (this.deck.cards.length === 0) {
+            result.draftComplete = true;
+            this.completeDraft();
+            return result;
+        }
+
+        this.currentPlayerIndex = (this.currentPlayerIndex + 1) % this.players.length;
+        this.drawDraftCard();
+        return result;
+    }
+
+    /** Ends the draft and opens bidding with the non-dealer. */
+    completeDraft() {
+        this.tricksPerRound = this.players[0].hand.length;
+        this.currentPlayerIndex = (this.dealerIndex + 1) % this.players.length;
+
+        this.emit('draftComplete', { tricksPerRound: this.tricksPerRound });
+        this.startBidding();
+    }
 
+    dealCards() {
+        // Clear hands and reset round state
+        this.players.forEach(p => p.resetForNewRound());
+
+        // A three-handed deal drops the lowest club so each player gets 17 cards
+        let removedCard = null;
+        if (this.deck.cards.length % this.players.length !== 0) {
+            removedCard = this.deck.removeLowestOfSuit('C');
+        }
+
+        // Deals the whole deck: 13 cards each with 4 players, 17 each with 3
+        const totalCards = this.deck.cards.length;
+        this.tricksPerRound = totalCards / this.players.length;
+        for (let i = 0; i < totalCards; i++) {
+            const card = this.deck.deal();
+            const playerIndex = i % this.players.length;
+            this.players[playerIndex].addCard(card);
+        }
+
+        this.players.forEach(p => p.sortHand());
+
+        // Hold back the hand of anyone who may still choose Blind Nil
+        this.players.forEach(p => {
+            p.hasSeenHand = !this.canBidBlindNil(p);
+        });
+
+        this.emit('cardsDealt', { round: this.currentRound, dealer: this.players[this.dealerIndex], removedCard });
+    }
 
     // --- Bidding Logic ---
 
-startBidding() {
-    this.state = 'BIDDING'; // ✅ Enables bid button interactions
-    this.isBiddingActive = true;
-    this.bidsTaken = 0;
+    startBidding() {
+        this.state = 'BIDDING';
+        this.isBiddingActive = true;
+        this.bidsTaken = 0;
 
-    const startingPlayer = this.players[this.currentPlayerIndex];
+        this.emit('biddingStarted', {
+            round: this.currentRound,
+            dealer: this.players[this.dealerIndex],
+            firstBidder: this.getCurrentPlayer()
+        });
+        this.requestBid(this.getCurrentPlayer());
+    }
 
-    this.publicAnnounce(`**${startingPlayer.username}** is the first player to bid.`);
-    this.sendBidPrompt(startingPlayer);
-}
+    /**
+     * Asks a player for their bid. A player whose hand is still face down may only
+     * bid Blind Nil or reveal it, so no legal bids are listed for them yet.
+     * @param {Player} player
+     */
+    requestBid(player) {
+        this.emit('bidRequested', {
+            player,
+            legalBids: player.hasSeenHand ? this.getLegalBids(player) : [],
+            blindNilAvailable: !player.hasSeenHand
+        });
+    }
 
-sendBidPrompt(player) {
-    this.publicAnnounce(`**It is Player ${player.username}'s turn to bid.**`);
+    /**
+     * Returns the bids a player may make under the table's bidding variant
+     * (0 stands for Nil):
+     * - standard: Nil or 1 up to the tricks in the round, subject to the minimum team bid
+     * - suicide: one partner bids Nil and the other at least 4
+     * - mirror: exactly the number of Spades held (Nil with none)
+     * - whiz: the number of Spades held, or Nil
+     * @param {Player} player
+     * @returns {number[]} Legal bids in ascending order.
+     */
+    getLegalBids(player) {
+        const spadeCount = player.hand.filter(card => card.suitCode === 'S').length;
+        const allBids = Array.from({ length: this.tricksPerRound + 1 }, (_, bid) => bid);
+        const partner = this.getPartner(player);
+
+        switch (this.rules.bidding) {
+            case 'mirror':
+                return [spadeCount];
+            case 'whiz':
+                return spadeCount === 0 ? [0] : [0, spadeCount];
+            case 'suicide':
+                if (partner) {
+                    if (partner.bid === null) return allBids.filter(bid => bid === 0 || bid >= SUICIDE_MIN_BID);
+                    return partner.isNil ? allBids.filter(bid => bid >= SUICIDE_MIN_BID) : [0];
+                }
+                return allBids;
+            default:
+                return allBids.filter(bid => !this.checkMinimumTeamBid(player, bid));
+        }
+    }
+
+    /**
+     * Explains why a bid is not among a player's legal bids.
+     * @param {Player} player
+     * @param {number} bidAmount
+     * @returns {string}
+     */
+    getBidRestrictionMessage(player, bidAmount) {
+        const legalBids = formatBidList(this.getLegalBids(player));
+
+        switch (this.rules.bidding) {
+            case 'mirror':
+                return `Mirror bidding: you must bid the number of Spades you hold (**${legalBids}**).`;
+            case 'whiz':
+                return `Whiz bidding: you must bid the number of Spades you hold, or Nil (**${legalBids}**).`;
+            case 'suicide':
+                return `Suicide bidding: one partner must bid Nil and the other at least ${SUICIDE_MIN_BID}. You may bid **${legalBids}**.`;
+            default:
+                return this.checkMinimumTeamBid(player, bidAmount) ?? `You may bid **${legalBids}**.`;
+        }
+    }
+
+    /**
+     * Checks whether a player may still bid Blind Nil this round: the rules allow it,
+     * the bidding variant does not force bids from the hand, they have not looked at
+     * their hand, and their team trails by the required margin.
+     * @param {Player} player
+     * @returns {boolean}
+     */
+    canBidBlindNil(player) {
+        const { allowBlindNil, blindNilDeficit, bidding } = this.rules;
+        return allowBlindNil &&
+            (bidding === 'standard' || bidding === 'suicide') &&
+            player.bid === null &&
+            this.getTeamDeficit(player.team) >= blindNilDeficit;
+    }
+
+    /**
+     * Shows a held-back hand to its player, giving up the Blind Nil option.
+     * @param {string} playerId - Discord ID of the player.
+     * @returns {object} Result object with either success or error.
+     */
+    revealHand(playerId) {
+        const player = this.getPlayerById(playerId);
+        if (!player) {
+            return { error: 'You are not a player in this game.' };
+        }
+        if (player.hasSeenHand) {
+            return { success: true };
+        }
+        if (player.bid !== null) {
+            return { error: 'You have already bid this round.' };
+        }
+
+        player.hasSeenHand = true;
+        this.emit('handRevealed', { player });
+        return { success: true };
+    }
+
+    /**
+     * Handles a bid submitted as text (e.g., '4' or 'nil').
+     * @returns {object} The tryPlaceBid result, or an error if the text is not a bid.
+     */
+    processBid(playerId, rawBidValue) {
+        const bidAmount = this.validateBid(rawBidValue);
+        if (bidAmount === null) {
+            return { error: `Invalid bid. Please enter a number between 1 and ${this.tricksPerRound}, or 'Nil' (case-insensitive).` };
+        }
+        return this.tryPlaceBid(playerId, bidAmount);
+    }
+
+    /**
+     * Parses a raw bid value.
+     * @param {string|number} rawBidValue
+     * @returns {number|null} 0 for Nil, 1 up to the tricks in the round otherwise, or null if invalid.
+     */
+    validateBid(rawBidValue) {
+        const value = String(rawBidValue).trim().toUpperCase();
+        if (value === 'NIL') {
+            return 0;
+        }
+        const num = Number(value);
+        if (Number.isInteger(num) && num >= 0 && num <= this.tricksPerRound) {
+            return num;
+        }
+        return null;
+    }
+
+    advanceTurn(phase) {
+        this.currentPlayerIndex = (this.currentPlayerIndex + 1) % this.players.length;
+        const nextPlayer = this.getCurrentPlayer();
+
+        if (phase === 'bid') {
+            this.requestBid(nextPlayer);
+        } else if (phase === 'trick') {
+            this.requestPlay(nextPlayer);
+        }
+    }
+
+    endBidding() {
+        this.isBiddingActive = false;
+
+        const teamBids = Object.fromEntries(this.getTeamIds().map(teamId =>
+            [teamId, this.getTeamPlayers(teamId).reduce((sum, p) => sum + p.bid, 0)]
+        ));
+        this.emit('biddingComplete', { teamBids });
+
+        // The player left of the dealer leads the first trick
+        this.currentPlayerIndex = (this.dealerIndex + 1) % this.players.length;
+
+        if (this.rules.blindNilExchange > 0 && this.players.some(p => p.isBlindNil && this.getPartner(p))) {
+            this.startCardExchange();
+        } else {
+            this.startTricks();
+        }
+    }
+
+    // --- Blind Nil Card Exchange ---
+
+    /**
+     * Pairs each Blind Nil bidder with their partner and asks both to pick cards to pass.
+     */
+    startCardExchange() {
+        this.state = 'EXCHANGE';
+        this.exchangePairs = [];
+        this.exchangeSelections = {};
+
+        for (const teamId of this.getTeamIds()) {
+            const team = this.getTeamPlayers(teamId);
+            const blindNilPlayer = team.find(p => p.isBlindNil);
+            const partner = blindNilPlayer && this.getPartner(blindNilPlayer);
+            if (!partner) continue;
+
+            this.exchangePairs.push([blindNilPlayer.discordId, partner.discordId]);
+            this.exchangeSelections[blindNilPlayer.discordId] = null;
+            this.exchangeSelections[partner.discordId] = null;
+        }
+
+        this.emit('exchangeStarted', {
+            pairs: this.exchangePairs.map(ids => ids.map(id => this.getPlayerById(id))),
+            count: this.rules.blindNilExchange
+        });
+    }
+
+    /**
+     * Returns the Discord IDs of players taking part in the current card exchange.
+     * @returns {string[]}
+     */
+    getExchangeParticipants() {
+        return Object.keys(this.exchangeSelections);
+    }
+
+    /**
+     * Records the cards a player wants to pass to their partner. Once every participant
+     * has chosen, the cards are swapped and trick play begins.
+     * @param {string} playerId - Discord ID of the player.
+     * @param {string[]} cardCodes - Codes of the cards to pass (e.g., ['AS', '10C']).
+     * @returns {object} Result object with error, exchangeComplete and waitingFor (usernames).
+     */
+    trySubmitExchange(playerId, cardCodes) {
+        if (this.state !== 'EXCHANGE') {
+            return { error: 'There is no card exchange in progress.' };
+        }
+        if (!(playerId in this.exchangeSelections)) {
+            return { error: 'You are not part of this card exchange.' };
+        }
+        if (this.exchangeSelections[playerId] !== null) {
+            return { error: 'You have already chosen your cards to pass.' };
+        }
+
+        const player = this.getPlayerById(playerId);
+        const count = this.rules.blindNilExchange;
+        const cards = cardCodes.map(code => player.getCard(code));
+        const uniqueCodes = new Set(cards.map(card => card?.shortDisplay));
+
+        if (cards.length !== count || cards.some(card => !card) || uniqueCodes.size !== count) {
+            return { error: `Choose exactly ${count} different card(s) from your hand.` };
+        }
+
+        this.recordAction(player);
+        this.exchangeSelections[playerId] = cards.map(card => card.shortDisplay);
+
+        const waitingFor = this.getExchangeParticipants()
+            .filter(id => this.exchangeSelections[id] === null)
+            .map(id => this.getPlayerById(id).username);
+
+        this.emit('exchangeCardsChosen', { player, waitingFor });
+        if (waitingFor.length > 0) {
+            return { error: null, exchangeComplete: false, waitingFor };
+        }
+
+        this.completeCardExchange();
+        return { error: null, exchangeComplete: true, waitingFor };
+    }
+
+    /** Swaps the chosen cards between each exchange pair and starts trick play. */
+    completeCardExchange() {
+        const exchanges = [];
+
+        for (const [blindNilId, partnerId] of this.exchangePairs) {
+            const blindNilPlayer = this.getPlayerById(blindNilId);
+            const partner = this.getPlayerById(partnerId);
+
+            const fromBlindNil = this.exchangeSelections[blindNilId].map(code => blindNilPlayer.playCard(code));
+            const fromPartner = this.exchangeSelections[partnerId].map(code => partner.playCard(code));
+
+            fromBlindNil.forEach(card => partner.addCard(card));
+            fromPartner.forEach(card => blindNilPlayer.addCard(card));
+            blindNilPlayer.sortHand();
+            partner.sortHand();
+
+            exchanges.push({ blindNilPlayer, partner, fromBlindNil, fromPartner });
+        }
+
+        this.exchangePairs = [];
+        this.exchangeSelections = {};
+        this.emit('cardsExchanged', { exchanges });
+        this.startTricks();
+    }
+
+    /**
+     * Enforces the table's minimum combined bid when the second partner bids.
+     * The minimum does not apply when either partner bids Nil.
+     * @param {Player} player - The player bidding.
+     * @param {number} bidAmount - 0 for Nil, 1–13 otherwise.
+     * @returns {string|null} An error message, or null if the bid is allowed.
+     */
+    checkMinimumTeamBid(player, bidAmount) {
+        const partner = this.getPartner(player);
+        const minimum = this.rules.minimumTeamBid;
+
+        if (!minimum || !partner || partner.bid === null || partner.isNil || bidAmount === 0) {
+            return null;
+        }
+        if (partner.bid + bidAmount < minimum) {
+            return `Your team must bid at least **${minimum}** combined. Your partner bid ${partner.bid}, so bid ${minimum - partner.bid} or more (or Nil).`;
+        }
+        return null;
+    }
+
+    /**
+     * Handles a bid from a player via button interaction.
+     * Returns structured data for interaction response.
+     * @param {string} playerId - Discord ID of the player
+     * @param {number} bidAmount - 0 for Nil, 1–13 otherwise
+     * @returns {object} Result object with bidDisplay, error, biddingComplete, bidsRemaining
+     */
+    tryPlaceBid(playerId, bidAmount) {
+        if (!this.isBiddingActive || this.state !== 'BIDDING') {
+            return { error: 'Bidding is not currently active.' };
+        }
+
+        const currentPlayer = this.getCurrentPlayer();
+
+        if (currentPlayer.discordId !== playerId) {
+            return { error: `It is not your turn to bid. Please wait for your turn.` };
+        }
 
-    const instruction = "Enter your bid (a number from **1 to 13**, or **'Nil'**). Submit this in your direct message (DM) to me now.";
-    this.privatePrompt(player.discordId, instruction);
-}
+        if (!currentPlayer.hasSeenHand) {
+            return { error: 'Look at your hand before bidding, or bid Blind Nil.' };
+        }
 
-/**
- * Handles a bid submitted privately by a player.
- */
-processBid(playerId, rawBidValue) {
-    if (!this.isBiddingActive) {
-        this.privatePrompt(playerId, "The bidding phase is not currently active.");
-        return false;
-    }
+        if (!Number.isInteger(bidAmount) || bidAmount < 0 || bidAmount > this.tricksPerRound) {
+            return { error: `Invalid bid amount. Must be 0 (Nil) or between 1 and ${this.tricksPerRound}.` };
+        }
 
-    const currentPlayer = this.players[this.currentPlayerIndex];
+        if (!this.getLegalBids(currentPlayer).includes(bidAmount)) {
+            return { error: this.getBidRestrictionMessage(currentPlayer, bidAmount) };
+        }
 
-    // Enforce Sequential Turn Order
-    if (currentPlayer.discordId !== playerId) {
-        this.privatePrompt(playerId, "It is not your turn to bid. Please wait for the public announcement.");
-        return false;
+        currentPlayer.setBid(bidAmount);
+        return this.completeBid(currentPlayer);
     }
 
-    const parsedBid = this.validateBid(rawBidValue);
-    if (parsedBid === null) {
-        this.privatePrompt(playerId, "Invalid bid. Please enter a number between 1 and 13, or 'Nil' (case-insensitive).");
-        return false;
-    }
+    /**
+     * Handles a Blind Nil bid, made before the player has looked at their hand.
+     * @param {string} playerId - Discord ID of the player
+     * @returns {object} Result object with bidDisplay, error, biddingComplete, bidsRemaining
+     */
+    tryPlaceBlindNil(playerId) {
+        if (!this.isBiddingActive || this.state !== 'BIDDING') {
+            return { error: 'Bidding is not currently active.' };
+        }
 
-    // Record the Bid
-    const bidAmount = (parsedBid === 'NIL') ? 0 : parsedBid;
-    currentPlayer.setBid(bidAmount);
-    this.bidsTaken++;
+        const currentPlayer = this.getCurrentPlayer();
 
-    // Public Announcement
-    const announcement = currentPlayer.isNil
-        ? `**Player ${currentPlayer.username} bids NIL!**`
-        : `**Player ${currentPlayer.username} bids ${currentPlayer.bid}.**`;
+        if (currentPlayer.discordId !== playerId) {
+            return { error: `It is not your turn to bid. Please wait for your turn.` };
+        }
 
-    this.publicAnnounce(announcement);
+        if (currentPlayer.hasSeenHand || !this.canBidBlindNil(currentPlayer)) {
+            return { error: `Blind Nil is only allowed before you look at your hand, when your team trails by ${this.rules.blindNilDeficit} or more.` };
+        }
 
-    // Advance Turn or End Bidding
-    if (this.bidsTaken < this.players.length) {
-        this.advanceTurn('bid');
-    } else {
-        this.endBidding();
+        currentPlayer.setBid(0, true);
+        currentPlayer.hasSeenHand = true;
+        return this.completeBid(currentPlayer);
     }
 
-    return true;
-}
+    /**
+     * Counts a recorded bid and moves bidding on to the next player, or ends it.
+     * @param {Player} player - The player who just bid.
+     * @returns {object} Result object with bidDisplay, error, biddingComplete, bidsRemaining
+     */
+    completeBid(player) {
+        this.recordAction(player);
+        this.bidsTaken++;
+        const bidDisplay = this.getBidDisplay(player);
+        const bidsRemaining = this.players.length - this.bidsTaken;
 
-validateBid(rawBidValue) {
-    const value = rawBidValue.trim().toUpperCase();
-    if (value === 'NIL') {
-        return 'NIL';
-    }
-    const num = parseInt(value, 10);
-    if (num >= 1 && num <= 13) {
-        return num;
-    }
-    return null;
-}
+        this.emit('bidPlaced', { player, bid: player.bid, isBlindNil: player.isBlindNil, bidDisplay, bidsRemaining });
 
-advanceTurn(phase) {
-    this.currentPlayerIndex = (this.currentPlayerIndex + 1) % this.players.length;
-    const nextPlayer = this.players[this.currentPlayerIndex];
+        let biddingComplete = false;
+        if (this.bidsTaken < this.players.length) {
+            this.advanceTurn('bid');
+        } else {
+            biddingComplete = true;
+            this.endBidding();
+        }
 
-    if (phase === 'bid') {
-        this.sendBidPrompt(nextPlayer);
-    } else if (phase === 'trick') {
-        this.sendPlayCardPrompt(nextPlayer);
+        return {
+            bidDisplay,
+            error: null,
+            biddingComplete,
+            bidsRemaining
+        };
     }
-}
 
-endBidding() {
-    this.isBiddingActive = false;
+    /**
+     * Returns a formatted string showing team bids, tricks, scores and bags.
+     * In cutthroat this is a per-player scoreboard.
+     */
+    getTeamScoreDisplay() {
+        const teamIcons = { 1: '🟥', 2: '🟦', 3: '🟩', 4: '🟨' };
+
+        return this.getTeamIds().map(teamId => {
+            const team = this.getTeamPlayers(teamId);
+            const teamBid = team.reduce((sum, p) => sum + (p.bid ?? 0), 0);
+            const teamTricks = team.reduce((sum, p) => sum + p.tricksWon, 0);
+            const name = this.hasPartnerships()
+                ? `**Team ${teamId}** (${team.map(p => p.username).join(' & ')})`
+                : `**${this.getTeamLabel(teamId)}**`;
+
+            return `${teamIcons[teamId]} ${name}: ` +
+                   `Bid **${teamBid}**, Tricks **${teamTricks}**, Score **${this.teamScores[teamId] ?? 0}**, Bags **${this.teamBags[teamId] ?? 0}**`;
+        }).join('\n');
+    }
 
-    const team1 = this.players.filter(p => p.team === 1);
-    const team2 = this.players.filter(p => p.team === 2);
+    // --- Trick Playing Logic ---
 
-    const team1Bid = team1.reduce((sum, p) => sum + p.bid, 0);
-    const team2Bid = team2.reduce((sum, p) => sum + p.bid, 0);
+    startTricks() {
+        this.state = 'PLAYING';
+        this.isTrickActive = true;
 
-    this.publicAnnounce("\n--- Bidding Complete ---");
-    this.publicAnnounce(`Team 1 (${team1.map(p => p.username).join(' & ')}): **${team1Bid}**`);
-    this.publicAnnounce(`Team 2 (${team2.map(p => p.username).join(' & ')}): **${team2Bid}**`);
-    this.publicAnnounce("The first trick will now begin!");
+        // Reset state for the new trick
+        this.currentTrick = [];
+        this.trickSuit = null;
 
-    // Transition to Trick Playing
-    this.startTricks();
-}
- /**
- * Handles a bid from a player via button interaction.
- * Returns structured data for interaction response.
- * @param {string} playerId - Discord ID of the player
- * @param {number} bidAmount - 0 for Nil, 1–13 otherwise
- * @returns {object} Result object with bidDisplay, error, biddingComplete, bidsRemaining
- */
-tryPlaceBid(playerId, bidAmount) {
-    if (!this.isBiddingActive || this.state !== 'BIDDING') {
-        return { error: 'Bidding is not currently active.' };
+        const leadingPlayer = this.getCurrentPlayer();
+        this.emit('playStarted', { leader: leadingPlayer });
+        this.requestPlay(leadingPlayer);
     }
 
-    const currentPlayer = this.players[this.currentPlayerIndex];
-
-    if (currentPlayer.discordId !== playerId) {
-        return { error: `It is not your turn to bid. Please wait for your turn.` };
+    /**
+     * Returns the cards played so far in the current trick, with their players.
+     * @returns {{player: Player, card: Card}[]}
+     */
+    getTrickCards() {
+        return this.currentTrick.map(entry => ({ player: this.getPlayerById(entry.playerId), card: entry.card }));
     }
 
-    if (typeof bidAmount !== 'number' || bidAmount < 0 || bidAmount > 13) {
-        return { error: 'Invalid bid amount. Must be 0 (Nil) or between 1 and 13.' };
+    /**
+     * Asks a player to play a card to the current trick.
+     * @param {Player} player
+     */
+    requestPlay(player) {
+        player.sortHand();
+        this.emit('playRequested', { player, trick: this.getTrickCards(), leadSuit: this.trickSuit });
     }
 
-    currentPlayer.setBid(bidAmount);
-    this.bidsTaken++;
+    /**
+     * Checks a card against the Spades play rules for the current trick.
+     * @param {Player} player - The player attempting the play.
+     * @param {Card} card - A card from the player's hand.
+     * @returns {string|null} A description of the broken rule, or null if the play is legal.
+     */
+    validatePlay(player, card) {
+        if (this.currentTrick.length === 0) {
+            // Rule: Cannot lead with Spades unless Spades are broken OR player is "spades-only"
+            const hasOnlySpades = player.hand.every(c => c.suitCode === 'S');
+            if (card.suitCode === 'S' && this.rules.spadesMustBeBroken && !this.spadesBroken && !hasOnlySpades) {
+                return "You cannot lead with a Spade until Spades have been broken, unless your hand consists only of Spades. Please play a different suit.";
+            }
+            return null;
+        }
 
-    const bidDisplay = bidAmount === 0 ? 'Nil' : bidAmount.toString();
+        // Rule: Must follow suit if possible
+        if (card.suitCode !== this.trickSuit && player.hasSuit(this.trickSuit)) {
+            const ledSuitDisplay = Card.CARD_EMOJIS[this.trickSuit] || this.trickSuit;
+            return `You must follow suit and play a **${this.trickSuit}${ledSuitDisplay}** card if you have one. Please try again.`;
+        }
+        return null;
+    }
 
-    let biddingComplete = false;
-    if (this.bidsTaken < this.players.length) {
-        this.advanceTurn('bid');
-    } else {
-        biddingComplete = true;
-        this.endBidding();
+    /**
+     * Returns the cards in a player's hand that may legally be played to the current trick.
+     * @param {Player} player
+     * @returns {Card[]}
+     */
+    getLegalCards(player) {
+        return player.hand.filter(card => !this.validatePlay(player, card));
     }
 
-    return {
-        bidDisplay,
-        error: null,
-        biddingComplete,
-        bidsRemaining: this.players.length - this.bidsTaken
-    };
-}   
+    /**
+     * Returns what a player is allowed to know about the round: their own hand, the
+     * public bids and tricks, and every card played so far. Computer players decide
+     * from this view only, so they never see another player's hand.
+     * @param {string} playerId - Discord ID of the player.
+     * @returns {object}
+     */
+    getPlayerView(playerId) {
+        const player = this.getPlayerById(playerId);
+        const getCard = Deck.createCardLookup(this.rules.deck);
+        const roundTricks = this.history.getCurrentRound()?.tricks ?? [];
+
+        return {
+            playerId,
+            seat: this.players.indexOf(player),
+            dealerSeat: this.dealerIndex,
+            team: player.team,
+            partnerId: this.getPartner(player)?.discordId ?? null,
+            hand: [...player.hand],
+            hasSeenHand: player.hasSeenHand,
+            draftCard: this.state === 'DRAFT' && this.getCurrentPlayer() === player ? this.draftCard : null,
+            rules: this.rules,
+            state: this.state,
+            tricksPerRound: this.tricksPerRound,
+            teamScores: { ...this.teamScores },
+            teamBags: { ...this.teamBags },
+            players: this.players.map(p => ({
+                id: p.discordId,
+                team: p.team,
+                bid: p.bid,
+                isNil: p.isNil,
+                isBlindNil: p.isBlindNil,
+                tricksWon: p.tricksWon,
+                cardsLeft: p.hand.length
+            })),
+            legalBids: this.state === 'BIDDING' && player.hasSeenHand ? this.getLegalBids(player) : [],
+            legalCards: this.state === 'PLAYING' ? this.getLegalCards(player) : [],
+            trick: this.currentTrick.map(entry => ({ playerId: entry.playerId, card: entry.card })),
+            leadSuit: this.trickSuit,
+            spadesBroken: this.spadesBroken,
+            completedTricks: roundTricks.map(trick => ({
+                plays: trick.plays.map(play => ({ playerId: play.playerId, card: getCard(play.card) })),
+                winnerId: trick.winnerId
+            }))
+        };
+    }
 
-/**
- * Returns a formatted string showing team scores and bids.
- * Useful for public announcements after bidding.
- */
-getTeamScoreDisplay() {
-    const team1 = this.players.filter(p => p.team === 1);
-    const team2 = this.players.filter(p => p.team === 2);
+    /**
+     * Returns what anyone watching the table can see: bids, tricks taken, the trick in
+     * progress and the scores, but no hands.
+     * @returns {object}
+     */
+    getTableView() {
+        return {
+            state: this.state,
+            round: this.currentRound,
+            dealerSeat: this.dealerIndex,
+            currentPlayerId: ['DRAFT', 'BIDDING', 'PLAYING'].includes(this.state) ? this.getCurrentPlayer().discordId : null,
+            tricksPerRound: this.tricksPerRound,
+            teamScores: { ...this.teamScores },
+            teamBags: { ...this.teamBags },
+            players: this.players.map(p => ({
+                id: p.discordId,
+                username: p.username,
+                team: p.team,
+                bid: p.bid,
+                isNil: p.isNil,
+                isBlindNil: p.isBlindNil,
+                tricksWon: p.tricksWon,
+                cardsLeft: p.hand.length
+            })),
+            trick: this.currentTrick.map(entry => ({ playerId: entry.playerId, card: entry.card })),
+            leadSuit: this.trickSuit,
+            spadesBroken: this.spadesBroken
+        };
+    }
 
-    const team1Bid = team1.reduce((sum, p) => sum + p.bid, 0);
-    const team2Bid = team2.reduce((sum, p) => sum + p.bid, 0);
+    /**
+     * Suggests a bid to a player who is still to bid, with the reasons behind it,
+     * unless the table's rules turn hints off.
+     * @param {string} playerId - Discord ID of the player.
+     * @returns {object} Result object with error, or bid, estimate and reasons.
+     */
+    getBidHint(playerId) {
+        if (!this.rules.allowHints) {
+            return { error: 'Bid hints are turned off at this table.' };
+        }
+        if (this.state !== 'BIDDING') {
+            return { error: 'Hints are only available during bidding.' };
+        }
 
-    const team1Score = team1.reduce((sum, p) => sum + p.score, 0);
-    const team2Score = team2.reduce((sum, p) => sum + p.score, 0);
+        const player = this.getPlayerById(playerId);
+        if (!player) {
+            return { error: 'You are not a player in this game.' };
+        }
+        if (player.bid !== null) {
+            return { error: 'You have already bid this round.' };
+        }
+        if (!player.hasSeenHand) {
+            return { error: 'Your hand is still face down. Reveal it (or bid Blind Nil) first.' };
+        }
 
-    return `🟥 **Team 1** (${team1.map(p => p.username).join(' & ')}): Bid **${team1Bid}**, Score **${team1Score}**\n` +
-           `🟦 **Team 2** (${team2.map(p => p.username).join(' & ')}): Bid **${team2Bid}**, Score **${team2Score}**`;
-}
-    // --- Trick Playing Logic ---
+        return { success: true, ...adviseBid(this.getPlayerView(playerId)) };
+    }
 
-    startTricks() {
-        this.isTrickActive = true; 
-        
-        // Reset state for the new trick
-        this.currentTrick = [];
-        this.trickSuit = null;  
-        
-        const leadingPlayer = this.players[this.currentPlayerIndex];
-        this.publicAnnounce(`**${leadingPlayer.username} will lead the first trick!**`);
-        
-        this.sendPlayCardPrompt(leadingPlayer); 
-    }
-
-    /** Prompts a player to play a card, displaying the current trick and their hand. */
-    sendPlayCardPrompt(player) {
-        let trickDisplay = "No cards have been played yet.";
-        let suitIndicator = '';
-
-        if (this.currentTrick.length > 0) {
-            const cardsPlayed = this.currentTrick.map(entry => 
-                // FIX: Use player.username and card.display
-                `${this.getPlayerById(entry.playerId).username} played **${entry.card.display}**` 
-            ).join(', ');
-            
-            // ANNOUNCEMENT CLARITY CHANGE: Use the stored trickSuit code to look up the emoji
-            const ledSuitCode = this.trickSuit; 
-            const suitEmoji = Card.CARD_EMOJIS[ledSuitCode]; // Assuming Card.CARD_EMOJIS exists
-            suitIndicator = ledSuitCode ? `(Led Suit: ${ledSuitCode}${suitEmoji})` : '';
-            
-            trickDisplay = `Current Trick ${suitIndicator}: ${cardsPlayed}`;
-        }
-
-        this.publicAnnounce(`**It is Player ${player.username}'s turn to play.**`);
-        
-        const handDisplay = this.getHandDisplay(player); // Use the utility method
-        const instruction = [
-            "--- Current Trick ---",
-            trickDisplay,
-            `Spades Broken: **${this.spadesBroken ? 'YES' : 'NO'}**`,
-            "---------------------",
-            `Your Hand: \`${handDisplay}\``,
-            "Enter the code for the card you wish to play (e.g., 'AS', 'TC'). Submit this in your DM to me now."
-        ].join('\n');
-
-        // FIX: Use player.discordId for private prompt
-        this.privatePrompt(player.discordId, instruction); 
-    }
-
-    /**
-     * Handles a card played privately by a player, enforcing Spades rules.
-     */
-    processCardPlay(playerId, rawCard) {
-        if (!this.isTrickActive) {
-            this.privatePrompt(playerId, "The trick playing phase is not currently active.");
-            return false;
+    /**
+     * Plays a card for a player, enforcing turn order and Spades rules.
+     * Returns structured data for interaction response.
+     * @param {string} playerId - Discord ID of the player.
+     * @param {string} rawCard - The card code (e.g., 'AS', '10C').
+     * @returns {object} Result object with error, card, spadesBroken, trickComplete,
+     *   trickWinner, winningCard, roundComplete and gameOver.
+     */
+    tryPlayCard(playerId, rawCard) {
+        if (!this.isTrickActive || this.state !== 'PLAYING') {
+            return { error: 'The trick playing phase is not currently active.' };
         }
 
-        const currentPlayer = this.players[this.currentPlayerIndex];
-        const player = this.getPlayerById(playerId); // FIX: Uses getPlayerById
-
+        const player = this.getPlayerById(playerId);
         if (!player) {
-            this.privatePrompt(playerId, "You are not a registered player in this game.");
-            return false;
+            return { error: 'You are not a registered player in this game.' };
         }
-        
-        // 1. Enforce Sequential Turn Order (FIX: Use discordId)
+
+        // 1. Enforce Sequential Turn Order
+        const currentPlayer = this.getCurrentPlayer();
         if (currentPlayer.discordId !== playerId) {
-            this.privatePrompt(playerId, "It is not your turn to play a card. Please wait for the public announcement.");
-            return false;
+            return { error: `It is not your turn. It is **${currentPlayer.username}**'s turn.` };
         }
 
-        // Non-destructive check for the card in hand
-        const cardToCheck = this.peekCardInHand(player, rawCard);
-
         // 2. Validate Card Input and Existence in Hand
+        const cardToCheck = this.peekCardInHand(player, rawCard);
         if (!cardToCheck) {
-            this.privatePrompt(playerId, 
-                `Invalid card code ('${rawCard}'). Please ensure you have that card in your hand and use the format 'RS' (RankCode + SuitCode), e.g., 'AS' or 'TC'.\nYour Hand: \`${this.getHandDisplay(player)}\``
-            );
-            return false;
+            return {
+                error: `Invalid card code ('${rawCard}'). Please ensure you have that card in your hand and use the format Rank+Suit, e.g., 'AS' or '10C'.\nYour Hand: \`${this.getHandDisplay(player)}\``
+            };
         }
-        
-        // --- Core Spades Rule Validation ---
-        
-        if (this.currentTrick.length === 0) {
-            // Player is leading the trick
-            const hasOnlySpades = player.hand.every(c => c.suitCode === 'S');
-
-            // Rule: Cannot lead with Spades unless Spades are broken OR player is "spades-only"
-            if (cardToCheck.suitCode === 'S' && !this.spadesBroken && !hasOnlySpades) {
-                 this.privatePrompt(playerId, 
-                     "You cannot lead with a Spade until Spades have been broken (a player has trumped a trick), unless your hand consists only of Spades. Please play a different suit."
-                     );
-                 return false;
-            }
 
-            // FIX: Use single-character suit code for consistency
-            this.trickSuit = cardToCheck.suitCode; 
-            
-            // ANNOUNCEMENT CLARITY CHANGE: Use card.fullDisplay for lead
-            this.publicAnnounce(`**${player.username} leads the trick with the ${cardToCheck.fullDisplay}**`);
+        // 3. Core Spades Rule Validation
+        const ruleError = this.validatePlay(player, cardToCheck);
+        if (ruleError) {
+            return { error: ruleError };
+        }
+        this.recordAction(player);
 
-        } else {
-            // Player must follow suit if possible
-            // FIX: Use single-character suit code for comparison
-            const hasLedSuit = player.hand.some(c => c.suitCode === this.trickSuit); 
-            
-            // FIX: Use single-character suit code for comparison
-            if (cardToCheck.suitCode !== this.trickSuit && hasLedSuit) { 
-                // ANNOUNCEMENT CLARITY CHANGE: Use emoji for the led suit
-                const ledSuitDisplay = Card.CARD_EMOJIS[this.trickSuit] || this.trickSuit; 
-                this.privatePrompt(playerId, 
-                    `You must follow suit and play a **${this.trickSuit}${ledSuitDisplay}** card if you have one. Please try again.`
-                );
-                return false;
-            }
-            
-            // ANNOUNCEMENT CLARITY CHANGE: Use card.fullDisplay for play
-            this.publicAnnounce(`${player.username} plays the ${cardToCheck.fullDisplay}`);
-        }
-        
-        // --- End Spades Rule Validation ---
-        
-        // 3. Play the card (removes from hand and returns it)
-        const playedCard = player.playCard(rawCard.trim().toUpperCase()); // Use Player.js method
-        
-        // This should never be null if cardToCheck was found, but defensively check:
-        if (!playedCard) {
-            this.privatePrompt(playerId, "Internal Error: Could not remove card from hand after validation.");
-            return false;
+        const isLead = this.currentTrick.length === 0;
+        if (isLead) {
+            this.trickSuit = cardToCheck.suitCode;
         }
 
+        // 4. Play the card (removes from hand and returns it)
+        const playedCard = player.playCard(cardToCheck.shortDisplay);
         this.currentTrick.push({ playerId: playerId, card: playedCard });
-        
-        // 4. Update Spades Broken status
-        // A Spade breaks trumps if it's played on a non-Spade led trick AND the played card is a Spade.
-        // FIX: Use single-character suit code ('S') for checks
-        if (playedCard.suitCode === 'S' && this.trickSuit !== 'S' && !this.spadesBroken) {
+        this.emit('cardPlayed', { player, card: playedCard, isLead, trick: this.getTrickCards() });
+
+        // 5. Update Spades Broken status
+        let spadesBroken = false;
+        if (playedCard.suitCode === 'S' && !this.spadesBroken) {
             this.spadesBroken = true;
-            this.publicAnnounce("♠️ **SPADES HAVE BEEN BROKEN!** ♠️");
+            spadesBroken = true;
+            this.emit('spadesBroken', { player, card: playedCard });
         }
 
-        // 5. Advance the Turn or End the Trick
-        if (this.currentTrick.length === this.players.length) { // 4 players played
-            this.evaluateTrick();
+        const result = {
+            error: null,
+            card: playedCard,
+            spadesBroken,
+            trickComplete: false,
+            trickWinner: null,
+            winningCard: null,
+            roundComplete: false,
+            gameOver: false
+        };
+
+        // 6. Advance the Turn or End the Trick
+        if (this.currentTrick.length === this.players.length) {
+            Object.assign(result, { trickComplete: true }, this.evaluateTrick());
         } else {
-            // Move to the next player in the circular queue
             this.advanceTurn('trick');
         }
 
-        return true;
+        return result;
     }
 
     /**
      * Determines the winner of the current trick based on Spades rules.
      * REFACTORED: Uses a single reduce pass to apply all trick-winning rules (Spade > Led Suit).
+     * Jokers carry the Spade suit code and the highest values, so they win as top trumps.
      */
     getWinnerOfTrick() {
         const ledSuitCode = this.trickSuit;
@@ -531,7 +1581,7 @@ getTeamScoreDisplay() {
                     return currentEntry;
                 }
             }
-            
+
             // If the current card is not the led suit (and not a spade), the winner remains the winner.
             return winningEntry;
         }, this.currentTrick[0]);
@@ -540,213 +1590,546 @@ getTeamScoreDisplay() {
     /** Evaluates the four cards played and calls endTrick with the winner. */
     evaluateTrick() {
         const winningEntry = this.getWinnerOfTrick();
-        this.endTrick(winningEntry.playerId);
+        return this.endTrick(winningEntry.playerId);
     }
 
-    /** * Ends a trick, updates the winner's score, and prepares for the next lead.
+    /**
+     * Ends a trick, updates the winner's tricks, and prepares for the next lead.
      * @param {string} winnerId - The ID of the player who won the trick.
+     * @returns {object} The trick winner and card, and whether the round/game ended.
      */
     endTrick(winnerId) {
         const winner = this.getPlayerById(winnerId);
-        
-        // 1. Update winner's tricks taken (FIX: Use tricksWon)
-        if (winner) {
-            winner.addTrick(); // Use the Player.js method
-        }
+        const winningCard = this.currentTrick.find(entry => entry.playerId === winnerId).card;
+
+        // 1. Update winner's tricks taken
+        winner.addTrick();
+        this.tricksPlayed++;
 
         // 2. Announce the winner
-        const winningCard = this.currentTrick.find(entry => entry.playerId === winnerId).card;
-        // ANNOUNCEMENT CLARITY CHANGE: Use fullDisplay (e.g., Ace of Spades ♠️)
-        this.publicAnnounce(
-            `\n--- Trick Winner --- \n**${winner.username} wins the trick** with the ${winningCard.fullDisplay}!`
-        );
-        // FIX: Use winner.tricksWon
-        this.publicAnnounce(`${winner.username} (Team ${winner.team}) now has **${winner.tricksWon}** tricks won in total this round.`);
-
-
-        // 3. Check for end of round (13 tricks played)
-        if (winner.hand.length === 0) {
-            this.publicAnnounce("All tricks have been played! The round is over.");
-            this.isTrickActive = false;
-            this.endRound();
-            return;
-        }
+        this.emit('trickWon', {
+            winner,
+            card: winningCard,
+            trick: this.getTrickCards(),
+            trickNumber: this.tricksPlayed,
+            tricksWon: winner.tricksWon
+        });
+
+        const result = { trickWinner: winner, winningCard, roundComplete: false, gameOver: false };
 
-        // 4. Reset state for the new trick and set the winner as the leader
+        // 3. Reset state for the next trick and set the winner as the leader
         this.currentTrick = [];
         this.trickSuit = null;
-        this.currentPlayerIndex = this.players.findIndex(p => p.discordId === winnerId); // FIX: Use discordId
-        
+        this.currentPlayerIndex = this.players.indexOf(winner);
+
+        // 4. Check for end of round (every card played)
+        if (this.tricksPlayed === this.tricksPerRound) {
+            result.roundComplete = true;
+            result.gameOver = this.endRound();
+            return result;
+        }
+
         // 5. Start the next trick
-        this.publicAnnounce(`\n**${winner.username} will lead the next trick!**`);
-        this.sendPlayCardPrompt(winner);
+        this.requestPlay(winner);
+        return result;
     }
 
-    // --- Scoring and Round Management ---
-    
-    /** Calculates and applies the bag penalty (10 bags = -100 points). */
-    calculateAndApplyBags() {
-        const teams = {};
-        this.players.forEach(p => {
-            teams[p.team] = teams[p.team] || { players: [] };
-            teams[p.team].players.push(p);
-        });
+    // --- Turn Timeouts ---
 
-        for (const teamId in teams) {
-            const teamData = teams[teamId];
-            const totalBags = teamData.players.reduce((sum, p) => sum + p.bags, 0); // Bags are accumulated on players
-
-            if (totalBags >= 10) {
-                const bagPenalty = Math.floor(totalBags / 10) * 100;
-                const remainingBags = totalBags % 10;
-                
-                // Apply the score adjustment and reset bag count for all players on the team
-                teamData.players.forEach(p => {
-                    p.score -= bagPenalty;
-                    p.bags = 0; // Reset individual bag count
-                });
-                
-                // Set the remaining bags back on the first player of the team for tracking
-                teamData.players[0].bags = remainingBags;
-
-                this.publicAnnounce(`⚠️ **Team ${teamId}** busted their bags! Penalty of **-${bagPenalty} points** applied. Remaining bags: ${remainingBags}.`);
-            }
+    /**
+     * Returns the human players the table is waiting on: the drawer, bidder or player
+     * whose turn it is, or everyone still to choose cards in a Blind Nil exchange.
+     * @returns {Player[]}
+     */
+    getWaitingPlayers() {
+        let waiting = [];
+        if (this.state === 'EXCHANGE') {
+            waiting = this.getExchangeParticipants()
+                .filter(id => this.exchangeSelections[id] === null)
+                .map(id => this.getPlayerById(id));
+        } else if (['DRAFT', 'BIDDING', 'PLAYING'].includes(this.state)) {
+            waiting = [this.getCurrentPlayer()];
         }
+        return waiting.filter(p => p && !p.isBot);
     }
-    
-    /** Announces the current total scores for both teams. */
-    announceTeamScores() {
-        const team1Players = this.players.filter(p => p.team === 1);
-        const team2Players = this.players.filter(p => p.team === 2);
-        
-        // Calculate scores (summing scores from both players, though they should be the same)
-        const team1Score = team1Players.reduce((sum, p) => sum + p.score, 0) / 2;
-        const team2Score = team2Players.reduce((sum, p) => sum + p.score, 0) / 2;
-        
-        // Calculate bags (summing bags from both players, only one should have non-zero)
-        const team1Bags = team1Players.reduce((sum, p) => sum + p.bags, 0);
-        const team2Bags = team2Players.reduce((sum, p) => sum + p.bags, 0);
-
-
-        this.publicAnnounce("\n--- Game Scoreboard ---");
-        this.publicAnnounce(`Team 1 (${team1Players.map(p => p.username).join(' & ')}): **${team1Score} points** (${team1Bags} bags)`);
-        this.publicAnnounce(`Team 2 (${team2Players.map(p => p.username).join(' & ')}): **${team2Score} points** (${team2Bags} bags)`);
-
-        return { team1Score, team2Score };
-    }
-
-    /** Checks if any team has reached the target score and ends the game. */
-    checkGameEnd(scores) {
-        // ... (Game end logic is fine)
-        if (scores.team1Score >= this.targetScore || scores.team2Score >= this.targetScore) {
-            const winningScore = Math.max(scores.team1Score, scores.team2Score);
-            let winnerTeam = null;
-
-            if (scores.team1Score === winningScore && scores.team2Score === winningScore) {
-                 this.publicAnnounce(`The game ends in a tie! Both teams reached ${this.targetScore} points!`);
-            } else if (scores.team1Score === winningScore) {
-                winnerTeam = "Team 1";
-            } else {
-                winnerTeam = "Team 2";
-            }
 
-            if (winnerTeam) {
-                this.publicAnnounce(`🏆 **GAME OVER! ${winnerTeam} wins with a score of ${winningScore} points!** 🏆`);
+    /**
+     * Clears a player's run of timeouts once they act for themselves.
+     * @param {Player} player
+     */
+    recordAction(player) {
+        player.timeouts = 0;
+        player.isAfk = false;
+    }
+
+    /**
+     * Warns the players the table is waiting on that their turn is about to time out.
+     * @param {number} secondsLeft
+     */
+    announceTurnWarning(secondsLeft) {
+        const players = this.getWaitingPlayers();
+        if (players.length > 0) {
+            this.emit('turnWarning', { players, secondsLeft });
+        }
+    }
+
+    /**
+     * Takes a player's turn for them when their time runs out: draws, bids, passes cards
+     * or plays as a computer player would (or plays the lowest legal card, per the
+     * timeoutPlay rule). Enough timeouts in a row mark the player AFK.
+     * @param {string} playerId - Discord ID of the player who ran out of time.
+     * @returns {object} Result object with error, or the player's timeouts and isAfk.
+     */
+    playTimedOutTurn(playerId) {
+        const player = this.getWaitingPlayers().find(p => p.discordId === playerId);
+        if (!player) {
+            return { error: 'That player is not holding up the table.' };
+        }
+
+        const timeouts = player.timeouts + 1;
+        const wasAfk = player.isAfk;
+        const { afkTimeouts, timeoutPlay, blindNilExchange } = this.rules;
+        const becomesAfk = !wasAfk && !player.isOpenSeat && afkTimeouts > 0 && timeouts >= afkTimeouts;
+        this.emit('turnTimedOut', { player, timeouts });
+        if (becomesAfk) {
+            this.emit('playerAfk', { player, timeouts });
+        }
+
+        switch (this.state) {
+            case 'DRAFT':
+                this.tryDraftDecision(playerId, chooseDraftKeep(this.getPlayerView(playerId)));
+                break;
+            case 'BIDDING': {
+                this.revealHand(playerId);
+                const view = this.getPlayerView(playerId);
+                const bid = chooseBid(view);
+                this.tryPlaceBid(playerId, view.legalBids.includes(bid) ? bid : getFallbackBid(view.legalBids));
+                break;
+            }
+            case 'EXCHANGE': {
+                const cards = chooseExchangeCards(this.getPlayerView(playerId), blindNilExchange);
+                this.trySubmitExchange(playerId, cards.map(card => card.shortDisplay));
+                break;
+            }
+            case 'PLAYING': {
+                const view = this.getPlayerView(playerId);
+                const card = timeoutPlay === 'lowest' ? lowestCard(view.legalCards) : chooseCard(view);
+                this.tryPlayCard(playerId, card.shortDisplay);
+                break;
             }
-            return true;
         }
-        return false;
+
+        // Acting on the player's behalf went through recordAction, so set the count afterwards
+        player.timeouts = timeouts;
+        player.isAfk = wasAfk || becomesAfk;
+        return { success: true, timeouts, isAfk: player.isAfk };
     }
 
-    /** Calculates team scores based on their contract and tricks won. */
-    endRound() {
-        this.isTrickActive = false;
-        this.publicAnnounce("\n--- Round Over: Final Scoring ---");
-        
-        const teams = {};
-        this.players.forEach(p => {
-            const teamId = p.team;
-            teams[teamId] = teams[teamId] || { players: [], totalBid: 0, totalTricks: 0 };
-            teams[teamId].players.push(p);
-            // FIX: Use tricksWon
-            teams[teamId].totalBid += p.bid;  
-            teams[teamId].totalTricks += p.tricksWon; 
+    // --- Leaving, Replacing & Rejoining ---
+
+    /**
+     * Returns whether the player's seat is still held by a person (not a bot or an open seat).
+     * @param {Player} player
+     * @returns {boolean}
+     */
+    isHumanSeat(player) {
+        return !player.isBot && !player.isOpenSeat;
+    }
+
+    /**
+     * Moves a seat (its cards, bid, tricks and team) to a new occupant, renaming it
+     * wherever the current trick and card exchange refer to it.
+     * @param {Player} player - The seat to hand over.
+     * @param {object} occupant - id, username and, for computer players, isBot and botDifficulty.
+     * @param {string} reason - 'left', 'takeover', 'bot' or 'rejoin'.
+     */
+    transferSeat(player, occupant, reason) {
+        const previousId = player.discordId;
+        const previousName = player.username;
+        const previousWasHuman = this.isHumanSeat(player);
+        const rename = id => (id === previousId ? occupant.id : id);
+
+        for (const entry of this.currentTrick) {
+            entry.playerId = rename(entry.playerId);
+        }
+        this.exchangeSelections = Object.fromEntries(Object.entries(this.exchangeSelections)
+            .map(([id, cards]) => [rename(id), cards]));
+        this.exchangePairs = this.exchangePairs.map(ids => ids.map(rename));
+        this.spectators = this.spectators.filter(id => id !== occupant.id);
+
+        // The first person to lose the seat can always reclaim it with rejoinGame
+        if (previousWasHuman && !player.originalId) {
+            player.originalId = previousId;
+        }
+        Object.assign(player, {
+            discordId: occupant.id,
+            username: occupant.username,
+            guildId: occupant.guildId ?? player.guildId,
+            isBot: Boolean(occupant.isBot),
+            botDifficulty: occupant.isBot ? occupant.botDifficulty : null,
+            isOpenSeat: reason === 'left'
         });
+        this.recordAction(player);
+
+        this.emit('playerReplaced', { player, previousId, previousName, previousWasHuman, reason });
+    }
+
+    /**
+     * Takes a player out of the game. In the lobby their seat is simply freed; once the
+     * game has started the seat stays at the table as an open seat, with its cards,
+     * bid and tricks, until someone takes it over (or the player rejoins). Turns of an
+     * open seat are played for it. A lobby or game left with no people in it is abandoned.
+     * A lobby owner who leaves hands the lobby to whoever has been in it longest.
+     * @param {string} playerId - Discord ID of the player leaving.
+     * @returns {object} Result object with error, or abandoned (whether the game ended) and
+     *   newOwner (the player now running the lobby, if the owner left).
+     */
+    leaveGame(playerId) {
+        const player = this.getPlayerById(playerId);
+        if (!player || player.isBot) {
+            return { error: 'You are not a player in this game.' };
+        }
+        if (this.state === 'GAME_OVER') {
+            return { error: 'This game is already over.' };
+        }
+
+        let newOwner = null;
+        if (this.state === 'LOBBY') {
+            this.players = this.players.filter(p => p !== player);
+            delete this.seatRequests[playerId];
+            // Handed over before the event, so the saved lobby never belongs to someone who left
+            if (playerId === this.ownerId) {
+                newOwner = this.players.find(p => this.isHumanSeat(p)) ?? null;
+                if (newOwner) this.ownerId = newOwner.discordId;
+            }
+            this.emit('playerLeft', { player });
+        } else {
+            const seat = this.players.indexOf(player) + 1;
+            this.transferSeat(player, { id: `open-${seat}`, username: `🪑 Open seat ${seat}` }, 'left');
+        }
+
+        if (!this.players.some(p => this.isHumanSeat(p))) {
+            this.abandonGame();
+            return { success: true, abandoned: true };
+        }
+        return { success: true, abandoned: false, newOwner };
+    }
+
+    /**
+     * Seats a user in an open seat left by another player.
+     * @param {string} seatId - ID of the open seat (e.g., 'open-2').
+     * @param {object} occupant - id, username and guildId of the user taking the seat.
+     * @returns {object} Result object with either success (and the seat) or error.
+     */
+    takeSeat(seatId, occupant) {
+        const seat = this.getPlayerById(seatId);
+        if (this.state === 'GAME_OVER' || !seat?.isOpenSeat) {
+            return { error: 'That seat is no longer open.' };
+        }
+        if (this.getPlayerById(occupant.id)) {
+            return { error: 'You are already playing in this game.' };
+        }
+        if (this.players.some(p => p.originalId === occupant.id)) {
+            return { error: 'You left a seat in this game: use `/spades rejoin` to reclaim it.' };
+        }
+        if (this.hasSeenHands(occupant.id)) {
+            return { error: 'You have watched this game with every hand showing, so you cannot take a seat in it.' };
+        }
+        if (!this.isInvited(occupant.id, occupant.roleIds)) {
+            return { error: 'This game is invite-only.' };
+        }
+
+        this.transferSeat(seat, occupant, 'takeover');
+        return { success: true, player: seat };
+    }
+
+    /**
+     * Hands a player's seat, cards, bid and tricks to a new computer player, e.g. when
+     * the player has gone AFK or left an open seat.
+     * @param {string} playerId - Discord ID of the player to replace.
+     * @param {string} [difficulty='normal'] - One of BOT_DIFFICULTIES.
+     * @returns {object} Result object with error, or the player now in the seat.
+     */
+    replaceWithBot(playerId, difficulty = 'normal') {
+        if (this.state === 'LOBBY' || this.state === 'GAME_OVER') {
+            return { error: 'Players can only be replaced while a game is in progress.' };
+        }
+        if (!BOT_DIFFICULTIES[difficulty]) {
+            return { error: `Unknown bot difficulty: ${difficulty}` };
+        }
+        const player = this.getPlayerById(playerId);
+        if (!player) {
+            return { error: 'That player is not in this game.' };
+        }
+        if (player.isBot) {
+            return { error: 'That seat is already played by the computer.' };
+        }
+        if (!this.rules.allowBots) {
+            return { error: 'Bots are not allowed at this table.' };
+        }
+
+        const botNumber = this.getNextBotNumber();
+        this.transferSeat(player, { id: `bot-${botNumber}`, username: `🤖 Bot ${botNumber}`, isBot: true, botDifficulty: difficulty }, 'bot');
+        return { success: true, player };
+    }
+
+    /**
+     * Gives a player back the seat they left or were replaced in, whoever holds it now.
+     * Scores and tricks always stayed with the seat, so the player picks up where it is.
+     * @param {object} occupant - id, username and guildId of the returning player.
+     * @returns {object} Result object with either success (and the seat) or error.
+     */
+    rejoinGame(occupant) {
+        if (this.state === 'LOBBY' || this.state === 'GAME_OVER') {
+            return { error: 'There is no game in progress to rejoin.' };
+        }
+        if (this.getPlayerById(occupant.id)) {
+            return { error: 'You are already playing in this game.' };
+        }
+        const seat = this.players.find(p => p.originalId === occupant.id);
+        if (!seat) {
+            return { error: 'You have no seat to reclaim in this game.' };
+        }
+        if (this.hasSeenHands(occupant.id)) {
+            return { error: 'You have watched this game with every hand showing, so you cannot take your seat back.' };
+        }
 
-        for (const teamId in teams) {
-            const team = teams[teamId];
-            let teamScoreChange = 0;
-            let teamBags = 0;
-            let teamPlayers = team.players;
+        this.transferSeat(seat, occupant, 'rejoin');
+        return { success: true, player: seat };
+    }
+
+    /**
+     * Ends a game nobody is left playing. No one wins; the scores stand as they were.
+     */
+    abandonGame() {
+        this.state = 'GAME_OVER';
+        this.isBiddingActive = false;
+        this.isTrickActive = false;
+        this.emit('gameAbandoned', { scores: { ...this.teamScores } });
+    }
 
-            // 1. Handle NIL contracts first (Nil bids are scored individually)
-            const nilPlayers = teamPlayers.filter(p => p.isNil);
-            let totalNilTricksWon = 0; // FIX: Use tricksWon for tally
+    // --- Scoring and Round Management ---
 
+    /**
+     * Scores one team's round: Nil bids individually (or as a Double Nil), then the
+     * team contract. Tricks taken by a Nil bidder never count toward the contract.
+     * In cutthroat the "team" is a single player with their own contract and bags.
+     * @param {number} teamId
+     * @returns {object} The team's breakdown: teamId, nilResults, doubleNil, nilBags,
+     *   contract and scoreChange (points before any bag penalty).
+     */
+    scoreTeamRound(teamId) {
+        const { nilValue, blindNilValue, doubleNilValue, nilTricksCountAsBags } = this.rules;
+        const teamPlayers = this.getTeamPlayers(teamId);
+        const nilPlayers = teamPlayers.filter(p => p.isNil);
+        const nilTricksWon = nilPlayers.reduce((sum, p) => sum + p.tricksWon, 0);
+        const isDoubleNil = nilPlayers.length > 1 && nilPlayers.length === teamPlayers.length &&
+            !nilPlayers.some(p => p.isBlindNil);
+        const result = { teamId, nilResults: [], doubleNil: null, nilBags: 0, contract: null, scoreChange: 0 };
+
+        // 1. Handle NIL contracts first (a Blind Nil is always scored on its own)
+        if (isDoubleNil) {
+            const made = nilTricksWon === 0;
+            result.doubleNil = { made, tricks: nilTricksWon, points: made ? doubleNilValue : -doubleNilValue };
+            result.scoreChange += result.doubleNil.points;
+        } else {
             nilPlayers.forEach(p => {
-                if (p.tricksWon === 0) { // FIX: Use tricksWon
-                    p.score += 100;
-                    this.publicAnnounce(`✅ **${p.username}** (NIL) successfully made their bid! (+100 points)`);
-                } else {
-                    p.score -= 100;
-                    this.publicAnnounce(`❌ **${p.username}** (NIL) failed their bid, taking ${p.tricksWon} trick(s)! (-100 points)`); // FIX: Use tricksWon
-                }
-                totalNilTricksWon += p.tricksWon; // FIX: Use tricksWon
+                const value = p.isBlindNil ? blindNilValue : nilValue;
+                const made = p.tricksWon === 0;
+                const points = made ? value : -value;
+                result.nilResults.push({ player: p, isBlindNil: p.isBlindNil, made, tricks: p.tricksWon, points });
+                result.scoreChange += points;
             });
+        }
+
+        if (nilTricksCountAsBags && nilTricksWon > 0) {
+            this.teamBags[teamId] += nilTricksWon;
+            result.nilBags = nilTricksWon;
+        }
+
+        // 2. Handle STANDARD Team Contract
+        const contractPlayers = teamPlayers.filter(p => !p.isNil);
+        if (contractPlayers.length > 0) {
+            const standardBid = contractPlayers.reduce((sum, p) => sum + p.bid, 0);
+            const standardTricks = teamPlayers.reduce((sum, p) => sum + p.tricksWon, 0) - nilTricksWon;
+            const made = standardTricks >= standardBid;
+            const bags = made ? standardTricks - standardBid : 0;
+
+            result.contract = { bid: standardBid, tricks: standardTricks, made, points: made ? standardBid * 10 : -standardBid * 10, bags };
+            result.scoreChange += result.contract.points;
+            this.teamBags[teamId] += bags;
+        }
+
+        this.teamScores[teamId] += result.scoreChange;
+        return result;
+    }
+
+    /**
+     * Applies the bag penalty (every `bagLimit` bags = -`bagPenalty` points).
+     * @returns {Object<number, number>} Penalty applied to each team id (0 if none).
+     */
+    calculateAndApplyBags() {
+        const { bagLimit, bagPenalty } = this.rules;
+        const penalties = {};
+
+        for (const teamId of this.getTeamIds()) {
+            const totalBags = this.teamBags[teamId];
+            penalties[teamId] = 0;
 
-            // Standard bid is the sum of non-Nil player bids.
-            const standardBid = team.totalBid;  
-            // Standard tricks are total tricks minus the tricks taken by failed Nil bids.
-            const standardTricks = team.totalTricks - totalNilTricksWon; 
-
-            // 2. Handle STANDARD Team Contract
-            if (standardTricks >= standardBid) {
-                teamScoreChange = standardBid * 10;
-                teamBags = standardTricks - standardBid;
-                
-                this.publicAnnounce(`✅ **Team ${teamId}** made contract of ${standardBid} (Tricks won: ${standardTricks}). (+${teamScoreChange} points, +${teamBags} bags).`);
-
-            } else {
-                // Failure (Set)
-                teamScoreChange = -(standardBid * 10);
-                teamBags = 0;
-                this.publicAnnounce(`❌ **Team ${teamId}** was set! Failed contract of ${standardBid} (Tricks won: ${standardTricks}). (${teamScoreChange} points)`);
+            if (totalBags >= bagLimit) {
+                const penalty = Math.floor(totalBags / bagLimit) * bagPenalty;
+
+                this.teamScores[teamId] -= penalty;
+                this.teamBags[teamId] = totalBags % bagLimit;
+                penalties[teamId] = penalty;
             }
+        }
+        return penalties;
+    }
 
-            // 3. Apply standard contract score change and update total bags
-            // We apply the score change to all players on the team, maintaining score consistency.
-            teamPlayers.forEach(p => {
-                p.score += teamScoreChange;
-            });
-            // We apply bags only to the first player in the team's array for central tracking
-            teamPlayers[0].bags += teamBags;
+    /**
+     * Checks if any team has reached the target score, or fallen to the losing score,
+     * and ends the game. The highest score wins; a shared highest score is a tie.
+     * @returns {boolean} Whether the game is over.
+     */
+    checkGameEnd() {
+        const { targetScore, losingScore } = this.rules;
+        const teamIds = this.getTeamIds();
+        const scores = teamIds.map(id => this.teamScores[id]);
+
+        const reachedTarget = scores.some(score => score >= targetScore);
+        const setOutTeams = losingScore === null ? [] : teamIds.filter(id => this.teamScores[id] <= losingScore);
+
+        if (!reachedTarget && setOutTeams.length === 0) {
+            return false;
         }
 
-        // 4. Calculate and apply Bag Penalty for teams
-        this.calculateAndApplyBags();
+        const winningScore = Math.max(...scores);
+        const leaders = teamIds.filter(id => this.teamScores[id] === winningScore);
+        this.winningTeam = leaders.length > 1 ? null : leaders[0];
 
-        // 5. Announce Team Totals
-        const finalScores = this.announceTeamScores();
-        
-        // 6. Check for Game End
-        if (this.checkGameEnd(finalScores)) {
-            return;
+        this.state = 'GAME_OVER';
+        this.isGameActive = false;
+
+        this.emit('gameOver', {
+            winningTeam: this.winningTeam,
+            winningScore,
+            leaders,
+            setOutTeams,
+            scores: { ...this.teamScores },
+            seed: this.seed
+        });
+        return true;
+    }
+
+    /**
+     * Scores the round, applies bag penalties, and either ends the game or starts the next round.
+     * @returns {boolean} Whether the game is over.
+     */
+    endRound() {
+        this.isTrickActive = false;
+
+        // 1. Score each team
+        const teamResults = this.getTeamIds().map(teamId => this.scoreTeamRound(teamId));
+
+        // 2. Calculate and apply Bag Penalty for teams
+        const penalties = this.calculateAndApplyBags();
+
+        // 3. Announce the round's breakdown and the running totals
+        this.emit('roundScored', {
+            round: this.currentRound,
+            seed: this.getCurrentRoundSeed(),
+            teams: teamResults.map(result => ({
+                ...result,
+                bagPenalty: penalties[result.teamId],
+                score: this.teamScores[result.teamId],
+                bags: this.teamBags[result.teamId]
+            }))
+        });
+
+        // 4. Check for Game End
+        if (this.checkGameEnd()) {
+            return true;
         }
-        
-        // 7. Reset for next round
+
+        // 5. Reset for next round
         this.startNextRound();
+        return false;
     }
-    
-    /** Starts the next round by rotating the dealer/leader and starting the deal/bid process. */
+
+    /** Starts the next round by passing the deal to the left and starting the deal/bid process. */
     startNextRound() {
-        // Rotate the dealer/first bidder index (The first bidder of the next round is the person to the left
-        // of the previous round's first bidder/leader)
-        this.currentPlayerIndex = (this.currentPlayerIndex + 1) % this.players.length; 
-        
-        this.publicAnnounce(`\n--- Starting New Round ---`);
-        this.deck.reset();
-        this.deck.shuffle();
-        this.dealCards();
-        this.startBidding();
+        this.dealerIndex = (this.dealerIndex + 1) % this.players.length;
+        this.startRound();
+    }
+
+    // --- Saving & Restoring ---
+
+    /**
+     * Returns the full game state as plain data for saving (cards as short codes).
+     * Event listeners are not saved; re-attach them after fromJSON.
+     * @returns {object}
+     */
+    toJSON() {
+        return {
+            rules: this.rules,
+            seed: this.seed,
+            roundSeeds: this.roundSeeds,
+            state: this.state,
+            isGameActive: this.isGameActive,
+            channelId: this.channelId,
+            parentChannelId: this.parentChannelId,
+            summaryMessageId: this.summaryMessageId,
+            ownerId: this.ownerId,
+            spectators: this.spectators,
+            seatsLocked: this.seatsLocked,
+            seatRequests: this.seatRequests,
+            invitedUserIds: this.invitedUserIds,
+            invitedRoleIds: this.invitedRoleIds,
+            players: this.players.map(p => p.toJSON()),
+            currentRound: this.currentRound,
+            dealerIndex: this.dealerIndex,
+            currentPlayerIndex: this.currentPlayerIndex,
+            tricksPerRound: this.tricksPerRound,
+            bidsTaken: this.bidsTaken,
+            isBiddingActive: this.isBiddingActive,
+            deck: this.deck.cards.map(card => card.shortDisplay),
+            draftCard: this.draftCard?.shortDisplay ?? null,
+            exchangePairs: this.exchangePairs,
+            exchangeSelections: this.exchangeSelections,
+            isTrickActive: this.isTrickActive,
+            currentTrick: this.currentTrick.map(entry => ({ playerId: entry.playerId, card: entry.card.shortDisplay })),
+            trickSuit: this.trickSuit,
+            spadesBroken: this.spadesBroken,
+            tricksPlayed: this.tricksPlayed,
+            teamScores: this.teamScores,
+            teamBags: this.teamBags,
+            winningTeam: this.winningTeam,
+            history: this.history
+        };
+    }
+
+    /**
+     * Rebuilds a game saved with toJSON, in the same phase and turn.
+     * @param {object} data
+     * @returns {GameManager}
+     */
+    static fromJSON(data) {
+        const { players, deck, draftCard, currentTrick, history, rules, ...state } = data;
+        // Games saved before a rule existed play it at its default
+        const game = new GameManager({ ...DEFAULT_RULES, ...rules }, data.seed);
+        const getCard = Deck.createCardLookup(game.rules.deck);
+
+        Object.assign(game, state);
+        game.players = players.map(playerData => Player.fromJSON(playerData, getCard));
+        // Games saved before seats could be chosen sat players in join order
+        game.players.forEach((player, index) => {
+            player.seat ??= index;
+        });
+        game.deck.cards = deck.map(getCard);
+        game.draftCard = draftCard ? getCard(draftCard) : null;
+        game.currentTrick = currentTrick.map(entry => ({ playerId: entry.playerId, card: getCard(entry.card) }));
+        if (history) game.history.restore(history);
+        return game;
     }
 }
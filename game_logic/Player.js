@@ -12,11 +12,18 @@ class Player {
     this.hand = [];                  // Array of Card objects
     this.bid = null;                 // Bid value (0 for NIL)
     this.isNil = false;              // Whether player bid NIL
-    this.tricksTaken = 0;            // Tricks won this round
-    this.score = 0;                  // Total score
-    this.bags = 0;                   // Overtricks
-    this.team = null;                // Team number (1 or 2)
-    this.partner = null;             // Reference to partner Player
+    this.isBlindNil = false;         // Whether the NIL was bid before seeing the hand
+    this.hasSeenHand = true;         // False while the hand is held back for a Blind Nil decision
+    this.tricksWon = 0;              // Tricks won this round
+    this.team = null;                // Team number (1 or 2); scores and bags are kept per team
+    this.seat = null;                // Seat at the table (0 = North, clockwise); decides the team
+    this.isReady = false;            // Has confirmed the lobby's seating (the game starts once all have)
+    this.isBot = false;              // Computer player seated by the bot (no Discord account behind it)
+    this.botDifficulty = null;       // 'easy', 'normal' or 'hard' for computer players
+    this.timeouts = 0;               // Turns in a row that ran out of time and were played for them
+    this.isAfk = false;              // Marked away after too many timeouts in a row
+    this.isOpenSeat = false;         // The occupant left mid-game; anyone may take the seat over
+    this.originalId = null;          // Discord ID of the player who first lost this seat (they may rejoin)
   }
 
   /**
@@ -27,13 +34,31 @@ class Player {
     this.hand.push(card);
   }
 
+  /**
+   * Records a trick won by this player.
+   */
+  addTrick() {
+    this.tricksWon++;
+  }
+
+  /**
+   * Checks whether the player holds any card of the given suit.
+   * @param {string} suitCode - Single character suit code (e.g., 'S').
+   * @returns {boolean}
+   */
+  hasSuit(suitCode) {
+    return this.hand.some(card => card.suitCode === suitCode);
+  }
+
   /**
    * Sets the player's bid.
    * @param {number} bidAmount - 0 for NIL, 1–13 otherwise
+   * @param {boolean} [isBlindNil=false] - Whether this is a Blind Nil bid
    */
-  setBid(bidAmount) {
+  setBid(bidAmount, isBlindNil = false) {
     this.bid = bidAmount;
     this.isNil = bidAmount === 0;
+    this.isBlindNil = this.isNil && isBlindNil;
   }
 
   /**
@@ -43,16 +68,19 @@ class Player {
     this.hand = [];
     this.bid = null;
     this.isNil = false;
-    this.tricksTaken = 0;
+    this.isBlindNil = false;
+    this.hasSeenHand = true;
+    this.tricksWon = 0;
   }
 
   /**
-   * Finds a card in the player's hand by its code (e.g., 'AS').
+   * Finds a card in the player's hand by its code (e.g., 'AS', '10C').
    * @param {string} cardCode
    * @returns {Card | null}
    */
   getCard(cardCode) {
-    return this.hand.find(card => card.code === cardCode.toUpperCase()) || null;
+    const shortCode = Card.normalizeCode(cardCode);
+    return this.hand.find(card => card.shortDisplay === shortCode) || null;
   }
 
   /**
@@ -61,7 +89,8 @@ class Player {
    * @returns {Card | null}
    */
   playCard(cardCode) {
-    const index = this.hand.findIndex(card => card.code === cardCode.toUpperCase());
+    const shortCode = Card.normalizeCode(cardCode);
+    const index = this.hand.findIndex(card => card.shortDisplay === shortCode);
     if (index > -1) {
       return this.hand.splice(index, 1)[0];
     }
@@ -83,6 +112,45 @@ class Player {
     });
   }
 
+  /**
+   * Returns the player's state as plain data for saving (cards as short codes).
+   * @returns {object}
+   */
+  toJSON() {
+    return {
+      discordId: this.discordId,
+      username: this.username,
+      guildId: this.guildId,
+      hand: this.hand.map(card => card.shortDisplay),
+      bid: this.bid,
+      isNil: this.isNil,
+      isBlindNil: this.isBlindNil,
+      hasSeenHand: this.hasSeenHand,
+      tricksWon: this.tricksWon,
+      team: this.team,
+      seat: this.seat,
+      isReady: this.isReady,
+      isBot: this.isBot,
+      botDifficulty: this.botDifficulty,
+      timeouts: this.timeouts,
+      isAfk: this.isAfk,
+      isOpenSeat: this.isOpenSeat,
+      originalId: this.originalId
+    };
+  }
+
+  /**
+   * Rebuilds a player saved with toJSON.
+   * @param {object} data
+   * @param {function(string): Card} getCard - Maps a short code to a card of the game's deck.
+   * @returns {Player}
+   */
+  static fromJSON(data, getCard) {
+    const player = new Player(data.discordId, data.username);
+    Object.assign(player, data, { hand: data.hand.map(getCard) });
+    return player;
+  }
+
   /**
    * Returns a formatted string of the player's hand using colorful suit emojis.
    * Example: ♠️ A 9 | ♥️ K 9 4 | ♦️ 10 2 | ♣️ A J 10 5 4 2
@@ -0,0 +1,61 @@
+// game_logic/Random.js
+import { createHmac, randomBytes } from 'node:crypto';
+
+/**
+ * Seeded pseudo-random numbers, so that every shuffle can be reproduced from its seed.
+ * Seeds are short strings; a game seed yields one round seed per round. Round seeds are
+ * derived one-way, so revealing a finished round's seed gives nothing away about the
+ * game seed or the rounds still to come.
+ */
+
+/**
+ * Generates a fresh game seed, e.g. "9f3a61c2".
+ * @returns {string}
+ */
+function generateSeed() {
+  return randomBytes(4).toString('hex');
+}
+
+/**
+ * Returns the seed used to shuffle a given round of a game, e.g. "4be07d19a2c3": an
+ * HMAC of the round number keyed by the game seed.
+ * @param {string} gameSeed
+ * @param {number} round - 1-based round number.
+ * @returns {string}
+ */
+function getRoundSeed(gameSeed, round) {
+  return createHmac('sha256', String(gameSeed)).update(`round-${round}`).digest('hex').slice(0, 12);
+}
+
+/**
+ * Hashes a seed string to a 32-bit integer (FNV-1a).
+ * @param {string} seed
+ * @returns {number}
+ */
+function hashSeed(seed) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < seed.length; i++) {
+    hash ^= seed.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Creates a deterministic random number generator (mulberry32) for a seed.
+ * The same seed always produces the same sequence.
+ * @param {string} seed
+ * @returns {function(): number} Returns numbers in [0, 1), like Math.random.
+ */
+function createRandom(seed) {
+  let state = hashSeed(String(seed));
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export { generateSeed, getRoundSeed, createRandom };
@@ -0,0 +1,91 @@
+// game_logic/Ratings.js
+
+/**
+ * Elo-style player ratings, replayed from recorded game results (see storage/RatingStore.js).
+ * Each game is scored as a set of head-to-head matches between its sides, ranked by final
+ * score: a partnership counts as one side rated at its partners' average, and a Cutthroat
+ * game matches every player against every other. New players move faster (a larger K)
+ * until their rating has settled, as in Glicko's shrinking uncertainty.
+ *
+ * Ratings are always replayed from the results rather than stored, so a leaderboard can
+ * be built for any server, period or rule variant from the same record.
+ */
+
+const INITIAL_RATING = 1500;
+const PROVISIONAL_GAMES = 10;   // Games played at the provisional K before a rating settles
+const PROVISIONAL_K = 40;
+const ESTABLISHED_K = 20;
+
+/**
+ * Returns the chance that a side rated `rating` beats one rated `opponentRating`.
+ * @param {number} rating
+ * @param {number} opponentRating
+ * @returns {number} Between 0 and 1.
+ */
+function expectedScore(rating, opponentRating) {
+  return 1 / (1 + 10 ** ((opponentRating - rating) / 400));
+}
+
+/**
+ * Replays results, oldest first, into ratings. Unrated results (with bots, or abandoned)
+ * are skipped.
+ * @param {object[]} results - Records made by RatingStore.recordResult.
+ * @returns {Map<string, {playerId: string, username: string, rating: number, games: number, wins: number}>}
+ */
+function rateResults(results) {
+  const ratings = new Map();
+  const getEntry = ({ id, username }) => {
+    if (!ratings.has(id)) {
+      ratings.set(id, { playerId: id, username, rating: INITIAL_RATING, games: 0, wins: 0 });
+    }
+    const entry = ratings.get(id);
+    entry.username = username;
+    return entry;
+  };
+
+  const rated = results.filter(result => result.rated).sort((a, b) => a.endedAt.localeCompare(b.endedAt));
+  for (const result of rated) {
+    const sides = Object.entries(result.scores).map(([teamId, score]) => {
+      const members = result.players.filter(p => p.team === Number(teamId)).map(getEntry);
+      return {
+        teamId: Number(teamId),
+        score,
+        members,
+        rating: members.reduce((sum, entry) => sum + entry.rating, 0) / members.length
+      };
+    });
+
+    // Each side's average result against every other side, less what its rating expected
+    const surprises = sides.map(side => {
+      const opponents = sides.filter(other => other !== side);
+      const total = opponents.reduce((sum, other) => {
+        const actual = side.score > other.score ? 1 : side.score < other.score ? 0 : 0.5;
+        return sum + actual - expectedScore(side.rating, other.rating);
+      }, 0);
+      return total / opponents.length;
+    });
+
+    sides.forEach((side, index) => {
+      for (const entry of side.members) {
+        const k = entry.games < PROVISIONAL_GAMES ? PROVISIONAL_K : ESTABLISHED_K;
+        entry.rating += k * surprises[index];
+        entry.games++;
+        if (result.winningTeam === side.teamId) entry.wins++;
+      }
+    });
+  }
+  return ratings;
+}
+
+/**
+ * Ranks players by rating, highest first.
+ * @param {object[]} results - Records made by RatingStore.recordResult.
+ * @returns {object[]} Entries as returned by rateResults, with ratings rounded.
+ */
+function getLeaderboard(results) {
+  return [...rateResults(results).values()]
+    .map(entry => ({ ...entry, rating: Math.round(entry.rating) }))
+    .sort((a, b) => b.rating - a.rating || b.games - a.games);
+}
+
+export { INITIAL_RATING, expectedScore, rateResults, getLeaderboard };
@@ -0,0 +1,122 @@
+// game_logic/Rules.js
+
+/**
+ * House rules read by GameManager for scoring and validation.
+ * A table picks one of the RULE_PRESETS at `/spades start`.
+ */
+const DEFAULT_RULES = {
+  name: 'Standard',
+  mode: 'partnership',         // 'partnership' (2 vs 2), 'cutthroat' (every player for themselves, 3–4 players) or 'honeymoon' (2 players)
+  bidding: 'standard',         // 'standard', 'suicide', 'mirror' or 'whiz' (see BIDDING_DESCRIPTIONS)
+  deck: 'standard',            // 'standard' 52-card deck, or 'jokers' for Joker Joker Deuce Deuce
+  targetScore: 500,            // First team to reach this score wins
+  losingScore: null,           // A team at or below this score loses (null = no set-out score)
+  bagLimit: 10,                // Bags accumulated before the penalty applies
+  bagPenalty: 100,             // Points lost each time the bag limit is reached
+  nilValue: 100,               // Points won or lost for a single Nil
+  doubleNilValue: 200,         // Points won or lost when both partners bid Nil
+  nilTricksCountAsBags: false, // Whether tricks taken by a failed Nil count as team bags
+  allowBlindNil: true,         // Whether Blind Nil may be bid before seeing the hand
+  blindNilValue: 200,          // Points won or lost for a Blind Nil
+  blindNilDeficit: 100,        // How far a team must trail the opponents before it may bid Blind Nil
+  blindNilExchange: 2,         // Cards swapped between the Blind Nil bidder and their partner
+  minimumTeamBid: 0,           // Lowest combined bid a partnership may make (ignored when either partner bids Nil)
+  spadesMustBeBroken: true,    // Whether Spades may only be led once broken
+  allowHints: true,            // Whether players may ask for a suggested bid (Suggest bid button, /spades hint)
+  turnTimeLimit: 120,          // Seconds a player has for each draw, bid, exchange or play (0 = no limit)
+  turnWarningSeconds: 30,      // Remind the player and warn the channel when this many seconds are left
+  timeoutPlay: 'ai',           // Card played on timeout: 'lowest' legal card or the 'ai' move (bids always use the AI)
+  afkTimeouts: 3,              // Timeouts in a row before a player is marked AFK and can be replaced (0 = never)
+  spectatorHands: false,       // God mode: spectators also see every hand, as it stood after the last complete trick
+  spectatorDelay: 30,          // Seconds god-mode hands are held back from spectators after each trick
+  allowBots: true              // Whether computer players may fill seats, in the lobby or mid-game
+};
+
+const RULE_PRESETS = {
+  standard: { ...DEFAULT_RULES },
+  league: {
+    ...DEFAULT_RULES,
+    name: 'League',
+    losingScore: -200,
+    nilTricksCountAsBags: true,
+    minimumTeamBid: 4,
+    allowHints: false,
+    turnTimeLimit: 60,
+    turnWarningSeconds: 20,
+    timeoutPlay: 'lowest'
+  },
+  jokers: {
+    ...DEFAULT_RULES,
+    name: 'Joker Joker Deuce Deuce',
+    deck: 'jokers'
+  },
+  casual: {
+    ...DEFAULT_RULES,
+    name: 'Casual',
+    targetScore: 300,
+    spadesMustBeBroken: false,
+    turnTimeLimit: 300,
+    turnWarningSeconds: 60
+  }
+};
+
+const MODE_DESCRIPTIONS = {
+  partnership: 'Mode: **Partnership** (2 vs 2)',
+  cutthroat: 'Mode: **Cutthroat** (individual contracts, 3–4 players)',
+  honeymoon: 'Mode: **Honeymoon** (2 players draft their hands from the stock)'
+};
+
+const BIDDING_DESCRIPTIONS = {
+  standard: 'Bidding: **Standard** (Nil or any number)',
+  suicide: 'Bidding: **Suicide** (one partner bids Nil, the other 4 or more)',
+  mirror: 'Bidding: **Mirror** (bid the number of Spades you hold)',
+  whiz: 'Bidding: **Whiz** (bid the number of Spades you hold, or Nil)'
+};
+
+/**
+ * Builds a rules profile from a preset, with optional per-table overrides.
+ * @param {string} [presetKey='standard'] - A key of RULE_PRESETS.
+ * @param {object} [overrides={}] - Individual rule values to replace.
+ * @returns {object} A new rules object.
+ */
+function createRules(presetKey = 'standard', overrides = {}) {
+  const preset = RULE_PRESETS[presetKey];
+  if (!preset) {
+    throw new Error(`Unknown rules preset: ${presetKey}`);
+  }
+  return { ...preset, ...overrides, preset: presetKey };
+}
+
+/**
+ * Returns a short multi-line summary of a rules profile for lobby and status embeds.
+ * @param {object} rules
+ * @returns {string}
+ */
+function describeRules(rules) {
+  return [
+    MODE_DESCRIPTIONS[rules.mode],
+    BIDDING_DESCRIPTIONS[rules.bidding],
+    rules.deck === 'jokers'
+      ? 'Deck: **Joker Joker Deuce Deuce** (Big Joker > Little Joker > 2♠ > A♠; no 2♣ or 2♦)'
+      : 'Deck: **Standard 52 cards**',
+    `Target: **${rules.targetScore}**` + (rules.losingScore !== null ? ` | Set-out: **${rules.losingScore}**` : ''),
+    `Bags: **${rules.bagLimit}** = -${rules.bagPenalty}` + (rules.nilTricksCountAsBags ? ' (failed Nil tricks count)' : ''),
+    `Nil: ±${rules.nilValue} | Double Nil: ±${rules.doubleNilValue}`,
+    rules.allowBlindNil
+      ? `Blind Nil: ±${rules.blindNilValue} when trailing by ${rules.blindNilDeficit}+, swap ${rules.blindNilExchange} card(s)`
+      : 'Blind Nil: not allowed',
+    `Minimum team bid: **${rules.minimumTeamBid || 'none'}**`,
+    `Spades: ${rules.spadesMustBeBroken ? 'must be broken before leading' : 'may be led at any time'}`,
+    `Bid hints: ${rules.allowHints ? 'on' : 'off'}`,
+    rules.turnTimeLimit > 0
+      ? `Turn timer: **${rules.turnTimeLimit}s**, then the ${rules.timeoutPlay === 'lowest' ? 'lowest legal card' : 'AI move'} is played` +
+        (rules.afkTimeouts > 0 ? ` (AFK after ${rules.afkTimeouts} in a row)` : '')
+      : 'Turn timer: none',
+    rules.spectatorHands
+      ? `Spectators: see every hand, ${rules.spectatorDelay}s after each trick`
+      : 'Spectators: table view only',
+    `Bots: ${rules.allowBots ? 'may fill seats' : 'not allowed'}`
+  ].join('\n');
+}
+
+export { DEFAULT_RULES, RULE_PRESETS, createRules, describeRules };
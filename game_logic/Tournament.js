@@ -0,0 +1,493 @@
+// game_logic/Tournament.js
+
+import { RULE_PRESETS } from './Rules.js';
+
+export const TOURNAMENT_FORMATS = {
+    roundrobin: 'Round robin',
+    single: 'Single elimination',
+    double: 'Double elimination'
+};
+
+// Teams a tournament can take
+export const TOURNAMENT_TEAM_LIMITS = { min: 2, max: 32 };
+
+const BRACKET_NAMES = { RR: 'Round', W: 'Winners round', L: 'Losers round', F: 'Grand final' };
+
+/**
+ * Returns the bracket positions of seeds 1..size, so that the top seeds meet last
+ * and any byes go to them: e.g. [1, 4, 2, 3] for 4.
+ * @param {number} size - A power of two.
+ * @returns {number[]}
+ */
+function getSeedOrder(size) {
+    let order = [1];
+    while (order.length < size) {
+        const total = order.length * 2 + 1;
+        order = order.flatMap(seed => [seed, total - seed]);
+    }
+    return order;
+}
+
+/**
+ * A partnership tournament: teams of two register, then play a round robin or a
+ * single or double elimination bracket. Each match is one game at its own table;
+ * the caller opens the tables (see getOpenableMatches) and reports each game's
+ * result, and the tournament advances the teams.
+ *
+ * Every match has two slots. A slot is either filled when the bracket is drawn, or
+ * waits on the winner or loser of an earlier match. A slot can resolve to no team
+ * (a bye), in which case the other team goes through without playing.
+ */
+export default class Tournament {
+    /**
+     * @param {object} settings
+     * @param {string} settings.channelId - The channel the tournament is run from.
+     * @param {string} settings.guildId
+     * @param {string} settings.ownerId - Discord ID of the organizer.
+     * @param {string} settings.name
+     * @param {string} [settings.format='single'] - A key of TOURNAMENT_FORMATS.
+     * @param {string} [settings.rulesPreset='standard'] - A key of RULE_PRESETS, used at every table.
+     */
+    constructor({ channelId, guildId, ownerId, name, format = 'single', rulesPreset = 'standard' } = {}) {
+        this.channelId = channelId;
+        this.guildId = guildId;
+        this.ownerId = ownerId;
+        this.name = name;
+        this.format = format;
+        this.rulesPreset = rulesPreset;
+        this.state = 'REGISTRATION';   // 'REGISTRATION', 'RUNNING' or 'FINISHED'
+        this.teams = [];               // { id, name, playerIds, usernames }
+        this.matches = [];             // See createMatch
+        this.nextTeamId = 1;
+        this.championId = null;
+        this.createdAt = new Date().toISOString();
+    }
+
+    /**
+     * Checks tournament settings before one is created.
+     * @param {object} settings - As for the constructor.
+     * @returns {string|null} The problem, or null if the settings are valid.
+     */
+    static validateSettings({ name, format, rulesPreset }) {
+        if (!name?.trim()) return 'The tournament needs a name.';
+        if (!TOURNAMENT_FORMATS[format]) return `Unknown tournament format: ${format}`;
+        if (!RULE_PRESETS[rulesPreset]) return `Unknown rules preset: ${rulesPreset}`;
+        return null;
+    }
+
+    // --- Teams ---
+
+    /**
+     * @param {number} teamId
+     * @returns {object|undefined}
+     */
+    getTeam(teamId) {
+        return this.teams.find(team => team.id === teamId);
+    }
+
+    /**
+     * Returns the team a user is registered in.
+     * @param {string} userId
+     * @returns {object|undefined}
+     */
+    getTeamOf(userId) {
+        return this.teams.find(team => team.playerIds.includes(userId));
+    }
+
+    /**
+     * Registers a team of two while registration is open.
+     * @param {{id: string, username: string}[]} players - The two partners.
+     * @param {string} [name] - Defaults to "Ann & Bo".
+     * @returns {object} Result object with error, or team.
+     */
+    registerTeam(players, name) {
+        if (this.state !== 'REGISTRATION') {
+            return { error: 'Registration for this tournament is closed.' };
+        }
+        if (players.length !== 2 || players[0].id === players[1].id) {
+            return { error: 'A team is two different players.' };
+        }
+        const registered = players.find(player => this.getTeamOf(player.id));
+        if (registered) {
+            return { error: `**${registered.username}** is already registered in team **${this.getTeamOf(registered.id).name}**.` };
+        }
+        if (this.teams.length >= TOURNAMENT_TEAM_LIMITS.max) {
+            return { error: `This tournament is full (${TOURNAMENT_TEAM_LIMITS.max} teams).` };
+        }
+        const teamName = name?.trim() || players.map(player => player.username).join(' & ');
+        if (this.teams.some(team => team.name.toLowerCase() === teamName.toLowerCase())) {
+            return { error: `There is already a team called **${teamName}**.` };
+        }
+
+        const team = {
+            id: this.nextTeamId++,
+            name: teamName,
+            playerIds: players.map(player => player.id),
+            usernames: players.map(player => player.username)
+        };
+        this.teams.push(team);
+        return { success: true, team };
+    }
+
+    /**
+     * Withdraws a user's team while registration is open.
+     * @param {string} userId - Either partner.
+     * @returns {object} Result object with error, or team.
+     */
+    withdrawTeam(userId) {
+        if (this.state !== 'REGISTRATION') {
+            return { error: 'The tournament has started, so teams can no longer withdraw.' };
+        }
+        const team = this.getTeamOf(userId);
+        if (!team) {
+            return { error: 'You are not registered in this tournament.' };
+        }
+        this.teams = this.teams.filter(other => other !== team);
+        return { success: true, team };
+    }
+
+    // --- Drawing the Matches ---
+
+    /**
+     * Closes registration and draws the matches, seeding the teams in a random order.
+     * @param {function(): number} [random=Math.random]
+     * @returns {object} Result object with error, or success.
+     */
+    start(random = Math.random) {
+        if (this.state !== 'REGISTRATION') {
+            return { error: 'This tournament has already started.' };
+        }
+        if (this.teams.length < TOURNAMENT_TEAM_LIMITS.min) {
+            return { error: `At least ${TOURNAMENT_TEAM_LIMITS.min} teams are needed to start.` };
+        }
+
+        const seeded = [...this.teams];
+        for (let i = seeded.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [seeded[i], seeded[j]] = [seeded[j], seeded[i]];
+        }
+        const teamIds = seeded.map(team => team.id);
+
+        if (this.format === 'roundrobin') {
+            this.drawRoundRobin(teamIds);
+        } else {
+            this.drawElimination(teamIds, this.format === 'double');
+        }
+        this.state = 'RUNNING';
+
+        // Byes are settled straight away
+        for (const match of this.matches) this.resolveMatch(match);
+        return { success: true };
+    }
+
+    /**
+     * Adds a match.
+     * @param {string} bracket - 'RR' (round robin), 'W' (winners), 'L' (losers) or 'F' (grand final).
+     * @param {number} round
+     * @param {number} number - The match's number within its round, from 1.
+     * @param {object[]} slots - Each { teamId } (drawn) or { source: { matchId, outcome } }, with
+     *   outcome 'winner' or 'loser'.
+     * @returns {object} The match.
+     */
+    createMatch(bracket, round, number, slots) {
+        const match = {
+            id: this.matches.length + 1,
+            bracket,
+            round,
+            number,
+            slots: slots.map(({ teamId = null, source = null }) => ({ teamId, source, resolved: !source })),
+            state: 'WAITING',           // 'WAITING' on earlier matches, 'READY', 'PLAYING' or 'DONE'
+            winnerId: null,
+            loserId: null,
+            scores: null,               // Team ID -> final game score
+            isBye: false,
+            tableChannelId: null
+        };
+        this.matches.push(match);
+        return match;
+    }
+
+    /**
+     * Draws a round robin by the circle method: every team plays every other once,
+     * at most once per round.
+     * @param {number[]} teamIds
+     */
+    drawRoundRobin(teamIds) {
+        let circle = teamIds.length % 2 === 0 ? [...teamIds] : [...teamIds, null];
+        const size = circle.length;
+        for (let round = 1; round < size; round++) {
+            let number = 1;
+            for (let i = 0; i < size / 2; i++) {
+                const [a, b] = [circle[i], circle[size - 1 - i]];
+                if (a !== null && b !== null) {
+                    this.createMatch('RR', round, number++, [{ teamId: a }, { teamId: b }]);
+                }
+            }
+            // Keep the first team in place and turn the rest of the circle
+            circle = [circle[0], circle[size - 1], ...circle.slice(1, size - 1)];
+        }
+    }
+
+    /**
+     * Draws a single or double elimination bracket. The field is padded to a power of
+     * two with byes for the top seeds. In double elimination, teams that lose once drop
+     * into the losers bracket, whose winner meets the winners bracket's in the grand final.
+     * @param {number[]} teamIds - In seed order.
+     * @param {boolean} isDouble
+     */
+    drawElimination(teamIds, isDouble) {
+        const rounds = Math.ceil(Math.log2(teamIds.length));
+        const size = 2 ** rounds;
+        const order = getSeedOrder(size);
+        const from = (match, outcome) => ({ source: { matchId: match.id, outcome } });
+
+        // Winners bracket
+        const winners = [];
+        winners.push(Array.from({ length: size / 2 }, (_, i) => this.createMatch('W', 1, i + 1, [
+            { teamId: teamIds[order[2 * i] - 1] ?? null },
+            { teamId: teamIds[order[2 * i + 1] - 1] ?? null }
+        ])));
+        for (let round = 2; round <= rounds; round++) {
+            const previous = winners[round - 2];
+            winners.push(Array.from({ length: previous.length / 2 }, (_, i) =>
+                this.createMatch('W', round, i + 1, [from(previous[2 * i], 'winner'), from(previous[2 * i + 1], 'winner')])));
+        }
+        if (!isDouble) return;
+
+        // Losers bracket: the first round's losers play each other, then each later round
+        // alternates between taking in the winners bracket's losers and halving the field
+        let losersFinal = null;
+        if (rounds >= 2) {
+            let round = 1;
+            let previous = Array.from({ length: size / 4 }, (_, i) => this.createMatch('L', round, i + 1, [
+                from(winners[0][2 * i], 'loser'),
+                from(winners[0][2 * i + 1], 'loser')
+            ]));
+            for (let winnersRound = 2; winnersRound <= rounds; winnersRound++) {
+                round++;
+                const dropping = winners[winnersRound - 1];
+                // Losers drop in reversed, so teams do not meet again straight away
+                previous = previous.map((match, i) => this.createMatch('L', round, i + 1, [
+                    from(match, 'winner'),
+                    from(dropping[dropping.length - 1 - i], 'loser')
+                ]));
+                if (winnersRound < rounds) {
+                    round++;
+                    const halved = previous;
+                    previous = Array.from({ length: halved.length / 2 }, (_, i) =>
+                        this.createMatch('L', round, i + 1, [from(halved[2 * i], 'winner'), from(halved[2 * i + 1], 'winner')]));
+                }
+            }
+            losersFinal = from(previous[0], 'winner');
+        }
+
+        const winnersFinal = winners[rounds - 1][0];
+        this.createMatch('F', 1, 1, [from(winnersFinal, 'winner'), losersFinal ?? from(winnersFinal, 'loser')]);
+    }
+
+    // --- Playing the Matches ---
+
+    /**
+     * @param {number} matchId
+     * @returns {object|undefined}
+     */
+    getMatch(matchId) {
+        return this.matches.find(match => match.id === matchId);
+    }
+
+    /**
+     * Returns the match being played at a table.
+     * @param {string} tableChannelId
+     * @returns {object|undefined}
+     */
+    getMatchAtTable(tableChannelId) {
+        return this.matches.find(match => match.state === 'PLAYING' && match.tableChannelId === tableChannelId);
+    }
+
+    /**
+     * Names a match, e.g. "Winners round 2, match 1".
+     * @param {object} match
+     * @returns {string}
+     */
+    getMatchLabel(match) {
+        if (match.bracket === 'F') return match.round > 1 ? 'Grand final (reset)' : 'Grand final';
+        return `${BRACKET_NAMES[match.bracket]} ${match.round}, match ${match.number}`;
+    }
+
+    /**
+     * Returns the matches whose tables can open now: both teams are known and neither
+     * is still playing elsewhere. Earlier matches come first.
+     * @returns {object[]}
+     */
+    getOpenableMatches() {
+        const busyTeams = new Set(this.matches
+            .filter(match => match.state === 'PLAYING')
+            .flatMap(match => match.slots.map(slot => slot.teamId)));
+
+        const openable = [];
+        for (const match of this.matches) {
+            if (match.state !== 'READY') continue;
+            const teamIds = match.slots.map(slot => slot.teamId);
+            if (teamIds.some(teamId => busyTeams.has(teamId))) continue;
+            teamIds.forEach(teamId => busyTeams.add(teamId));
+            openable.push(match);
+        }
+        return openable;
+    }
+
+    /**
+     * Marks a match as being played at a table.
+     * @param {number} matchId
+     * @param {string} tableChannelId
+     * @returns {object} Result object with error, or success.
+     */
+    startMatch(matchId, tableChannelId) {
+        const match = this.getMatch(matchId);
+        if (match?.state !== 'READY') {
+            return { error: 'That match is not ready to be played.' };
+        }
+        match.state = 'PLAYING';
+        match.tableChannelId = tableChannelId;
+        return { success: true };
+    }
+
+    /**
+     * Puts a match back to be played again, e.g. after its game was abandoned or tied.
+     * @param {number} matchId
+     * @returns {object} Result object with error, or success.
+     */
+    reopenMatch(matchId) {
+        const match = this.getMatch(matchId);
+        if (match?.state !== 'PLAYING') {
+            return { error: 'That match is not being played.' };
+        }
+        match.state = 'READY';
+        match.tableChannelId = null;
+        return { success: true };
+    }
+
+    /**
+     * Records a match's result and advances the teams: the winner (and, in double
+     * elimination, the loser) move on to the matches waiting on them. If the losers
+     * bracket's team wins the grand final, a deciding reset match is added.
+     * @param {number} matchId
+     * @param {number} winnerId - The winning team.
+     * @param {Object<number, number>|null} [scores=null] - Team ID -> final game score.
+     * @returns {object} Result object with error, or match, finished and championId.
+     */
+    recordResult(matchId, winnerId, scores = null) {
+        const match = this.getMatch(matchId);
+        if (!match || !['READY', 'PLAYING'].includes(match.state)) {
+            return { error: 'That match is not waiting for a result.' };
+        }
+        const teamIds = match.slots.map(slot => slot.teamId);
+        if (!teamIds.includes(winnerId)) {
+            return { error: 'The winner must be one of the match\'s teams.' };
+        }
+
+        match.state = 'DONE';
+        match.winnerId = winnerId;
+        match.loserId = teamIds.find(teamId => teamId !== winnerId);
+        match.scores = scores;
+        this.advance(match);
+
+        const isFirstFinal = match.bracket === 'F' && match.round === 1;
+        if (isFirstFinal && winnerId === match.slots[1].teamId) {
+            const reset = this.createMatch('F', 2, 1, [{ teamId: match.slots[0].teamId }, { teamId: winnerId }]);
+            this.resolveMatch(reset);
+        }
+
+        if (this.matches.every(other => other.state === 'DONE')) {
+            this.state = 'FINISHED';
+            this.championId = this.format === 'roundrobin'
+                ? this.getStandings()[0].team.id
+                : this.matches[this.matches.length - 1].winnerId;
+        }
+        return { success: true, match, finished: this.state === 'FINISHED', championId: this.championId };
+    }
+
+    /**
+     * Fills the slots waiting on a finished match, settling any byes this creates.
+     * @param {object} match
+     */
+    advance(match) {
+        for (const other of this.matches) {
+            for (const slot of other.slots) {
+                if (slot.source?.matchId !== match.id) continue;
+                slot.teamId = slot.source.outcome === 'winner' ? match.winnerId : match.loserId;
+                slot.resolved = true;
+            }
+            if (other.slots.some(slot => slot.source?.matchId === match.id)) this.resolveMatch(other);
+        }
+    }
+
+    /**
+     * Makes a match ready once both its teams are known, or settles it without play
+     * when a slot turned out empty (a bye).
+     * @param {object} match
+     */
+    resolveMatch(match) {
+        if (match.state !== 'WAITING' || !match.slots.every(slot => slot.resolved)) return;
+
+        const teamIds = match.slots.map(slot => slot.teamId).filter(teamId => teamId !== null);
+        if (teamIds.length === 2) {
+            match.state = 'READY';
+            return;
+        }
+        match.state = 'DONE';
+        match.isBye = true;
+        match.winnerId = teamIds[0] ?? null;
+        this.advance(match);
+    }
+
+    // --- Standings ---
+
+    /**
+     * Ranks the teams: in a round robin by wins, then by points scored minus conceded;
+     * in a bracket the champion first, then the teams still in, then by wins.
+     * @returns {{team: object, played: number, wins: number, losses: number, pointDiff: number, eliminated: boolean}[]}
+     */
+    getStandings() {
+        const lossesAllowed = this.format === 'double' ? 2 : 1;
+        const rows = this.teams.map(team => {
+            const played = this.matches.filter(match => match.state === 'DONE' && !match.isBye &&
+                match.slots.some(slot => slot.teamId === team.id));
+            const wins = played.filter(match => match.winnerId === team.id).length;
+            const pointDiff = played.reduce((sum, match) => {
+                if (!match.scores) return sum;
+                const opponentId = match.slots.find(slot => slot.teamId !== team.id).teamId;
+                return sum + (match.scores[team.id] ?? 0) - (match.scores[opponentId] ?? 0);
+            }, 0);
+            const losses = played.length - wins;
+            const eliminated = this.format !== 'roundrobin' && this.state !== 'REGISTRATION' &&
+                losses >= lossesAllowed && team.id !== this.championId;
+            return { team, played: played.length, wins, losses, pointDiff, eliminated };
+        });
+
+        return rows.sort((a, b) =>
+            (b.team.id === this.championId) - (a.team.id === this.championId) ||
+            a.eliminated - b.eliminated ||
+            b.wins - a.wins ||
+            a.losses - b.losses ||
+            b.pointDiff - a.pointDiff);
+    }
+
+    // --- Saving & Restoring ---
+
+    /**
+     * Returns the tournament as plain data for saving.
+     * @returns {object}
+     */
+    toJSON() {
+        return { ...this };
+    }
+
+    /**
+     * Restores a tournament saved with toJSON.
+     * @param {object} data
+     * @returns {Tournament}
+     */
+    static fromJSON(data) {
+        return Object.assign(new Tournament(), data);
+    }
+}
@@ -0,0 +1,64 @@
+// game_logic/TurnTimer.js
+
+// How long an AFK player or an open seat is given before its turn is played for it
+const AFK_TURN_SECONDS = 10;
+
+// Game -> { warning, timeout } timers for the turn being waited on
+const turnTimers = new WeakMap();
+
+/**
+ * Limits how long a game waits on its human players (the turnTimeLimit rule). A reminder
+ * goes out turnWarningSeconds before the limit; when it is reached the game plays the
+ * turn for them (GameManager.playTimedOutTurn). Open seats are always played after a
+ * short pause, even without a time limit, so a departed player never stalls the table.
+ * @param {GameManager} game
+ */
+function attachTurnTimer(game) {
+    for (const eventName of ['draftTurn', 'bidRequested', 'exchangeStarted', 'exchangeCardsChosen', 'playRequested', 'playerReplaced']) {
+        game.on(eventName, () => startTurnTimer(game));
+    }
+    game.on('gameOver', () => clearTurnTimer(game));
+    game.on('gameAbandoned', () => clearTurnTimer(game));
+}
+
+/**
+ * Starts the clock on the turn the game is now waiting for, replacing any earlier one.
+ * @param {GameManager} game
+ */
+function startTurnTimer(game) {
+    clearTurnTimer(game);
+
+    const waiting = game.getWaitingPlayers();
+    const { turnTimeLimit, turnWarningSeconds } = game.rules;
+    if (waiting.length === 0) return;
+
+    const limit = turnTimeLimit || (waiting.every(p => p.isOpenSeat) ? AFK_TURN_SECONDS : 0);
+    const seconds = waiting.every(p => p.isAfk || p.isOpenSeat) ? Math.min(AFK_TURN_SECONDS, limit) : limit;
+    if (!seconds) return;
+    const timers = {
+        timeout: setTimeout(() => {
+            turnTimers.delete(game);
+            for (const player of game.getWaitingPlayers()) {
+                game.playTimedOutTurn(player.discordId);
+            }
+        }, seconds * 1000)
+    };
+    if (turnWarningSeconds > 0 && turnWarningSeconds < seconds) {
+        timers.warning = setTimeout(() => game.announceTurnWarning(turnWarningSeconds), (seconds - turnWarningSeconds) * 1000);
+    }
+    turnTimers.set(game, timers);
+}
+
+/**
+ * Stops the clock on a game's current turn.
+ * @param {GameManager} game
+ */
+function clearTurnTimer(game) {
+    const timers = turnTimers.get(game);
+    if (!timers) return;
+    clearTimeout(timers.warning);
+    clearTimeout(timers.timeout);
+    turnTimers.delete(game);
+}
+
+export { attachTurnTimer, startTurnTimer, clearTurnTimer };
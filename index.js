@@ -8,17 +8,40 @@ import {
     Client, 
     GatewayIntentBits, 
     SlashCommandBuilder, 
+    ContextMenuCommandBuilder,
+    ApplicationCommandType,
     EmbedBuilder, 
     REST, 
     Routes, 
     PermissionsBitField,
+    ChannelType,
     ActionRowBuilder, 
     ButtonBuilder,   
-    ButtonStyle      
+    ButtonStyle,
+    StringSelectMenuBuilder,
+    MentionableSelectMenuBuilder,
+    ModalBuilder,
+    TextInputBuilder,
+    TextInputStyle,
+    AttachmentBuilder
 } from 'discord.js';
 
 // 3. Corrected local file import for ES Module syntax (must include .js extension)
-import GameManager from './game_logic/GameManager.js'; 
+import GameManager, { BOT_DIFFICULTIES, TARGET_SCORE_LIMITS, TURN_TIME_LIMITS, formatBidList } from './game_logic/GameManager.js'; 
+import { RULE_PRESETS, createRules, describeRules } from './game_logic/Rules.js';
+import { GameHistory } from './game_logic/GameHistory.js';
+import { Deck } from './game_logic/Deck.js';
+import { attachBots, scheduleBotTurn } from './game_logic/BotController.js';
+import { attachTurnTimer, startTurnTimer } from './game_logic/TurnTimer.js';
+import { deleteGame, loadGames, saveGame, trackGame } from './storage/GameStore.js';
+import { saveHistory, loadHistory, loadLatestHistory } from './storage/HistoryStore.js';
+import { loadPreferences, getPreferences, setPreference } from './storage/PreferenceStore.js';
+import { loadStats, getStats, recordGameStats } from './storage/StatsStore.js';
+import { loadResults, recordResult, getResults } from './storage/RatingStore.js';
+import { getLeaderboard } from './game_logic/Ratings.js';
+import Tournament, { TOURNAMENT_FORMATS } from './game_logic/Tournament.js';
+import { saveTournament, deleteTournament, loadTournaments } from './storage/TournamentStore.js';
+import { renderHand, renderTrick, renderScoreCard } from './rendering/TableImages.js';
 
 // --- Configuration ---
 const TOKEN = process.env.DISCORD_TOKEN;
@@ -38,6 +61,8 @@ const SUIT_EMOJIS = {
  * @returns {string} The formatted display string (e.g., "A♠️").
  */
 const getCardEmojiDisplay = (card) => {
+    // Jokers carry their own symbol (e.g., "BJ🃏")
+    if (card.isJoker) return card.code;
     // Adjust 'T' (for 10) to '10' for better user readability based on Deck.js
     const rank = card.rankCode === 'T' ? '10' : card.rankCode;
     return `${rank}${SUIT_EMOJIS[card.suitCode] || card.suitCode}`; // Fallback to letter if emoji missing
@@ -46,33 +71,307 @@ const getCardEmojiDisplay = (card) => {
 
 // --- Helper Function for Lobby Button ---
 /**
- * Creates the ActionRow with the Join Game button, dynamically labeled with player count.
- * @param {number} playerCount - The number of players currently in the lobby.
- * @returns {ActionRowBuilder[]} An array containing a single ActionRow.
+ * Creates the button that lets anyone not playing watch the table.
+ * @param {string} channelId - The ID of the game channel.
+ * @returns {ButtonBuilder}
  */
-const createLobbyComponents = (channelId, playerCount = 0) => {
-    return [
-        new ActionRowBuilder().addComponents(
+const createWatchButton = (channelId) => new ButtonBuilder()
+    .setCustomId(`watch_game:${channelId}`)
+    .setLabel('Watch')
+    .setEmoji('👀')
+    .setStyle(ButtonStyle.Secondary);
+
+// Button colours of the partnership teams, matching their icons in the score display
+const TEAM_BUTTON_STYLES = { 1: ButtonStyle.Danger, 2: ButtonStyle.Primary };
+
+/**
+ * Creates the lobby components: a button per seat (pick an empty seat, or ask to swap),
+ * the Join Game button (dynamically labeled with player count), Ready and Watch, the
+ * owner's seating controls, and menus to seat computer players and set their difficulty.
+ * @param {string} channelId - The ID of the guild channel where the game is running.
+ * @param {GameManager} game - The game in the lobby.
+ * @returns {ActionRowBuilder[]}
+ */
+const createLobbyComponents = (channelId, game) => {
+    const playerCount = game.players.length;
+    const maxPlayers = game.getMaxPlayers();
+
+    const seatRow = new ActionRowBuilder().addComponents(game.getSeatNames().map((seatName, seat) => {
+        const occupant = game.players.find(p => p.seat === seat);
+        return new ButtonBuilder()
+            .setCustomId(`pick_seat:${channelId}:${seat}`)
+            .setLabel(occupant ? `${seatName}: ${occupant.username}`.slice(0, 80) : `${seatName}: open`)
+            .setStyle(game.hasPartnerships() ? TEAM_BUTTON_STYLES[game.getSeatTeam(seat)] : ButtonStyle.Secondary);
+    }));
+
+    const row = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(`join_game:${channelId}`)
+            .setLabel(`Join Game (${playerCount}/${maxPlayers})`)
+            .setStyle(ButtonStyle.Success)
+            .setDisabled(game.isLobbyFull()),
+        new ButtonBuilder()
+            .setCustomId(`toggle_ready:${channelId}`)
+            .setLabel('Ready')
+            .setEmoji('✅')
+            .setStyle(ButtonStyle.Success),
+        createWatchButton(channelId)
+    );
+
+    // Cutthroat tables may start before every seat is filled
+    if (game.canStartGame() && !game.isLobbyFull()) {
+        row.addComponents(
             new ButtonBuilder()
-                .setCustomId(`join_game:${channelId}`)
-                .setLabel(`Join Game (${playerCount}/4)`)
-                .setStyle(ButtonStyle.Success)
-                .setDisabled(playerCount >= 4)
-        )
+                .setCustomId(`start_game:${channelId}`)
+                .setLabel(`Start with ${playerCount}`)
+                .setStyle(ButtonStyle.Primary)
+        );
+    }
+
+    const ownerRow = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(`lobby_settings:${channelId}`)
+            .setLabel('Settings')
+            .setEmoji('⚙️')
+            .setStyle(ButtonStyle.Secondary),
+        new ButtonBuilder()
+            .setCustomId(`randomize_seats:${channelId}`)
+            .setLabel('Randomize seats')
+            .setEmoji('🎲')
+            .setStyle(ButtonStyle.Secondary),
+        new ButtonBuilder()
+            .setCustomId(`lock_seats:${channelId}`)
+            .setLabel(game.seatsLocked ? 'Unlock seats' : 'Lock seats')
+            .setEmoji(game.seatsLocked ? '🔓' : '🔒')
+            .setStyle(ButtonStyle.Secondary)
+    );
+
+    const rows = [seatRow, row, ownerRow];
+    if (game.rules.allowBots && !game.isLobbyFull()) {
+        rows.push(new ActionRowBuilder().addComponents(
+            new StringSelectMenuBuilder()
+                .setCustomId(`add_bot:${channelId}`)
+                .setPlaceholder('🤖 Add a bot...')
+                .addOptions(Object.entries(BOT_DIFFICULTIES).map(([value, label]) => ({ label: `${label} bot`, value })))
+        ));
+    }
+
+    // One option per bot and difficulty it is not already playing at
+    const difficultyOptions = game.players.filter(p => p.isBot).flatMap(bot =>
+        Object.entries(BOT_DIFFICULTIES)
+            .filter(([difficulty]) => difficulty !== bot.botDifficulty)
+            .map(([difficulty, label]) => ({ label: `${bot.username} → ${label}`, value: `${bot.discordId}:${difficulty}` })));
+    if (difficultyOptions.length > 0) {
+        rows.push(new ActionRowBuilder().addComponents(
+            new StringSelectMenuBuilder()
+                .setCustomId(`bot_difficulty:${channelId}`)
+                .setPlaceholder('🎚️ Change a bot\'s difficulty...')
+                .addOptions(difficultyOptions)
+        ));
+    }
+
+    return rows;
+};
+
+/**
+ * Names a player for lobby and status lists, adding a computer player's difficulty.
+ * @param {Player} player
+ * @returns {string}
+ */
+const getSeatName = (player) => {
+    if (player.isBot) return `${player.username} (${BOT_DIFFICULTIES[player.botDifficulty]})`;
+    return player.isAfk ? `${player.username} (AFK)` : player.username;
+};
+
+/**
+ * Lists a lobby's seats with who sits in each and whether they are ready, e.g.
+ * "🟥 **North** (Team 1): Ann ✅".
+ * @param {GameManager} game - The game in the lobby.
+ * @returns {string}
+ */
+const formatLobbySeats = (game) => {
+    const teamIcons = { 1: '🟥', 2: '🟦' };
+    return game.getSeatNames().map((seatName, seat) => {
+        const occupant = game.players.find(p => p.seat === seat);
+        const team = game.hasPartnerships() ? `${teamIcons[game.getSeatTeam(seat)]} ` : '';
+        const teamLabel = game.hasPartnerships() ? ` (Team ${game.getSeatTeam(seat)})` : '';
+        const sitter = occupant ? `${getSeatName(occupant)} ${occupant.isReady ? '✅' : '⏳'}` : '*open*';
+        return `${team}**${seatName}**${teamLabel}: ${sitter}`;
+    }).join('\n');
+};
+
+/**
+ * Builds the lobby message text: what the table needs, a note on what just happened,
+ * and the seating with everyone's ready state.
+ * @param {GameManager} game - The game in the lobby.
+ * @param {string} note - E.g. "**Ann** joined the lobby!"
+ * @returns {string}
+ */
+const createLobbyContent = (game, note) =>
+    `♠️ **Spades Lobby** - ${getPlayersNeededText(game)}.${game.seatsLocked ? ' 🔒 Seats are locked.' : ''}\n\n` +
+    `${note}\n\n${formatLobbySeats(game)}\n\n` +
+    'Pick a seat to sit down or to ask for a swap, then press **Ready**. The game starts when every seat is filled and everyone is ready.';
+
+/**
+ * Starts a lobby's game once every seat is filled and everyone is ready, replacing the
+ * lobby message (already updated by the interaction) with a starting notice.
+ * @param {object} interaction - The lobby interaction that may have completed the table.
+ * @param {GameManager} game - The game in the lobby.
+ */
+const startIfEveryoneReady = async (interaction, game) => {
+    if (!game.isLobbyFull() || !game.isEveryoneReady()) return;
+
+    const startResult = game.startGame();
+    if (startResult.error) return;
+
+    await interaction.editReply({
+        content: '📢 **EVERYONE IS READY!** The game is starting now. Check your DMs for your hand!',
+        components: []
+    });
+};
+
+/**
+ * Builds the lobby's settings embed: the house rules and who may join.
+ * @param {GameManager} game - The game in the lobby.
+ * @returns {EmbedBuilder}
+ */
+const createLobbyEmbed = (game) => {
+    const invitees = [
+        ...game.invitedUserIds.map(id => `<@${id}>`),
+        ...game.invitedRoleIds.map(id => `<@&${id}>`)
     ];
+    return new EmbedBuilder()
+        .setColor('#FF9900')
+        .setTitle(`House Rules: ${game.rules.name}`)
+        .setDescription(describeRules(game.rules))
+        .addFields({
+            name: 'Access',
+            value: game.isInviteOnly() ? `🔐 Invite-only: ${invitees.join(', ')}` : '🌐 Open to everyone'
+        });
+};
+
+/**
+ * Returns the IDs of the interacting member's server roles, for invite-only checks.
+ * @param {object} interaction
+ * @returns {string[]}
+ */
+const getMemberRoleIds = (interaction) => {
+    const roles = interaction.member?.roles;
+    if (!roles) return [];
+    return Array.isArray(roles) ? roles : [...roles.cache.keys()];
+};
+
+// Channel ID -> the public lobby message, so settings changed elsewhere can update it
+const lobbyMessages = new Map();
+
+/**
+ * Updates the public lobby message after the owner changes the settings.
+ * @param {GameManager} game - The game in the lobby.
+ * @param {string} note - What changed.
+ */
+const refreshLobbyMessage = async (game, note) => {
+    const message = lobbyMessages.get(game.channelId);
+    if (!message || game.state !== 'LOBBY') return;
+    await message.edit({
+        content: createLobbyContent(game, note),
+        components: createLobbyComponents(game.channelId, game),
+        embeds: [createLobbyEmbed(game)]
+    }).catch(error => console.error(`Could not update the lobby in ${game.channelId}:`, error));
+};
+
+/**
+ * Builds the owner's private settings panel: menus for the rules preset, bidding
+ * variant, bots and invitees, and a button that opens the target score and timer form.
+ * @param {GameManager} game - The game in the lobby.
+ * @returns {object} Message options with content and components.
+ */
+const createSettingsPanel = (game) => {
+    const { channelId, rules } = game;
+    const presetMenu = new StringSelectMenuBuilder()
+        .setCustomId(`settings_preset:${channelId}`)
+        .setPlaceholder('Rules preset')
+        .addOptions(Object.entries(RULE_PRESETS).map(([value, preset]) => ({
+            label: `Rules: ${preset.name}`, value, default: value === rules.preset
+        })));
+    const biddingMenu = new StringSelectMenuBuilder()
+        .setCustomId(`settings_bidding:${channelId}`)
+        .setPlaceholder('Bidding variant')
+        .addOptions(BIDDING_CHOICES.map(({ name, value }) => ({
+            label: `Bidding: ${name}`, value, default: value === rules.bidding
+        })));
+    const botsMenu = new StringSelectMenuBuilder()
+        .setCustomId(`settings_bots:${channelId}`)
+        .setPlaceholder('Bots')
+        .addOptions(
+            { label: 'Bots may fill seats', value: 'allow', emoji: '🤖', default: rules.allowBots },
+            { label: 'No bots', value: 'deny', emoji: '🚫', default: !rules.allowBots }
+        );
+    const inviteMenu = new MentionableSelectMenuBuilder()
+        .setCustomId(`settings_invite:${channelId}`)
+        .setPlaceholder('Invite-only: pick users or roles (none = open to everyone)')
+        .setMinValues(0)
+        .setMaxValues(25);
+    const defaultUsers = game.invitedUserIds.slice(0, 25);
+    const defaultRoles = game.invitedRoleIds.slice(0, 25 - defaultUsers.length);
+    if (defaultUsers.length > 0) inviteMenu.addDefaultUsers(defaultUsers);
+    if (defaultRoles.length > 0) inviteMenu.addDefaultRoles(defaultRoles);
+
+    return {
+        content: `⚙️ **Lobby settings** (only you can see this)\n` +
+            `Target: **${rules.targetScore}** | Turn timer: **${rules.turnTimeLimit ? `${rules.turnTimeLimit}s` : 'none'}**`,
+        components: [
+            new ActionRowBuilder().addComponents(presetMenu),
+            new ActionRowBuilder().addComponents(biddingMenu),
+            new ActionRowBuilder().addComponents(botsMenu),
+            new ActionRowBuilder().addComponents(inviteMenu),
+            new ActionRowBuilder().addComponents(
+                new ButtonBuilder()
+                    .setCustomId(`settings_numbers:${channelId}`)
+                    .setLabel('Target score & timer')
+                    .setEmoji('🔢')
+                    .setStyle(ButtonStyle.Secondary)
+            )
+        ]
+    };
+};
+
+/**
+ * Describes how many players a lobby needs, e.g. "4 players needed".
+ * @param {GameManager} game - The game in the lobby.
+ * @returns {string}
+ */
+const getPlayersNeededText = (game) => {
+    const minPlayers = game.getMinPlayers();
+    const maxPlayers = game.getMaxPlayers();
+    return minPlayers === maxPlayers
+        ? `${maxPlayers} players needed`
+        : `${minPlayers}–${maxPlayers} players needed`;
 };
 
+/**
+ * Formats a bid hint from GameManager.getBidHint for a private reply.
+ * @param {object} hint - The hint result: bid, estimate and reasons.
+ * @returns {string}
+ */
+const formatBidHint = ({ bid, estimate, reasons }) => [
+    `💡 **Suggested bid: ${bid === 0 ? 'Nil' : bid}** (your hand is worth about ${estimate.toFixed(1)} tricks)`,
+    ...reasons.map(reason => `• ${reason}`)
+].join('\n');
+
 // --- Helper Function for Bidding Buttons ---
 /**
  * Creates the bidding buttons, embedding the gameChannelId into the customId for reliable lookup.
+ * Only the bids legal under the table's bidding variant get a button.
  * @param {string} gameChannelId - The ID of the guild channel where the game is running.
+ * @param {number[]} legalBids - The bids the player may make (0 = Nil), from GameManager.getLegalBids.
+ * @param {boolean} [allowHints=false] - Whether to add the Suggest bid button.
  * @returns {ActionRowBuilder[]} An array containing the ActionRows with bidding buttons.
  */
-const createBiddingComponents = (gameChannelId) => {
+const createBiddingComponents = (gameChannelId, legalBids, allowHints = false) => {
     const buttons = [];
 
-    // 1 to 13 tricks, plus Nil
-    for (let i = 1; i <= 13; i++) {
+    // Numbered bids, plus Nil
+    for (const i of legalBids.filter(bid => bid > 0)) {
         buttons.push(
             new ButtonBuilder()
                 .setCustomId(`bid_${gameChannelId}_${i}`)
@@ -82,21 +381,238 @@ const createBiddingComponents = (gameChannelId) => {
     }
 
     // Add Nil button separately
-    buttons.push(
-        new ButtonBuilder()
-            .setCustomId(`bid_${gameChannelId}_nil`)
-            .setLabel('Nil (0)')
-            .setStyle(ButtonStyle.Danger)
-    );
+    if (legalBids.includes(0)) {
+        buttons.push(
+            new ButtonBuilder()
+                .setCustomId(`bid_${gameChannelId}_nil`)
+                .setLabel('Nil (0)')
+                .setStyle(ButtonStyle.Danger)
+        );
+    }
+
+    if (allowHints) {
+        buttons.push(
+            new ButtonBuilder()
+                .setCustomId(`hint_${gameChannelId}`)
+                .setLabel('Suggest bid')
+                .setEmoji('💡')
+                .setStyle(ButtonStyle.Secondary)
+        );
+    }
+
+    // Split the buttons into rows of 5 (e.g., 14 buttons -> 5, 5, 4)
+    const rows = [];
+    for (let i = 0; i < buttons.length; i += 5) {
+        rows.push(new ActionRowBuilder().addComponents(buttons.slice(i, i + 5)));
+    }
+
+    return rows;
+};
+
+// --- Helper Function for Honeymoon Draft ---
+/**
+ * Creates the Keep / Discard buttons for a Honeymoon draw.
+ * @param {string} gameChannelId - The ID of the guild channel where the game is running.
+ * @returns {ActionRowBuilder[]} An array containing a single ActionRow.
+ */
+const createDraftComponents = (gameChannelId) => {
+    return [
+        new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(`draft_${gameChannelId}_keep`)
+                .setLabel('Keep')
+                .setStyle(ButtonStyle.Success),
+            new ButtonBuilder()
+                .setCustomId(`draft_${gameChannelId}_discard`)
+                .setLabel('Discard (take the next card)')
+                .setStyle(ButtonStyle.Secondary)
+        )
+    ];
+};
+
+// --- Helper Function for Blind Nil Decision ---
+/**
+ * Creates the buttons offered to a player whose hand is held back for a Blind Nil decision.
+ * @param {string} gameChannelId - The ID of the guild channel where the game is running.
+ * @returns {ActionRowBuilder[]} An array containing a single ActionRow.
+ */
+const createBlindNilComponents = (gameChannelId) => {
+    return [
+        new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(`bid_${gameChannelId}_blind`)
+                .setLabel('Bid Blind Nil')
+                .setStyle(ButtonStyle.Danger),
+            new ButtonBuilder()
+                .setCustomId(`reveal_${gameChannelId}`)
+                .setLabel('Show My Hand')
+                .setStyle(ButtonStyle.Secondary)
+        )
+    ];
+};
+
+// --- Helper Function for Blind Nil Card Exchange ---
+/**
+ * Creates a select menu of the player's hand for choosing the cards to pass to their partner.
+ * @param {string} gameChannelId - The ID of the guild channel where the game is running.
+ * @param {Player} player - The player choosing cards.
+ * @param {number} count - How many cards must be chosen.
+ * @returns {ActionRowBuilder[]} An array containing a single ActionRow.
+ */
+const createExchangeComponents = (gameChannelId, player, count) => {
+    return [
+        new ActionRowBuilder().addComponents(
+            new StringSelectMenuBuilder()
+                .setCustomId(`exchange_${gameChannelId}`)
+                .setPlaceholder(`Choose ${count} card(s) to pass`)
+                .setMinValues(count)
+                .setMaxValues(count)
+                .addOptions(player.hand.map(card => ({ label: getCardEmojiDisplay(card), value: card.shortDisplay })))
+        )
+    ];
+};
+
+/**
+ * Creates the card buttons of a play prompt: the player's whole hand in order, five to a
+ * row, with only the cards they may legally play to the current trick enabled.
+ * @param {string} gameChannelId - The ID of the guild channel where the game is running.
+ * @param {GameManager} game - The active game instance.
+ * @param {Player} player - The player whose turn it is.
+ * @returns {ActionRowBuilder[]}
+ */
+const createPlayComponents = (gameChannelId, game, player) => {
+    const legalCards = game.getLegalCards(player);
+    const buttons = player.hand.map(card => new ButtonBuilder()
+        .setCustomId(`playcard_${gameChannelId}_${card.shortDisplay}`)
+        .setLabel(getCardEmojiDisplay(card))
+        .setStyle(legalCards.includes(card) ? ButtonStyle.Primary : ButtonStyle.Secondary)
+        .setDisabled(!legalCards.includes(card)));
+
+    const rows = [];
+    for (let i = 0; i < buttons.length; i += 5) {
+        rows.push(new ActionRowBuilder().addComponents(buttons.slice(i, i + 5)));
+    }
+    return rows;
+};
+
+
+// --- Helper Functions for Replays ---
+/**
+ * Creates the step buttons for a round replay, plus the export button.
+ * Steps are 0 for the deal and bids, 1..N for each trick, and N + 1 for the scores.
+ * @param {string} historyId - The recorded game's ID.
+ * @param {number} round - The round being replayed.
+ * @param {number} step - The step currently shown.
+ * @param {number} lastStep - The scores step.
+ * @returns {ActionRowBuilder[]}
+ */
+const createReplayComponents = (historyId, round, step, lastStep) => {
+    const stepButton = (label, targetStep, disabled) => new ButtonBuilder()
+        .setCustomId(`replay_${historyId}_${round}_${targetStep}`)
+        .setLabel(label)
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(disabled);
+
+    return [
+        new ActionRowBuilder().addComponents(
+            stepButton('⏮ Deal', 0, step === 0),
+            stepButton('◀ Previous', Math.max(step - 1, 0), step === 0),
+            stepButton('Next ▶', Math.min(step + 1, lastStep), step === lastStep),
+            stepButton('Scores ⏭', lastStep, step === lastStep),
+            new ButtonBuilder()
+                .setCustomId(`replayexport_${historyId}`)
+                .setLabel('📄 Export')
+                .setStyle(ButtonStyle.Primary)
+        )
+    ];
+};
+
+/**
+ * Renders one step of a round replay as an embed.
+ * @param {GameHistory} history - The recorded game.
+ * @param {object} round - A finished round from the history.
+ * @param {number} step - 0 for the deal and bids, 1..N for a trick, N + 1 for the scores.
+ * @returns {EmbedBuilder}
+ */
+const createReplayEmbed = (history, round, step) => {
+    const getCard = Deck.createCardLookup(history.rules?.deck);
+    const showCard = code => getCardEmojiDisplay(getCard(code));
+    const name = playerId => history.getUsername(playerId);
+    const embed = new EmbedBuilder()
+        .setColor('#1080A0')
+        .setFooter({ text: `Game ${history.id} • Round seed ${round.seed}` });
+
+    if (step === 0) {
+        const exchanges = round.exchanges.map(({ fromId, toId, cards }) =>
+            `${name(fromId)} → ${name(toId)}: ${cards.map(showCard).join(' ')}`);
+        return embed
+            .setTitle(`Replay — Round ${round.round}: The Deal`)
+            .setDescription(`Dealer: **${name(round.dealerId)}**\n` +
+                            `Bids: ${round.bids.map(({ playerId, bid, isBlindNil }) =>
+                                `**${name(playerId)}** ${isBlindNil ? 'Blind Nil' : bid === 0 ? 'Nil' : bid}`).join(', ')}` +
+                            (exchanges.length ? `\nExchange: ${exchanges.join(' | ')}` : ''))
+            .addFields(Object.entries(round.hands).map(([playerId, hand]) => ({
+                name: name(playerId),
+                value: hand.map(showCard).join(' ') || '—'
+            })));
+    }
+
+    if (step <= round.tricks.length) {
+        const trick = round.tricks[step - 1];
+        const tricksSoFar = {};
+        for (const { winnerId } of round.tricks.slice(0, step)) {
+            tricksSoFar[winnerId] = (tricksSoFar[winnerId] ?? 0) + 1;
+        }
+        return embed
+            .setTitle(`Replay — Round ${round.round}: Trick ${trick.number} of ${round.tricks.length}`)
+            .setDescription(trick.plays.map(({ playerId, card }) =>
+                `${playerId === trick.winnerId ? '👑' : '▫️'} **${name(playerId)}**: ${showCard(card)}`).join('\n') +
+                `\n\nLed by **${name(trick.leaderId)}**, won by **${name(trick.winnerId)}**.`)
+            .addFields({
+                name: 'Tricks so far',
+                value: round.bids.map(({ playerId }) => `${name(playerId)}: ${tricksSoFar[playerId] ?? 0}`).join(' | ')
+            });
+    }
+
+    return embed
+        .setTitle(`Replay — Round ${round.round}: Scores`)
+        .setDescription(round.scores.map(team =>
+            `**${history.getTeamLabel(team.teamId)}**: ${team.scoreChange >= 0 ? '+' : ''}${team.scoreChange}` +
+            (team.bagPenalty ? ` (bag penalty -${team.bagPenalty})` : '') +
+            ` → **${team.score}** points, ${team.bags} bags`).join('\n'));
+};
 
-    // Split 14 buttons into 3 rows (5, 5, 4)
-    const row1 = new ActionRowBuilder().addComponents(buttons.slice(0, 5));
-    const row2 = new ActionRowBuilder().addComponents(buttons.slice(5, 10));
-    const row3 = new ActionRowBuilder().addComponents(buttons.slice(10, 14));
+/**
+ * Finds a recorded game: the live record of a game in progress, or a saved finished game.
+ * @param {string} historyId
+ * @returns {Promise<GameHistory|null>}
+ */
+const findHistory = async (historyId) => {
+    const liveGame = [...activeGames.values()].find(g => g.history.id === historyId);
+    if (liveGame) return liveGame.history;
+
+    const data = await loadHistory(historyId);
+    return data ? GameHistory.fromJSON(data) : null;
+};
 
-    return [row1, row2, row3];
+// Time periods a leaderboard can be limited to
+const LEADERBOARD_PERIODS = {
+    week: { name: 'Past 7 days', days: 7 },
+    month: { name: 'Past 30 days', days: 30 },
+    year: { name: 'Past year', days: 365 },
+    all: { name: 'All time', days: null }
 };
 
+// Players shown on each leaderboard page
+const LEADERBOARD_PAGE_SIZE = 10;
+
+// Bidding variants offered by /spades start and the lobby settings
+const BIDDING_CHOICES = [
+    { name: 'Standard', value: 'standard' },
+    { name: 'Suicide (one partner Nil, the other 4+)', value: 'suicide' },
+    { name: 'Mirror (bid your Spades)', value: 'mirror' },
+    { name: 'Whiz (bid your Spades or Nil)', value: 'whiz' }
+];
 
 // Command definitions
 const commands = [
@@ -107,6 +623,58 @@ const commands = [
             // REFLECTING LOBBY CHANGE: No options needed, users join via button
             subcommand.setName('start')
                 .setDescription('Starts a new Spades lobby in this channel. Players join via a button.')
+                .addStringOption(option =>
+                    option.setName('rules')
+                        .setDescription('House rules profile for this table (default: Standard).')
+                        .addChoices(...Object.entries(RULE_PRESETS).map(([key, preset]) => ({ name: preset.name, value: key })))
+                )
+                .addStringOption(option =>
+                    option.setName('mode')
+                        .setDescription('Partnership (2 vs 2), Cutthroat (3–4 players) or Honeymoon (2 players).')
+                        .addChoices(
+                            { name: 'Partnership', value: 'partnership' },
+                            { name: 'Cutthroat', value: 'cutthroat' },
+                            { name: 'Honeymoon (2 players)', value: 'honeymoon' }
+                        )
+                )
+                .addStringOption(option =>
+                    option.setName('bidding')
+                        .setDescription('Bidding variant (default: Standard).')
+                        .addChoices(...BIDDING_CHOICES)
+                )
+                .addBooleanOption(option =>
+                    option.setName('hints')
+                        .setDescription('Allow the Suggest bid button and /spades hint (default: on, off in League).')
+                )
+                .addIntegerOption(option =>
+                    option.setName('target')
+                        .setDescription('Score that wins the game (default: 500, 300 in Casual).')
+                        .setMinValue(TARGET_SCORE_LIMITS.min)
+                        .setMaxValue(TARGET_SCORE_LIMITS.max)
+                )
+                .addIntegerOption(option =>
+                    option.setName('timer')
+                        .setDescription(`Seconds per turn, ${TURN_TIME_LIMITS.min}–${TURN_TIME_LIMITS.max} (0 = no limit; default depends on the rules).`)
+                        .setMinValue(0)
+                        .setMaxValue(TURN_TIME_LIMITS.max)
+                )
+                .addBooleanOption(option =>
+                    option.setName('bots')
+                        .setDescription('Whether computer players may fill seats (default: yes).')
+                )
+                .addStringOption(option =>
+                    option.setName('invite')
+                        .setDescription('Make the lobby invite-only: mention the users who may join (e.g. @Ann @Bo).')
+                )
+                .addRoleOption(option =>
+                    option.setName('invite_role')
+                        .setDescription('Make the lobby invite-only: members with this role may join.')
+                )
+                .addStringOption(option =>
+                    option.setName('seed')
+                        .setDescription('Admins only: replay the deals of an earlier game from its seed.')
+                        .setMaxLength(64)
+                )
         )
         .addSubcommand(subcommand =>
             subcommand.setName('hand')
@@ -115,12 +683,149 @@ const commands = [
         .addSubcommand(subcommand =>
             subcommand.setName('play')
                 .setDescription('Play a card to the current trick.')
-                .addStringOption(option => option.setName('card').setDescription('The card to play (e.g., AS for Ace of Spades, C10 for 10 of Clubs).').setRequired(true))
+                .addStringOption(option => option.setName('card').setDescription('The card to play (e.g., AS for Ace of Spades, C10 for 10 of Clubs, BJ/LJ for jokers).').setRequired(true))
+        )
+        .addSubcommand(subcommand =>
+            subcommand.setName('hint')
+                .setDescription('Get a private suggestion for your bid, with the reasons behind it.')
         )
         .addSubcommand(subcommand =>
             subcommand.setName('status')
                 .setDescription('Show the current game status, bids, and scores.')
+        )
+        .addSubcommand(subcommand =>
+            subcommand.setName('leave')
+                .setDescription('Leave the game in this channel. Mid-game, your seat is left open for someone to take over.')
+        )
+        .addSubcommand(subcommand =>
+            subcommand.setName('rejoin')
+                .setDescription('Reclaim the seat you left (or lost to a bot) in this channel\'s game.')
+        )
+        .addSubcommand(subcommand =>
+            subcommand.setName('replay')
+                .setDescription('Step through a finished round of the current or last game in this channel.')
+                .addIntegerOption(option =>
+                    option.setName('round')
+                        .setDescription('The round to replay (default: the latest finished round).')
+                        .setMinValue(1)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand.setName('display')
+                .setDescription('Choose how your hand and the table are shown in your DMs.')
+                .addStringOption(option =>
+                    option.setName('style')
+                        .setDescription('Card images, or emoji text.')
+                        .setRequired(true)
+                        .addChoices(
+                            { name: 'Card images', value: 'images' },
+                            { name: 'Emoji text', value: 'text' }
+                        )
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand.setName('stats')
+                .setDescription('Show a player\'s lifetime Spades statistics.')
+                .addUserOption(option =>
+                    option.setName('user')
+                        .setDescription('The player to look up (default: you).')
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand.setName('leaderboard')
+                .setDescription('Show the player ratings, for this server or everywhere.')
+                .addStringOption(option =>
+                    option.setName('scope')
+                        .setDescription('This server only, or every server (default: this server).')
+                        .addChoices(
+                            { name: 'This server', value: 'server' },
+                            { name: 'Global', value: 'global' }
+                        )
+                )
+                .addStringOption(option =>
+                    option.setName('period')
+                        .setDescription('Only rate games from this period (default: all time).')
+                        .addChoices(...Object.entries(LEADERBOARD_PERIODS).map(([value, { name }]) => ({ name, value })))
+                )
+                .addStringOption(option =>
+                    option.setName('variant')
+                        .setDescription('Only rate games played with these rules (default: any).')
+                        .addChoices(...Object.entries(RULE_PRESETS).map(([value, preset]) => ({ name: preset.name, value })))
+                )
+        )
+        .addSubcommandGroup(group =>
+            group.setName('tournament')
+                .setDescription('Run a tournament of partnership teams in this channel.')
+                .addSubcommand(subcommand =>
+                    subcommand.setName('create')
+                        .setDescription('Create a tournament in this channel and open registration.')
+                        .addStringOption(option =>
+                            option.setName('name')
+                                .setDescription('The tournament\'s name, e.g. "Thursday Spades Night".')
+                                .setRequired(true)
+                                .setMaxLength(60)
+                        )
+                        .addStringOption(option =>
+                            option.setName('format')
+                                .setDescription('How the matches are drawn (default: Single elimination).')
+                                .addChoices(...Object.entries(TOURNAMENT_FORMATS).map(([value, name]) => ({ name, value })))
+                        )
+                        .addStringOption(option =>
+                            option.setName('rules')
+                                .setDescription('House rules played at every table (default: Standard).')
+                                .addChoices(...Object.entries(RULE_PRESETS).map(([value, preset]) => ({ name: preset.name, value })))
+                        )
+                )
+                .addSubcommand(subcommand =>
+                    subcommand.setName('register')
+                        .setDescription('Register yourself and a partner as a team.')
+                        .addUserOption(option =>
+                            option.setName('partner')
+                                .setDescription('Your partner.')
+                                .setRequired(true)
+                        )
+                        .addStringOption(option =>
+                            option.setName('team')
+                                .setDescription('Your team\'s name (default: both your names).')
+                                .setMaxLength(40)
+                        )
+                )
+                .addSubcommand(subcommand =>
+                    subcommand.setName('withdraw')
+                        .setDescription('Withdraw your team before the tournament starts.')
+                )
+                .addSubcommand(subcommand =>
+                    subcommand.setName('start')
+                        .setDescription('Organizer: close registration, draw the matches and open the first tables.')
+                )
+                .addSubcommand(subcommand =>
+                    subcommand.setName('standings')
+                        .setDescription('Show the tournament\'s standings and matches.')
+                )
+                .addSubcommand(subcommand =>
+                    subcommand.setName('report')
+                        .setDescription('Organizer: record a match\'s winner by hand, e.g. after a forfeit.')
+                        .addIntegerOption(option =>
+                            option.setName('match')
+                                .setDescription('The match number, as shown in the standings.')
+                                .setRequired(true)
+                                .setMinValue(1)
+                        )
+                        .addIntegerOption(option =>
+                            option.setName('winner')
+                                .setDescription('The winning team\'s number, as shown in the standings.')
+                                .setRequired(true)
+                                .setMinValue(1)
+                        )
+                )
+                .addSubcommand(subcommand =>
+                    subcommand.setName('cancel')
+                        .setDescription('Organizer: cancel the tournament. Tables already open keep playing as normal games.')
+                )
         ),
+    new ContextMenuCommandBuilder()
+        .setName('Spades stats')
+        .setType(ApplicationCommandType.User),
 ].map(command => command.toJSON());
 
 // --- Bot Setup ---
@@ -137,6 +842,17 @@ const client = new Client({
 // Map to store active games: key is channelId, value is GameManager instance.
 const activeGames = new Map();
 
+/**
+ * Finds the game a command is about: the one played in the channel itself, or else the
+ * one the user sits at (or watches) in one of the channel's table threads.
+ * @param {string} channelId - The channel (or thread) the command was used in.
+ * @param {string} userId - Discord ID of the user.
+ * @returns {GameManager|undefined}
+ */
+const findGame = (channelId, userId) => activeGames.get(channelId) ??
+    [...activeGames.values()].find(game => game.parentChannelId === channelId &&
+        (game.getPlayerById(userId) || game.spectators.includes(userId)));
+
 // --- Command Deployment ---
 client.on('ready', async () => {
     console.log(`Logged in as ${client.user.tag}!`);
@@ -156,21 +872,198 @@ client.on('ready', async () => {
     } catch (error) {
         console.error(error);
     }
+
+    await loadPreferences().catch(err => console.error('❌ Could not load preferences:', err));
+    await loadStats().catch(err => console.error('❌ Could not load stats:', err));
+    await loadResults().catch(err => console.error('❌ Could not load results:', err));
+    await restoreGames();
+    await restoreTournaments();
+});
+
+// --- Player Statistics ---
+
+/**
+ * Formats a count as a share of a total, e.g. "7/10 (70%)".
+ * @param {number} count
+ * @param {number} total
+ * @returns {string}
+ */
+const formatRate = (count, total) => (total > 0 ? `${count}/${total} (${Math.round((count / total) * 100)}%)` : 'none yet');
+
+/**
+ * Builds the embed of a user's lifetime statistics for `/spades stats` and the
+ * "Spades stats" context menu.
+ * @param {object} targetUser - The Discord user looked up.
+ * @returns {EmbedBuilder}
+ */
+const createStatsEmbed = (targetUser) => {
+    const embed = new EmbedBuilder()
+        .setColor('#1080A0')
+        .setTitle(`♠️ Spades stats: ${targetUser.username}`)
+        .setThumbnail(targetUser.displayAvatarURL());
+
+    const stats = getStats(targetUser.id);
+    if (!stats) {
+        return embed.setDescription('No finished games yet. Computer players and abandoned games are not counted.');
+    }
+
+    const contracts = stats.contractsMade + stats.contractsOver + stats.contractsSet;
+    const leaderboard = getLeaderboard(getResults());
+    const rank = leaderboard.findIndex(entry => entry.playerId === targetUser.id);
+    if (rank !== -1) {
+        embed.setDescription(`Global rating: **${leaderboard[rank].rating}** (#${rank + 1} of ${leaderboard.length})`);
+    }
+    return embed.addFields(
+        { name: 'Games', value: `Played: **${stats.gamesPlayed}**\nWon: **${formatRate(stats.gamesWon, stats.gamesPlayed)}**`, inline: true },
+        { name: 'Rounds', value: `Played: **${stats.rounds}**\nAvg points: **${(stats.points / stats.rounds).toFixed(1)}**`, inline: true },
+        {
+            name: 'Bid accuracy',
+            value: `Made exactly: **${formatRate(stats.contractsMade, contracts)}**\n` +
+                `Over (bags): **${formatRate(stats.contractsOver, contracts)}**\n` +
+                `Set: **${formatRate(stats.contractsSet, contracts)}**`,
+            inline: false
+        },
+        {
+            name: 'Nil',
+            value: `Nil made: **${formatRate(stats.nilMade, stats.nilAttempts)}**\n` +
+                `Blind Nil made: **${formatRate(stats.blindNilMade, stats.blindNilAttempts)}**`,
+            inline: true
+        },
+        { name: 'Bags', value: `Taken: **${stats.bags}**\nPer round: **${(stats.bags / stats.rounds).toFixed(2)}**`, inline: true }
+    ).setFooter({ text: 'Bags and points are your side\'s in the rounds you played. Computer players and abandoned games are not counted.' });
+};
+
+/**
+ * Builds a leaderboard page: players ranked by the rating replayed from the games that
+ * match the filters, with buttons to page through the rest.
+ * @param {object} filters
+ * @param {string} filters.scope - 'server' or 'global'.
+ * @param {object|null} filters.guild - The server, for the 'server' scope.
+ * @param {string} filters.period - A key of LEADERBOARD_PERIODS.
+ * @param {string} filters.variant - A key of RULE_PRESETS, or 'any'.
+ * @param {number} [page=0]
+ * @returns {object} Message options with embeds and components.
+ */
+const createLeaderboardMessage = ({ scope, guild, period, variant }, page = 0) => {
+    const { days } = LEADERBOARD_PERIODS[period];
+    const leaderboard = getLeaderboard(getResults({
+        guildId: scope === 'server' ? guild.id : undefined,
+        since: days ? new Date(Date.now() - days * 24 * 60 * 60 * 1000) : undefined,
+        variant: variant === 'any' ? undefined : variant
+    }));
+
+    const pageCount = Math.max(1, Math.ceil(leaderboard.length / LEADERBOARD_PAGE_SIZE));
+    const currentPage = Math.min(Math.max(page, 0), pageCount - 1);
+    const start = currentPage * LEADERBOARD_PAGE_SIZE;
+    const lines = leaderboard.slice(start, start + LEADERBOARD_PAGE_SIZE).map((entry, index) =>
+        `**${start + index + 1}.** ${entry.username} — **${entry.rating}** (${entry.games} game(s), ${entry.wins} win(s))`);
+
+    const filterText = [LEADERBOARD_PERIODS[period].name, variant === 'any' ? 'any rules' : `${RULE_PRESETS[variant].name} rules`].join(' · ');
+    const embed = new EmbedBuilder()
+        .setColor('#FFD700')
+        .setTitle(`🏆 Spades Leaderboard: ${scope === 'server' ? guild.name : 'Global'}`)
+        .setDescription(lines.length > 0 ? lines.join('\n') : 'No rated games yet.')
+        .setFooter({ text: `${filterText} · Page ${currentPage + 1}/${pageCount} · Games with bots and abandoned games are not rated.` });
+
+    const pageButton = (label, targetPage, disabled) => new ButtonBuilder()
+        .setCustomId(`leaderboard:${scope}:${period}:${variant}:${targetPage}`)
+        .setLabel(label)
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(disabled);
+    return {
+        embeds: [embed],
+        components: [new ActionRowBuilder().addComponents(
+            pageButton('◀ Previous', currentPage - 1, currentPage === 0),
+            pageButton('Next ▶', currentPage + 1, currentPage >= pageCount - 1)
+        )]
+    };
+};
+
+// --- Card Images ---
+
+/**
+ * Renders an image for an attachment, or returns null (after logging) if it cannot be
+ * drawn, so the caller's text display is used instead.
+ * @param {function(): Buffer} render - E.g. () => renderHand(cards).
+ * @param {string} name - The attachment's file name, e.g. "hand.png".
+ * @returns {AttachmentBuilder|null}
+ */
+const createImageAttachment = (render, name) => {
+    try {
+        return new AttachmentBuilder(render(), { name });
+    } catch (err) {
+        console.error(`❌ Could not render ${name}:`, err);
+        return null;
+    }
+};
+
+/**
+ * Builds a DM showing a player's hand: as a card image, or as emoji text for players
+ * who chose text with `/spades display` (and whenever the image cannot be drawn).
+ * @param {Player} player - The player whose hand is shown.
+ * @param {string} content - The message text above the hand.
+ * @param {object} [options] - Other message options (e.g., components).
+ * @param {Card[]} [options.legalCards] - Greys out every other card in the image.
+ * @returns {object} Message options.
+ */
+const createHandMessage = (player, content, { legalCards, ...options } = {}) => {
+    const image = getPreferences(player.discordId).cardImages && player.hand.length > 0
+        ? createImageAttachment(() => renderHand(player.hand, { legalCards }), 'hand.png')
+        : null;
+    if (image) {
+        return { ...options, content, files: [image] };
+    }
+    const handDisplay = player.hand.length > 0 ? player.getPrettyHand() : 'Your hand is currently empty.';
+    return { ...options, content: `${content}\n\n${handDisplay}` };
+};
+
+/**
+ * Builds the seats of a trick for renderTrick, in seat order.
+ * @param {GameManager} game - The active game instance.
+ * @param {{player: Player, card: Card}[]} trick - Trick cards from a GameManager event.
+ * @returns {object[]}
+ */
+const getTrickSeats = (game, trick) => {
+    const seatNames = game.getSeatNames();
+    return game.players.map(player => ({
+        seatName: seatNames[player.seat],
+        username: player.username,
+        card: trick.find(play => play.player === player)?.card ?? null
+    }));
+};
+
+/**
+ * Builds the score card rows for renderScoreCard from a `roundScored` event.
+ * @param {GameManager} game - The active game instance.
+ * @param {object[]} teams - The event's `teams` array.
+ * @returns {object[]}
+ */
+const getScoreCardRows = (game, teams) => teams.map(team => {
+    const bids = [];
+    if (team.contract) bids.push(String(team.contract.bid));
+    if (team.doubleNil) bids.push('Double Nil');
+    for (const nil of team.nilResults) bids.push(nil.isBlindNil ? 'Blind Nil' : 'Nil');
+
+    const nilTricks = team.doubleNil ? team.doubleNil.tricks : team.nilResults.reduce((sum, nil) => sum + nil.tricks, 0);
+    return {
+        label: game.getTeamLabel(team.teamId),
+        bid: bids.join(' + '),
+        tricks: (team.contract?.tricks ?? 0) + nilTricks,
+        points: team.scoreChange - (team.bagPenalty ?? 0),
+        score: team.score,
+        bags: team.bags
+    };
 });
 
 
 /**
  * Sends the hands and bidding buttons to all players via DM.
- * This is called when the lobby fills up or when a new round starts.
+ * This is called whenever bidding opens for a new round.
  * @param {GameManager} game - The active game instance.
  * @param {object} channel - The Discord channel object for public announcements.
  * @param {string} gameChannelId - The ID of the guild channel where the game is running.
  */
 const sendHandsAndBiddingButtons = async (game, channel, gameChannelId) => {
-  const dmFailedPlayers = [];
-  const biddingComponents = createBiddingComponents(gameChannelId);
-  const gameChannelName = channel ? channel.name : 'a server channel';
-
   const firstBidder = game.players[game.currentPlayerIndex].username;
 
   // Public announcement
@@ -182,186 +1075,1684 @@ const sendHandsAndBiddingButtons = async (game, channel, gameChannelId) => {
           .setColor('#FFD700')
           .setTitle('Player Order & Bids')
           .setDescription(game.players.map(p => `**${p.username}**`).join(' -> '))
-      ]
+      ],
+      components: [new ActionRowBuilder().addComponents(createWatchButton(gameChannelId))]
     });
   }
 
-  // DM each player their hand and bid buttons
-  for (const player of game.players) {
-    try {
-      const user = await client.users.fetch(player.discordId);
-      const handDisplay = player.getPrettyHand(); // Uses grouped suit layout
+  await sendBiddingHands(game, channel, gameChannelId);
+};
 
-      await user.send({
-        content: `🃏 **Your Spades Hand**\nYou are playing in **#${gameChannelName}**.\nSelect your bid using the buttons below.\n\n${handDisplay}`,
-        components: biddingComponents
-      });
-    } catch (err) {
-      console.error(`❌ Could not send DM to ${player.username}:`, err);
-      dmFailedPlayers.push(player.username);
-    }
-  }
+/**
+ * DMs each player their hand for the bidding phase: bid buttons for those still to bid,
+ * the Blind Nil choice for those whose hand is face down, and just the hand otherwise.
+ * @param {GameManager} game - The active game instance.
+ * @param {object} channel - The Discord channel object for public announcements.
+ * @param {string} gameChannelId - The ID of the guild channel where the game is running.
+ * @param {Player[]} [players=game.players] - Only DM these players.
+ */
+const sendBiddingHands = async (game, channel, gameChannelId, players = game.players) => {
+    const dmFailedPlayers = [];
+    const gameChannelName = channel ? channel.name : 'a server channel';
 
-  // Optional: notify if any DMs failed
-  if (dmFailedPlayers.length && channel) {
-    await channel.send(`⚠️ Could not send DMs to: ${dmFailedPlayers.join(', ')}`);
-  }
-};
+    for (const player of players) {
+        if (player.isBot) continue;
 
-// --- Interaction Handling ---
-client.on('interactionCreate', async interaction => {
-    // NOTE: channelId here is the GUILD channel ID for slash commands,
-    // but the DM channel ID for bid buttons (hence the lookup fix below).
-    const { user, channelId, options } = interaction;
-    const game = activeGames.get(channelId); // Only successful for guild-based interactions
+        try {
+            const user = await client.users.fetch(player.discordId);
 
- // ----------------------------------------------------
-// Handle Join Game Button Interaction (LOBBY)
-// ----------------------------------------------------
-if (interaction.isButton() && interaction.customId.startsWith('join_game')) {
-    const [, gameChannelId] = interaction.customId.split(':');
+            if (player.bid !== null) {
+                await user.send(createHandMessage(player,
+                    `🃏 **Your Spades Hand**\nYou are playing in **#${gameChannelName}** and bid **${game.getBidDisplay(player)}**.`));
+                continue;
+            }
 
-    // 🔍 Debug logs to trace the issue
-    console.log('🔘 Join button clicked by:', interaction.user.username);
-    console.log('📎 Button customId:', interaction.customId);
-    console.log('📨 Parsed gameChannelId:', gameChannelId);
-    console.log('📚 Available game keys in activeGames:', [...activeGames.keys()]);
-    console.log('📍 interaction.channelId:', interaction.channelId);
-    console.log('📍 interaction.message.channelId:', interaction.message?.channelId);
-    console.log('📍 interaction.channel.id:', interaction.channel?.id);
+            // Players who may bid Blind Nil decide before their hand is shown
+            if (!player.hasSeenHand) {
+                await user.send({
+                    content: `🙈 **Blind Nil available**\nYou are playing in **#${gameChannelName}**.\n` +
+                                      `Your team trails by **${game.getTeamDeficit(player.team)}** points. You may bid **Blind Nil** (±${game.rules.blindNilValue}) on your turn before looking at your cards, ` +
+                                      `or reveal your hand to bid normally.`,
+                    components: createBlindNilComponents(gameChannelId)
+                });
+                continue;
+            }
 
-    const game = activeGames.get(gameChannelId);
+            await user.send(createHandMessage(player,
+                `🃏 **Your Spades Hand**\nYou are playing in **#${gameChannelName}**.\nSelect your bid using the buttons below.`,
+                { components: createBiddingComponents(gameChannelId, game.getLegalBids(player), game.rules.allowHints) }));
+        } catch (err) {
+            console.error(`❌ Could not send DM to ${player.username}:`, err);
+            dmFailedPlayers.push(player.username);
+        }
+    }
+
+    // Optional: notify if any DMs failed
+    if (dmFailedPlayers.length && channel) {
+        await channel.send(`⚠️ Could not send DMs to: ${dmFailedPlayers.join(', ')}`);
+    }
+};
+
+/**
+ * DMs the current Honeymoon drafter the card they have drawn, with Keep / Discard buttons.
+ * @param {GameManager} game - The active game instance.
+ * @param {object} channel - The Discord channel object for public announcements.
+ * @param {string} gameChannelId - The ID of the guild channel where the game is running.
+ */
+const sendDraftPrompt = async (game, channel, gameChannelId) => {
+    const player = game.getCurrentPlayer();
+    const drawnCard = game.draftCard;
+    if (player.isBot) return;
+    const handDisplay = player.hand.length > 0 ? player.getPrettyHand() : 'No cards yet.';
+
+    try {
+        const user = await client.users.fetch(player.discordId);
+        await user.send({
+            content: `🎴 **Honeymoon Draw** — you drew **${getCardEmojiDisplay(drawnCard)}**.\n` +
+                              `Keep it and the next card is discarded, or discard it and take the next card.\n\n` +
+                              `Your hand so far (${player.hand.length}/13): ${handDisplay}`,
+            components: createDraftComponents(gameChannelId)
+        });
+    } catch (err) {
+        console.error(`❌ Could not send DM to ${player.username}:`, err);
+        if (channel) {
+            await channel.send(`⚠️ Could not send the draw DM to ${player.username}.`);
+        }
+    }
+};
+
+/**
+ * DMs each Blind Nil exchange participant a select menu of their hand.
+ * @param {GameManager} game - The active game instance.
+ * @param {object} channel - The Discord channel object for public announcements.
+ * @param {string} gameChannelId - The ID of the guild channel where the game is running.
+ * @param {string[]} [playerIds] - Only DM these participants (default: all of them).
+ */
+const sendExchangePrompts = async (game, channel, gameChannelId, playerIds = game.getExchangeParticipants()) => {
+    const count = game.rules.blindNilExchange;
+
+    for (const playerId of playerIds) {
+        if (game.exchangeSelections[playerId] !== null) continue;
+
+        const player = game.getPlayerById(playerId);
+        if (player.isBot) continue;
+
+        try {
+            const user = await client.users.fetch(playerId);
+            await user.send(createHandMessage(player,
+                `🔄 **Blind Nil Exchange**\nPick **${count}** card(s) to pass to your partner.`,
+                { components: createExchangeComponents(gameChannelId, player, count) }));
+        } catch (err) {
+            console.error(`❌ Could not send DM to ${player.username}:`, err);
+            if (channel) {
+                await channel.send(`⚠️ Could not send the card exchange DM to ${player.username}.`);
+            }
+        }
+    }
+};
+
+/**
+ * Posts the bidding summary once trick play is about to begin.
+ * @param {GameManager} game - The active game instance.
+ * @param {object} channel - The Discord channel object for public announcements.
+ */
+const sendPlayPhaseSummary = async (game, channel) => {
+    if (!channel) return;
+
+    const firstPlayer = game.getCurrentPlayer().username;
+    const biddingSummary = new EmbedBuilder()
+        .setColor('#FFD700')
+        .setTitle('🚨 BIDDING COMPLETE! PLAYING PHASE STARTING! 🚨')
+        .setDescription(`The first card is led by **${firstPlayer}**!`)
+        .addFields({
+            name: 'Scores & Bids',
+            value: game.getTeamScoreDisplay(),
+            inline: false
+        });
+
+    await channel.send({
+        embeds: [biddingSummary],
+        content: `It is **${firstPlayer}**'s turn to play the first card. Pick your cards from the buttons in your DMs (or use \`/spades play <card>\`).`
+    });
+};
+
+// --- Game Event Rendering ---
+
+/**
+ * Sends a plain DM to a player, logging (not throwing) if their DMs are closed.
+ * Computer players have no DMs, so messages to them are dropped.
+ * @param {Player} player - The player to message.
+ * @param {string|object} message - Message content or options.
+ * @returns {Promise<object|undefined>} The sent message, if it could be delivered.
+ */
+const sendPlayerDM = async (player, message) => {
+    if (player.isBot) return;
+
+    const playerId = player.discordId;
+    try {
+        const user = await client.users.fetch(playerId);
+        return await user.send(message);
+    } catch (err) {
+        console.error(`Failed to DM player ${playerId}:`, err);
+    }
+};
+
+/**
+ * Formats the cards of a trick, e.g. "Ann: A♠️, Bo: 10♥️".
+ * @param {{player: Player, card: Card}[]} trick - Trick cards from a GameManager event.
+ * @returns {string}
+ */
+const formatTrick = (trick) => trick.map(({ player, card }) => `${player.username}: **${getCardEmojiDisplay(card)}**`).join(', ');
+
+/**
+ * Builds the text of the DM asking a player for their card: the trick so far
+ * (the hand itself is added by createHandMessage).
+ * @param {GameManager} game - The active game instance.
+ * @returns {string}
+ */
+const createPlayPrompt = (game) => {
+    const trick = game.getTrickCards();
+    const trickDisplay = trick.length > 0
+        ? `Current Trick (Led Suit: ${SUIT_EMOJIS[game.trickSuit] || game.trickSuit}): ${formatTrick(trick)}`
+        : 'No cards have been played yet.';
+    return [
+        '--- Current Trick ---',
+        trickDisplay,
+        `Spades Broken: **${game.spadesBroken ? 'YES' : 'NO'}**`,
+        '---------------------',
+        "Pick a card below (only the cards you may play are enabled), or use `/spades play <card>` in the game channel (e.g., 'AS', '10C')."
+    ].join('\n');
+};
+
+// "<channelId>:<playerId>" -> the DM holding that player's card buttons, closed once they play
+const playPrompts = new Map();
+
+/**
+ * DMs a player their play prompt with card buttons, remembering it so the buttons
+ * can be removed however the card ends up played (button, command or timeout).
+ * @param {GameManager} game - The active game instance.
+ * @param {string} gameChannelId - The ID of the guild channel where the game is running.
+ * @param {Player} player - The player whose turn it is.
+ */
+const sendPlayPrompt = async (game, gameChannelId, player) => {
+    const prompt = createHandMessage(player, createPlayPrompt(game), {
+        components: createPlayComponents(gameChannelId, game, player),
+        legalCards: game.getLegalCards(player)
+    });
+
+    // Players shown their hand as an image also see the trick so far laid out by seat
+    const trick = game.getTrickCards();
+    if (prompt.files && trick.length > 0) {
+        const trickImage = createImageAttachment(() => renderTrick({ seats: getTrickSeats(game, trick), title: 'Current trick' }), 'trick.png');
+        if (trickImage) prompt.files.push(trickImage);
+    }
+
+    const message = await sendPlayerDM(player, prompt);
+    if (message) playPrompts.set(`${gameChannelId}:${player.discordId}`, message);
+};
+
+/**
+ * Removes the card buttons from a player's open play prompt, if they have one.
+ * @param {string} gameChannelId - The ID of the guild channel where the game is running.
+ * @param {string} playerId - The Discord ID of the player.
+ * @param {string} note - Added below the prompt, e.g. "✅ You played A♠️."
+ */
+const closePlayPrompt = async (gameChannelId, playerId, note) => {
+    const key = `${gameChannelId}:${playerId}`;
+    const message = playPrompts.get(key);
+    if (!message) return;
+
+    playPrompts.delete(key);
+    await message.edit({ content: `${message.content}\n\n${note}`, components: [] })
+        .catch(error => console.error(`Could not close the play prompt of ${playerId}:`, error));
+};
+
+/**
+ * DMs a player who has just taken over (or reclaimed) a seat mid-game: their hand,
+ * and the prompt for whatever the table is waiting on them for.
+ * @param {GameManager} game - The active game instance.
+ * @param {object} channel - The Discord channel object for public announcements.
+ * @param {Player} player - The seat's new occupant.
+ */
+const sendSeatPrompt = async (game, channel, player) => {
+    const gameChannelId = channel.id;
+    await sendPlayerDM(player, `🪑 **You are now playing in #${channel.name}.** ` +
+        `The seat's cards, bid (${game.getBidDisplay(player)}) and ${player.tricksWon} trick(s) are yours, and its team's score carries on.`);
+
+    switch (game.state) {
+        case 'DRAFT':
+            if (game.getCurrentPlayer() === player) return sendDraftPrompt(game, channel, gameChannelId);
+            break;
+        case 'BIDDING':
+            return sendBiddingHands(game, channel, gameChannelId, [player]);
+        case 'EXCHANGE':
+            if (game.exchangeSelections[player.discordId] === null) {
+                return sendExchangePrompts(game, channel, gameChannelId, [player.discordId]);
+            }
+            break;
+        case 'PLAYING':
+            if (game.getCurrentPlayer() === player) return sendPlayPrompt(game, gameChannelId, player);
+            break;
+    }
+    return sendPlayerDM(player, createHandMessage(player, '🃏 **Your Spades Hand**'));
+};
+
+/**
+ * Describes one team's round result from a `roundScored` event, one line per contract.
+ * @param {GameManager} game - The active game instance.
+ * @param {object} team - An entry of the event's `teams` array.
+ * @returns {string}
+ */
+const formatTeamRound = (game, team) => {
+    const label = game.getTeamLabel(team.teamId);
+    const lines = [];
+
+    if (team.doubleNil) {
+        lines.push(team.doubleNil.made
+            ? `✅ **${label}** made their DOUBLE NIL! (+${team.doubleNil.points} points)`
+            : `❌ **${label}** failed their DOUBLE NIL, taking ${team.doubleNil.tricks} trick(s)! (${team.doubleNil.points} points)`);
+    }
+    for (const nil of team.nilResults) {
+        const nilLabel = nil.isBlindNil ? 'BLIND NIL' : 'NIL';
+        lines.push(nil.made
+            ? `✅ **${nil.player.username}** (${nilLabel}) made their bid! (+${nil.points} points)`
+            : `❌ **${nil.player.username}** (${nilLabel}) failed, taking ${nil.tricks} trick(s)! (${nil.points} points)`);
+    }
+    if (team.nilBags > 0) {
+        lines.push(`👜 **${label}** takes ${team.nilBags} bag(s) from failed Nil tricks.`);
+    }
+    if (team.contract) {
+        const { bid, tricks, made, points, bags } = team.contract;
+        lines.push(made
+            ? `✅ **${label}** made contract of ${bid} (Tricks won: ${tricks}). (+${points} points, +${bags} bags)`
+            : `❌ **${label}** was set! Failed contract of ${bid} (Tricks won: ${tricks}). (${points} points)`);
+    }
+    if (team.bagPenalty > 0) {
+        lines.push(`⚠️ **${label}** busted their bags! **-${team.bagPenalty} points**. Remaining bags: ${team.bags}.`);
+    }
+    return lines.join('\n');
+};
+
+// --- Spectator Table View ---
+
+// Spectator DMs are edited at most this often, however fast the table plays
+const SPECTATOR_REFRESH_MS = 2000;
+
+// "<gameChannelId>:<userId>" -> the DM message showing that spectator the table
+const spectatorMessages = new Map();
+
+// Game channel ID -> pending refresh timer
+const spectatorRefreshes = new Map();
+
+// Game channel ID -> { trickNumber, hands } shown to spectators in god mode
+const spectatorHands = new Map();
+
+/**
+ * Builds the spectators' view of the table: bids, tricks taken, the trick in progress
+ * and the scores, plus every hand after the last complete trick in god mode.
+ * @param {GameManager} game - The game being watched.
+ * @param {object} channel - The Discord channel the game is played in.
+ * @returns {EmbedBuilder}
+ */
+const createTableEmbed = (game, channel) => {
+    const view = game.getTableView();
+    const names = Object.fromEntries(view.players.map(p => [p.id, p.username]));
+    const currentName = names[view.currentPlayerId];
+    const stateText = {
+        LOBBY: 'Waiting for players to join.',
+        DRAFT: `**${currentName}** is drawing.`,
+        BIDDING: `**${currentName}** is bidding.`,
+        EXCHANGE: 'Blind Nil card exchange in progress.',
+        PLAYING: `**${currentName}** is playing.`,
+        GAME_OVER: 'The game is over.'
+    }[view.state];
+
+    const seats = view.players.map(p => {
+        const marker = p.id === view.currentPlayerId ? '▶️ ' : '';
+        const team = game.hasPartnerships() ? ` (Team ${p.team})` : '';
+        return `${marker}**${p.username}**${team} — Bid: \`${game.getBidDisplay(p)}\` | Tricks: \`${p.tricksWon}\` | Cards: \`${p.cardsLeft}\``;
+    });
+    const trick = view.trick.length > 0
+        ? `Led: ${SUIT_EMOJIS[view.leadSuit] || view.leadSuit} — ` +
+            view.trick.map(({ playerId, card }) => `${names[playerId]}: **${getCardEmojiDisplay(card)}**`).join(', ')
+        : 'None';
+
+    const embed = new EmbedBuilder()
+        .setColor('#7289DA')
+        .setTitle(`👀 #${channel.name} — ${view.round > 0 ? `Round ${view.round}` : 'Lobby'}`)
+        .setDescription(stateText)
+        .addFields(
+            { name: 'Table', value: seats.join('\n') || 'Nobody yet.', inline: false },
+            { name: 'Trick in Progress', value: trick, inline: false },
+            { name: 'Scores', value: game.getTeamScoreDisplay() || 'None yet.', inline: false }
+        )
+        .setFooter({ text: `Spades broken: ${view.spadesBroken ? 'yes' : 'no'} • You are watching: you cannot bid or play.` });
+
+    const shown = spectatorHands.get(channel.id);
+    if (game.rules.spectatorHands && shown) {
+        embed.addFields({
+            name: `Hands after trick ${shown.trickNumber}`,
+            value: shown.hands.map(({ username, hand }) => `**${username}**: ${hand}`).join('\n'),
+            inline: false
+        });
+    }
+    return embed;
+};
+
+/**
+ * Sends or edits every spectator's table view DM, at most once per SPECTATOR_REFRESH_MS.
+ * @param {GameManager} game - The game being watched.
+ * @param {object} channel - The Discord channel the game is played in.
+ */
+const scheduleSpectatorRefresh = (game, channel) => {
+    if (game.spectators.length === 0 || spectatorRefreshes.has(channel.id)) return;
+
+    spectatorRefreshes.set(channel.id, setTimeout(() => {
+        spectatorRefreshes.delete(channel.id);
+        for (const userId of game.spectators) {
+            showSpectatorView(game, channel, userId).catch(err => console.error(`❌ Could not update spectator ${userId}:`, err));
+        }
+    }, SPECTATOR_REFRESH_MS));
+};
+
+/**
+ * Shows one spectator the table, editing their existing view DM if there is one.
+ * @param {GameManager} game - The game being watched.
+ * @param {object} channel - The Discord channel the game is played in.
+ * @param {string} userId - Discord ID of the spectator.
+ */
+const showSpectatorView = async (game, channel, userId) => {
+    const key = `${channel.id}:${userId}`;
+    const watching = game.spectators.includes(userId) && game.state !== 'GAME_OVER';
+    const message = {
+        embeds: [createTableEmbed(game, channel)],
+        components: watching
+            ? [new ActionRowBuilder().addComponents(
+                    new ButtonBuilder()
+                        .setCustomId(`unwatch_game:${channel.id}`)
+                        .setLabel('Stop watching')
+                        .setStyle(ButtonStyle.Secondary)
+                )]
+            : []
+    };
+
+    const existing = spectatorMessages.get(key);
+    const edited = existing && await existing.edit(message).then(() => true, () => false);
+    if (!edited) {
+        const user = await client.users.fetch(userId);
+        spectatorMessages.set(key, await user.send(message));
+    }
+    if (!watching) spectatorMessages.delete(key);
+};
+
+/**
+ * Keeps a game's spectators up to date as it is played. In god mode, each trick's
+ * hands are shown spectatorDelay seconds after the trick completes.
+ * @param {GameManager} game - The game being watched.
+ * @param {object} channel - The Discord channel the game is played in.
+ */
+const attachSpectators = (game, channel) => {
+    const refresh = () => scheduleSpectatorRefresh(game, channel);
+    for (const eventName of ['playerJoined', 'playerLeft', 'biddingStarted', 'bidPlaced', 'cardsExchanged',
+        'playRequested', 'cardPlayed', 'trickWon', 'roundScored', 'playerReplaced']) {
+        game.on(eventName, refresh);
+    }
+
+    game.on('trickWon', ({ trickNumber }) => {
+        if (!game.rules.spectatorHands || trickNumber === game.tricksPerRound) return;
+
+        const round = game.currentRound;
+        const hands = game.players.map(p => ({ username: p.username, hand: p.getPrettyHand() }));
+        setTimeout(() => {
+            if (game.currentRound !== round) return;
+            spectatorHands.set(channel.id, { trickNumber, hands });
+            refresh();
+        }, game.rules.spectatorDelay * 1000);
+    });
+    game.on('roundScored', () => spectatorHands.delete(channel.id));
+
+    // Spectators get a last look at the final table, without the Stop watching button
+    for (const eventName of ['gameOver', 'gameAbandoned']) {
+        game.on(eventName, () => {
+            clearTimeout(spectatorRefreshes.get(channel.id));
+            spectatorRefreshes.delete(channel.id);
+            spectatorHands.delete(channel.id);
+            for (const userId of game.spectators) {
+                showSpectatorView(game, channel, userId).catch(err => console.error(`❌ Could not update spectator ${userId}:`, err));
+            }
+        });
+    }
+};
+
+// --- Table Threads ---
+
+// Channel types whose lobbies open in a thread of their own
+const TABLE_THREAD_PARENTS = [ChannelType.GuildText, ChannelType.GuildAnnouncement];
+
+// Tables (thread IDs) with a summary post update pending
+const summaryRefreshes = new Set();
+
+/**
+ * Opens a public thread for a new table, so one channel can host several games side by
+ * side without their narration mixing.
+ * @param {object} channel - The channel the lobby is opened from.
+ * @param {string} name - The thread's name.
+ * @returns {Promise<object|null>} The thread, or null if this channel cannot have one.
+ */
+const openTableThread = async (channel, name) => {
+    if (!TABLE_THREAD_PARENTS.includes(channel?.type)) return null;
+    return channel.threads.create({ name: name.slice(0, 100), autoArchiveDuration: 1440 })
+        .catch(err => {
+            console.error(`❌ Could not open a table thread in ${channel.id}:`, err);
+            return null;
+        });
+};
+
+/**
+ * Builds a thread table's summary post for the parent channel: where the table is, who
+ * sits at it and how the game stands.
+ * @param {GameManager} game - The game played in the thread.
+ * @returns {EmbedBuilder}
+ */
+const createTableSummaryEmbed = (game) => {
+    let stateText = `In progress: round ${game.currentRound}.`;
+    if (game.state === 'LOBBY') {
+        stateText = `Lobby open: ${getPlayersNeededText(game)}. Join in the thread.`;
+    } else if (game.history.result?.abandoned) {
+        stateText = '🏳️ Abandoned.';
+    } else if (game.state === 'GAME_OVER') {
+        stateText = game.winningTeam === null ? '🤝 Finished in a tie.' : `🏆 **${game.getTeamName(game.winningTeam)}** won.`;
+    }
+
+    const embed = new EmbedBuilder()
+        .setColor(game.state === 'GAME_OVER' ? '#808080' : '#2ECC71')
+        .setTitle(`♠️ ${game.rules.name} table`)
+        .setDescription(`Table: <#${game.channelId}>\n${stateText}`);
+    if (game.state === 'LOBBY') {
+        return embed.addFields({ name: 'Seats', value: formatLobbySeats(game) });
+    }
+    return embed.addFields({
+        name: 'Scores',
+        value: game.getTeamIds().map(teamId => `${game.getTeamName(teamId)}: **${game.teamScores[teamId] ?? 0}** points`).join('\n')
+    });
+};
+
+/**
+ * Keeps a thread table's summary post in the parent channel up to date as players come
+ * and go, rounds are scored and the game ends. Tables without a summary post are skipped.
+ * @param {GameManager} game - The game played in the thread.
+ */
+const attachTableSummary = (game) => {
+    const refresh = () => {
+        if (!game.summaryMessageId || summaryRefreshes.has(game.channelId)) return;
+
+        // One edit per action, however many events it emitted
+        summaryRefreshes.add(game.channelId);
+        setImmediate(async () => {
+            summaryRefreshes.delete(game.channelId);
+            const parent = await client.channels.fetch(game.parentChannelId).catch(() => null);
+            await parent?.messages.edit(game.summaryMessageId, { embeds: [createTableSummaryEmbed(game)] })
+                .catch(err => console.error(`❌ Could not update the summary of table ${game.channelId}:`, err));
+        });
+    };
+
+    for (const eventName of ['playerJoined', 'playerLeft', 'seatChanged', 'seatsRandomized', 'playerReady', 'settingsChanged',
+        'botDifficultyChanged', 'playerReplaced', 'draftStarted', 'cardsDealt', 'roundScored', 'gameOver', 'gameAbandoned']) {
+        game.on(eventName, refresh);
+    }
+};
+
+/**
+ * Subscribes the Discord layer to a game's events: public narration goes to the
+ * game channel and turn prompts go to players by DM.
+ * @param {GameManager} game - The game to listen to.
+ * @param {object} channel - The Discord channel the game is played in.
+ */
+const attachGameEvents = (game, channel) => {
+    const gameChannelId = channel.id;
+    const announce = (message) => channel.send(message).catch(console.error);
+    const on = (eventName, handler) => {
+        game.on(eventName, payload => {
+            Promise.resolve(handler(payload)).catch(err => console.error(`❌ Error rendering ${eventName}:`, err));
+        });
+    };
+
+    on('playerJoined', ({ player }) => announce(game.hasPartnerships()
+        ? `Player **${player.username}** has joined (Team ${player.team}).`
+        : `Player **${player.username}** has joined.`));
+    on('playerLeft', ({ player }) => announce(`🚪 Player **${player.username}** has left the lobby.`));
+    on('seatSwapRequested', ({ player, occupant }) => announce(
+        `🔄 <@${occupant.discordId}>, **${player.username}** would like to swap seats with you. Pick their seat in the lobby to accept.`));
+
+    // --- Dealing & Draft ---
+    on('draftStarted', ({ round, dealer }) =>
+        announce(`**Round ${round}** — **${dealer.username}** shuffled. The Honeymoon draft begins: players draw from the stock privately.`));
+    on('draftTurn', async ({ player, cardsLeft }) => {
+        announce(`**It is ${player.username}'s turn to draw.** (${cardsLeft} cards left in the stock)`);
+        await sendDraftPrompt(game, channel, gameChannelId);
+    });
+    on('draftComplete', ({ tricksPerRound }) =>
+        announce(`The stock is empty — both players have drafted ${tricksPerRound} cards.`));
+    on('cardsDealt', ({ round, dealer, removedCard }) => {
+        if (removedCard) {
+            announce(`The **${getCardEmojiDisplay(removedCard)}** has been removed for a ${game.players.length}-handed deal.`);
+        }
+        announce(`**Round ${round}** — **${dealer.username}** dealt. Cards have been dealt privately to all players.`);
+    });
+
+    // --- Bidding ---
+    // A bid can narrow the partner's options (Suicide, minimum team bid), so note them before each bid
+    let partnerBidsBefore = null;
+
+    on('biddingStarted', () => sendHandsAndBiddingButtons(game, channel, gameChannelId));
+    on('bidRequested', ({ player, legalBids, blindNilAvailable }) => {
+        const partner = game.getPartner(player);
+        partnerBidsBefore = partner ? game.getLegalBids(partner).join() : null;
+
+        announce(`**It is ${player.username}'s turn to bid.**`);
+        return sendPlayerDM(player, blindNilAvailable
+            ? 'It is your turn to bid. You may bid **Blind Nil** before looking at your hand, or reveal it to bid normally.'
+            : `It is your turn to bid: **${formatBidList(legalBids)}**.`);
+    });
+    on('bidPlaced', ({ player, isBlindNil, bidDisplay }) => {
+        announce(isBlindNil
+            ? `🙈 **${player.username} bids BLIND NIL!**`
+            : `**${player.username} bids ${bidDisplay}.**`);
+
+        const partner = game.getPartner(player);
+        if (!partner || partner.bid !== null || !partner.hasSeenHand) return;
+
+        const partnerBids = game.getLegalBids(partner);
+        if (partnerBids.join() === partnerBidsBefore) return;
+        return sendPlayerDM(partner, {
+            content: `🔄 **${player.username}** bid **${bidDisplay}**, so your bidding options have changed. Use these buttons instead.`,
+            components: createBiddingComponents(gameChannelId, partnerBids, game.rules.allowHints)
+        });
+    });
+    on('biddingComplete', ({ teamBids }) => announce(
+        '**--- Bidding Complete ---**\n' +
+        Object.entries(teamBids).map(([teamId, bid]) => `${game.getTeamName(Number(teamId))}: **${bid}**`).join('\n')
+    ));
+
+    // --- Blind Nil Card Exchange ---
+    on('exchangeStarted', async ({ count }) => {
+        announce(`🔄 **Blind Nil card exchange!** Each Blind Nil bidder and their partner now pass each other ${count} card(s).`);
+        await sendExchangePrompts(game, channel, gameChannelId);
+    });
+    on('cardsExchanged', async ({ exchanges }) => {
+        announce('🔄 Cards have been exchanged.');
+        for (const { blindNilPlayer, partner, fromBlindNil, fromPartner } of exchanges) {
+            await sendPlayerDM(blindNilPlayer, `🔄 Your partner passed you: ${fromPartner.map(getCardEmojiDisplay).join(' ')}`);
+            await sendPlayerDM(partner, `🔄 Your partner passed you: ${fromBlindNil.map(getCardEmojiDisplay).join(' ')}`);
+        }
+    });
+
+    // --- Trick Play ---
+    on('playStarted', () => sendPlayPhaseSummary(game, channel));
+    on('playRequested', ({ player }) => {
+        announce(`**It is ${player.username}'s turn to play.**`);
+        return sendPlayPrompt(game, gameChannelId, player);
+    });
+    on('cardPlayed', ({ player, card, isLead }) => {
+        closePlayPrompt(gameChannelId, player.discordId, `✅ You played **${getCardEmojiDisplay(card)}**.`);
+        return announce(isLead
+            ? `**${player.username} leads the trick with ${getCardEmojiDisplay(card)}**`
+            : `${player.username} plays ${getCardEmojiDisplay(card)}`);
+    });
+    on('spadesBroken', () => announce('♠️ **SPADES HAVE BEEN BROKEN!** ♠️'));
+    on('trickWon', ({ winner, card, trick, trickNumber, tricksWon }) => {
+        const teamSuffix = game.hasPartnerships() ? ` (Team ${winner.team})` : '';
+        const title = `Trick ${trickNumber} of ${game.tricksPerRound}`;
+        const embed = new EmbedBuilder()
+            .setColor('#1080A0')
+            .setTitle(title)
+            .setDescription(`**${winner.username}** wins with **${getCardEmojiDisplay(card)}**!\n${formatTrick(trick)}`)
+            .setFooter({ text: `${winner.username}${teamSuffix} has ${tricksWon} trick(s) this round.` });
+        const image = createImageAttachment(() => renderTrick({
+            seats: getTrickSeats(game, trick),
+            winnerName: game.getSeatNames()[winner.seat],
+            title
+        }), 'trick.png');
+        if (image) embed.setImage('attachment://trick.png');
+        return announce({ embeds: [embed], files: image ? [image] : [] });
+    });
+
+    // --- Turn Timer ---
+    on('turnWarning', ({ players, secondsLeft }) => {
+        announce(`⏰ Waiting on ${players.map(p => `**${p.username}**`).join(', ')}: **${secondsLeft} seconds** left before the turn is played for them.`);
+        return Promise.all(players.map(player =>
+            sendPlayerDM(player, `⏰ **${secondsLeft} seconds left** to take your turn in **#${channel.name}**, or it will be played for you.`)));
+    });
+    on('turnTimedOut', ({ player, timeouts }) => {
+        if (player.isOpenSeat) return;
+        return announce(`⌛ **${player.username}** ran out of time, so their turn was played for them.` +
+            (timeouts > 1 ? ` (${timeouts} timeouts in a row)` : ''));
+    });
+    on('playerAfk', ({ player, timeouts }) => {
+        if (!game.rules.allowBots) {
+            return announce(`💤 **${player.username}** has timed out ${timeouts} turns in a row and is now **AFK**. ` +
+                'Their turns will be played quickly until they act again.');
+        }
+        return announce({
+            content: `💤 **${player.username}** has timed out ${timeouts} turns in a row and is now **AFK**. ` +
+                'Their turns will be played quickly until they act again, or a player at the table can hand their seat to a bot.',
+            components: [
+                new ActionRowBuilder().addComponents(
+                    new ButtonBuilder()
+                        .setCustomId(`replace_afk:${gameChannelId}:${player.discordId}`)
+                        .setLabel(`Replace ${player.username} with a bot`)
+                        .setEmoji('🤖')
+                        .setStyle(ButtonStyle.Secondary)
+                )
+            ]
+        });
+    });
+
+    // --- Leaving, Replacing & Rejoining ---
+    on('playerReplaced', async ({ player, previousId, previousName, previousWasHuman, reason }) => {
+        const previousPlayer = { discordId: previousId, isBot: !previousWasHuman };
+        closePlayPrompt(gameChannelId, previousId, '🪑 This seat is no longer yours to play.');
+        switch (reason) {
+            case 'left': {
+                const seatButtons = new ActionRowBuilder().addComponents(
+                    new ButtonBuilder()
+                        .setCustomId(`take_seat:${gameChannelId}:${player.discordId}`)
+                        .setLabel('Take this seat')
+                        .setEmoji('🪑')
+                        .setStyle(ButtonStyle.Success)
+                );
+                if (game.rules.allowBots) {
+                    seatButtons.addComponents(
+                        new ButtonBuilder()
+                            .setCustomId(`seat_bot:${gameChannelId}:${player.discordId}`)
+                            .setLabel('Fill with a bot')
+                            .setEmoji('🤖')
+                            .setStyle(ButtonStyle.Secondary)
+                    );
+                }
+                return announce({
+                    content: `🚪 **${previousName}** has left the game. Their seat is open: anyone can take over its cards, bid, tricks and team` +
+                        `${game.rules.allowBots ? ', or it can be filled with a bot' : ''}. Until then its turns are played automatically. ` +
+                        `**${previousName}** can come back with \`/spades rejoin\`.`,
+                    components: [seatButtons]
+                });
+            }
+            case 'takeover':
+                announce(`🪑 **${player.username}** has taken the open seat (Team ${player.team}).`);
+                return sendSeatPrompt(game, channel, player);
+            case 'bot':
+                announce(`🤖 **${player.username}** has taken over **${previousName}**'s seat, cards and score.`);
+                return sendPlayerDM(previousPlayer, `🤖 A bot has taken over your seat in **#${channel.name}**. Use \`/spades rejoin\` there to take it back.`);
+            case 'rejoin':
+                announce(`↩️ **${player.username}** is back and has reclaimed their seat from **${previousName}**.`);
+                await sendPlayerDM(previousPlayer, `↩️ **${player.username}** has reclaimed their seat in **#${channel.name}**, so you are no longer playing. Thanks for filling in!`);
+                return sendSeatPrompt(game, channel, player);
+        }
+    });
+    on('gameAbandoned', () => {
+        activeGames.delete(gameChannelId);
+        // A lobby that never started has nothing worth keeping
+        if (game.history.id) {
+            saveHistory(game.history).catch(err => console.error(`❌ Could not save history of ${game.history.id}:`, err));
+            recordResult(game.history, channel.guildId ?? null);
+        }
+        return announce('🏳️ **Everyone has left, so the game has been abandoned.** It does not count towards anyone\'s rating or stats.');
+    });
+
+    // --- Scoring ---
+    on('roundScored', ({ round, seed, teams }) => {
+        const embed = new EmbedBuilder()
+            .setColor('#FFD700')
+            .setTitle(`Round ${round} Over: Final Scoring`)
+            .setDescription(teams.map(team => formatTeamRound(game, team)).join('\n'))
+            .addFields({
+                name: 'Game Scoreboard',
+                value: teams.map(team => `${game.getTeamName(team.teamId)}: **${team.score} points** (${team.bags} bags)`).join('\n')
+            })
+            .setFooter({ text: `Round seed: ${seed}` });
+        const image = createImageAttachment(() => renderScoreCard({
+            title: `Round ${round} score card (target ${game.rules.targetScore})`,
+            rows: getScoreCardRows(game, teams)
+        }), 'scores.png');
+        if (image) embed.setImage('attachment://scores.png');
+        return announce({ embeds: [embed], files: image ? [image] : [] });
+    });
+    on('gameOver', ({ winningTeam, winningScore, leaders, setOutTeams, scores, seed }) => {
+        activeGames.delete(gameChannelId);
+        saveHistory(game.history).catch(err => console.error(`❌ Could not save history of ${game.history.id}:`, err));
+        recordGameStats(game.history);
+        recordResult(game.history, channel.guildId ?? null);
+
+        const lines = setOutTeams.map(teamId =>
+            `💀 **${game.getTeamLabel(teamId)}** has fallen to ${scores[teamId]} points (set-out score ${game.rules.losingScore}).`);
+        lines.push(winningTeam === null
+            ? `The game ends in a tie! ${leaders.map(id => game.getTeamLabel(id)).join(' and ')} finished on ${winningScore} points!`
+            : `🏆 **GAME OVER! ${game.getTeamName(winningTeam)} wins with a score of ${winningScore} points!** 🏆`);
+        lines.push(`Game seed: \`${seed}\` (an admin can replay these deals with \`/spades start seed:${seed}\`)`);
+        lines.push('Review any round with `/spades replay`.');
+        return announce(lines.join('\n'));
+    });
+};
+
+/**
+ * Wires a table up to the Discord layer, the computer players, the turn timer, the
+ * spectators, its summary post and the save file. Every table opened or restored goes through here.
+ * @param {GameManager} game
+ * @param {object} channel - The Discord channel (or thread) the game is played in.
+ */
+const attachTable = (game, channel) => {
+    attachGameEvents(game, channel);
+    attachBots(game);
+    attachTurnTimer(game);
+    attachSpectators(game, channel);
+    attachTableSummary(game);
+    trackGame(game);
+};
+
+// --- Restoring Saved Games ---
+
+/**
+ * Picks a restored game back up after a restart: posts a notice in its channel and
+ * re-sends every player their hand with the buttons for the phase they were in.
+ * @param {GameManager} game - The restored game instance.
+ * @param {object} channel - The Discord channel object for public announcements.
+ */
+const resumeGame = async (game, channel) => {
+    const gameChannelId = channel.id;
+    await channel.send('♻️ **The bot restarted.** This game has been restored where it left off — check your DMs.');
+
+    switch (game.state) {
+        case 'DRAFT':
+            await sendDraftPrompt(game, channel, gameChannelId);
+            break;
+        case 'BIDDING':
+            await sendBiddingHands(game, channel, gameChannelId);
+            game.requestBid(game.getCurrentPlayer());
+            break;
+        case 'EXCHANGE':
+            await sendExchangePrompts(game, channel, gameChannelId);
+            break;
+        case 'PLAYING':
+            for (const player of game.players) {
+                await sendPlayerDM(player, createHandMessage(player, `🃏 **Your Spades Hand**\nYou are playing in **#${channel.name}**.`));
+            }
+            game.requestPlay(game.getCurrentPlayer());
+            break;
+        // Lobby buttons keep working, since they carry the channel ID
+    }
+
+    // A computer player may be the one everyone is waiting for; otherwise restart the clock
+    scheduleBotTurn(game);
+    startTurnTimer(game);
+};
+
+/**
+ * Restores every saved game on startup and re-prompts its players.
+ * Games whose channel is gone are discarded.
+ */
+const restoreGames = async () => {
+    const games = await loadGames();
+
+    for (const game of games) {
+        const channel = await client.channels.fetch(game.channelId).catch(() => null);
+        if (!channel) {
+            console.log(`🗑️ Discarding saved game for missing channel ${game.channelId}.`);
+            await deleteGame(game.channelId);
+            continue;
+        }
+
+        attachTable(game, channel);
+        activeGames.set(game.channelId, game);
+        await resumeGame(game, channel).catch(err => console.error(`❌ Could not resume game in ${game.channelId}:`, err));
+    }
+
+    console.log(`Restored ${activeGames.size} game(s) in progress.`);
+};
+
+// --- Tournaments ---
+
+// Tournaments by the channel they are run from
+const tournaments = new Map();
+
+/**
+ * Returns whether a user may run a tournament: its organizer, or a server admin.
+ * @param {object} interaction
+ * @param {Tournament} tournament
+ * @returns {boolean}
+ */
+const canManageTournament = (interaction, tournament) =>
+    interaction.user.id === tournament.ownerId ||
+    Boolean(interaction.memberPermissions?.has(PermissionsBitField.Flags.ManageGuild));
+
+/**
+ * Builds a tournament's overview: the standings, the matches being played and those
+ * waiting for a table.
+ * @param {Tournament} tournament
+ * @returns {EmbedBuilder}
+ */
+const createTournamentEmbed = (tournament) => {
+    const stateText = {
+        REGISTRATION: `Registration open: **${tournament.teams.length}** team(s). Register with \`/spades tournament register\`.`,
+        RUNNING: 'In progress.',
+        FINISHED: `Finished. 🏆 Champions: **${tournament.getTeam(tournament.championId)?.name ?? 'none'}**`
+    }[tournament.state];
+
+    const standings = tournament.getStandings().map((row, index) => {
+        const record = tournament.state === 'REGISTRATION'
+            ? row.team.usernames.join(' & ')
+            : `${row.wins}W ${row.losses}L` + (tournament.format === 'roundrobin' ? ` (${row.pointDiff >= 0 ? '+' : ''}${row.pointDiff})` : '');
+        const mark = row.team.id === tournament.championId ? '🏆 ' : row.eliminated ? '❌ ' : '';
+        return `${index + 1}. ${mark}**${row.team.name}** (#${row.team.id}) — ${record}`;
+    });
+
+    const embed = new EmbedBuilder()
+        .setColor('#9B59B6')
+        .setTitle(`🏆 ${tournament.name}`)
+        .setDescription(`${TOURNAMENT_FORMATS[tournament.format]}, ${RULE_PRESETS[tournament.rulesPreset].name} rules. ${stateText}`)
+        .addFields({ name: 'Standings', value: standings.slice(0, 15).join('\n') || 'No teams yet.' });
+
+    const formatMatch = (match) => {
+        const [teamA, teamB] = match.slots.map(slot => tournament.getTeam(slot.teamId).name);
+        const table = match.state === 'PLAYING' ? ` at <#${match.tableChannelId}>` : '';
+        return `#${match.id} ${tournament.getMatchLabel(match)}: **${teamA}** vs **${teamB}**${table}`;
+    };
+    const upcoming = tournament.matches.filter(match => ['PLAYING', 'READY'].includes(match.state));
+    if (upcoming.length > 0) {
+        embed.addFields({ name: 'Matches', value: upcoming.slice(0, 10).map(formatMatch).join('\n') });
+    }
+    return embed;
+};
+
+/**
+ * Opens the table for a tournament match: a thread in the tournament's channel with a
+ * locked, invite-only lobby seating each team across from each other. The game starts
+ * like any other once all four players are ready.
+ * @param {Tournament} tournament
+ * @param {object} match
+ * @param {object} channel - The tournament's channel.
+ */
+const openMatchTable = async (tournament, match, channel) => {
+    const [teamA, teamB] = match.slots.map(slot => tournament.getTeam(slot.teamId));
+    const label = tournament.getMatchLabel(match);
+    const thread = await openTableThread(channel, `${label}: ${teamA.name} vs ${teamB.name}`);
+    if (!thread) {
+        throw new Error('The table thread could not be opened.');
+    }
+
+    const game = new GameManager(createRules(tournament.rulesPreset, { mode: 'partnership' }));
+    game.channelId = thread.id;
+    game.parentChannelId = channel.id;
+    game.ownerId = tournament.ownerId;
+    game.updateLobbySettings({ allowBots: false, invitedUserIds: [...teamA.playerIds, ...teamB.playerIds] });
+
+    // The first team sits North/South (Team 1), the second East/West (Team 2)
+    [teamA, teamB].forEach((team, teamIndex) => team.playerIds.forEach((playerId, index) => game.addPlayer({
+        id: playerId,
+        username: team.usernames[index],
+        guildId: channel.guildId,
+        seat: teamIndex + index * 2
+    })));
+
+    attachTable(game, thread);
+    game.setSeatsLocked(true);
+    activeGames.set(thread.id, game);
+
+    tournament.startMatch(match.id, thread.id);
+    attachTournamentMatch(game, tournament.channelId, match.id);
+
+    const mentions = [...teamA.playerIds, ...teamB.playerIds].map(id => `<@${id}>`).join(' ');
+    const message = await thread.send({
+        content: `${mentions}\n` + createLobbyContent(game, `🏆 **${tournament.name}: ${label}**\n**${teamA.name}** vs **${teamB.name}**`),
+        embeds: [createLobbyEmbed(game)],
+        components: createLobbyComponents(thread.id, game)
+    });
+    lobbyMessages.set(thread.id, message);
+};
+
+/**
+ * Reports a tournament table's game back to its match when the game ends. A tie is
+ * replayed, and an abandoned game puts the match back to be opened again.
+ * @param {GameManager} game
+ * @param {string} tournamentChannelId
+ * @param {number} matchId
+ */
+const attachTournamentMatch = (game, tournamentChannelId, matchId) => {
+    const getMatch = () => {
+        const tournament = tournaments.get(tournamentChannelId);
+        const match = tournament?.getMatchAtTable(game.channelId);
+        return match?.id === matchId ? { tournament, match } : {};
+    };
+
+    game.on('gameOver', ({ winningTeam, scores }) => {
+        const { tournament, match } = getMatch();
+        if (!match) return;
+
+        if (winningTeam === null) {
+            tournament.reopenMatch(match.id);
+            advanceTournament(tournament, `🤝 **${tournament.getMatchLabel(match)}** ended in a tie, so it will be replayed.`).catch(console.error);
+            return;
+        }
+        // Seats can change hands, so each tournament team is found at the game team its players sit in
+        const [teamA, teamB] = match.slots.map(slot => tournament.getTeam(slot.teamId));
+        const [gameTeamA, gameTeamB] = [teamA, teamB].map(team => {
+            const gameTeams = new Set(game.players.filter(p => team.playerIds.includes(p.discordId)).map(p => p.team));
+            return gameTeams.size === 1 ? [...gameTeams][0] : null;
+        });
+        if (gameTeamA === null || gameTeamB === null || gameTeamA === gameTeamB) {
+            tournament.reopenMatch(match.id);
+            advanceTournament(tournament,
+                `⚠️ The partnerships at the table for **${tournament.getMatchLabel(match)}** did not match the registered teams, so it will be replayed.`)
+                .catch(console.error);
+            return;
+        }
+        tournament.recordResult(match.id, winningTeam === gameTeamA ? teamA.id : teamB.id,
+            { [teamA.id]: scores[gameTeamA], [teamB.id]: scores[gameTeamB] });
+        const winner = tournament.getTeam(match.winnerId);
+        advanceTournament(tournament,
+            `✅ **${tournament.getMatchLabel(match)}**: **${winner.name}** beat **${tournament.getTeam(match.loserId).name}** ` +
+            `${match.scores[match.winnerId]}–${match.scores[match.loserId]}.`).catch(console.error);
+    });
+    game.on('gameAbandoned', () => {
+        const { tournament, match } = getMatch();
+        if (!match) return;
+
+        tournament.reopenMatch(match.id);
+        advanceTournament(tournament, `🏳️ The table for **${tournament.getMatchLabel(match)}** was abandoned, so it will be opened again.`).catch(console.error);
+    });
+};
+
+/**
+ * Saves a tournament after a change, posts the news and standings in its channel and
+ * opens a table for every match that can now be played. Once the last match is done,
+ * the champions are announced instead.
+ * @param {Tournament} tournament
+ * @param {string} note - What just happened.
+ * @returns {Promise}
+ */
+const advanceTournament = async (tournament, note) => {
+    saveTournament(tournament);
+    const channel = await client.channels.fetch(tournament.channelId).catch(() => null);
+    if (!channel) return;
+
+    if (tournament.state === 'FINISHED') {
+        const champion = tournament.getTeam(tournament.championId);
+        return channel.send({
+            content: `${note}\n🏆 **${champion.name}** (${champion.playerIds.map(id => `<@${id}>`).join(' & ')}) win **${tournament.name}**! 🏆`,
+            embeds: [createTournamentEmbed(tournament)]
+        }).catch(console.error);
+    }
+
+    for (const match of tournament.getOpenableMatches()) {
+        await openMatchTable(tournament, match, channel)
+            .catch(err => console.error(`❌ Could not open the table for match ${match.id} of ${tournament.name}:`, err));
+    }
+    saveTournament(tournament);
+    return channel.send({ content: note, embeds: [createTournamentEmbed(tournament)] }).catch(console.error);
+};
+
+/**
+ * Restores saved tournaments on startup, after the games: each match being played is
+ * hooked back up to its restored table, or reopened if its game was lost.
+ */
+const restoreTournaments = async () => {
+    for (const tournament of await loadTournaments()) {
+        tournaments.set(tournament.channelId, tournament);
+        if (tournament.state !== 'RUNNING') continue;
+
+        let reopened = false;
+        for (const match of tournament.matches.filter(other => other.state === 'PLAYING')) {
+            const game = activeGames.get(match.tableChannelId);
+            if (game) {
+                attachTournamentMatch(game, tournament.channelId, match.id);
+            } else {
+                tournament.reopenMatch(match.id);
+                reopened = true;
+            }
+        }
+        if (reopened || tournament.getOpenableMatches().length > 0) {
+            await advanceTournament(tournament, '♻️ **The bot restarted.** Matches whose tables were lost have been opened again.');
+        }
+    }
+
+    console.log(`Restored ${tournaments.size} tournament(s).`);
+};
+
+// --- Interaction Handling ---
+client.on('interactionCreate', async interaction => {
+    // NOTE: channelId here is the GUILD channel ID for slash commands,
+    // but the DM channel ID for bid buttons (hence the lookup fix below).
+    const { user, channelId, options } = interaction;
+    const game = findGame(channelId, user.id); // Only successful for guild-based interactions
+
+ // ----------------------------------------------------
+// Handle Join Game Button Interaction (LOBBY)
+// ----------------------------------------------------
+if (interaction.isButton() && interaction.customId.startsWith('join_game')) {
+    const [, gameChannelId] = interaction.customId.split(':');
+
+    // 🔍 Debug logs to trace the issue
+    console.log('🔘 Join button clicked by:', interaction.user.username);
+    console.log('📎 Button customId:', interaction.customId);
+    console.log('📨 Parsed gameChannelId:', gameChannelId);
+    console.log('📚 Available game keys in activeGames:', [...activeGames.keys()]);
+    console.log('📍 interaction.channelId:', interaction.channelId);
+    console.log('📍 interaction.message.channelId:', interaction.message?.channelId);
+    console.log('📍 interaction.channel.id:', interaction.channel?.id);
+
+    const game = activeGames.get(gameChannelId);
+
+    if (!game || game.state !== 'LOBBY') {
+        console.log('🚫 Game not found or not in LOBBY state.');
+        return interaction.reply({ content: 'That game lobby is no longer active or has already started!', ephemeral: true });
+    }
+
+    const playerDetails = {
+        id: interaction.user.id,
+        username: interaction.user.username,
+        guildId: interaction.guildId,
+        roleIds: getMemberRoleIds(interaction)
+    };
+
+    const result = game.addPlayer(playerDetails); // Assume GameManager has this method
+
+    if (result.error) {
+        return interaction.reply({ content: `🚫 Cannot join game: ${result.error}`, ephemeral: true });
+    }
+
+    // Successfully joined. Update the public message.
+    await interaction.update({
+        content: createLobbyContent(game, `**${interaction.user.username}** joined the lobby!`),
+        components: createLobbyComponents(gameChannelId, game),
+        embeds: interaction.message.embeds // Keep any existing embeds
+    });
+    return;
+}
+
+
+    // ----------------------------------------------------
+    // Handle Seat Buttons (LOBBY): sit, move, or ask to swap
+    // ----------------------------------------------------
+    if (interaction.isButton() && interaction.customId.startsWith('pick_seat')) {
+        const [, gameChannelId, seatText] = interaction.customId.split(':');
+        const gameForSeat = activeGames.get(gameChannelId);
+        const seat = Number(seatText);
+
+        if (!gameForSeat || gameForSeat.state !== 'LOBBY') {
+            return interaction.reply({ content: 'That game lobby is no longer active or has already started!', ephemeral: true });
+        }
+
+        // Anyone not yet at the table sits straight down in the seat they picked
+        const seatName = gameForSeat.getSeatNames()[seat];
+        const result = gameForSeat.getPlayerById(interaction.user.id)
+            ? gameForSeat.chooseSeat(interaction.user.id, seat)
+            : gameForSeat.addPlayer({
+                id: interaction.user.id,
+                username: interaction.user.username,
+                guildId: interaction.guildId,
+                roleIds: getMemberRoleIds(interaction),
+                seat
+            });
+        if (result.error) {
+            return interaction.reply({ content: `🚫 ${result.error}`, ephemeral: true });
+        }
+
+        const note = result.requested
+            ? `**${interaction.user.username}** asked **${result.requested.username}** to swap into **${seatName}**.`
+            : result.swappedWith
+                ? `**${interaction.user.username}** swapped seats with **${result.swappedWith.username}**.`
+                : `**${interaction.user.username}** sat down in **${seatName}**.`;
+        return interaction.update({
+            content: createLobbyContent(gameForSeat, note),
+            components: createLobbyComponents(gameChannelId, gameForSeat),
+            embeds: interaction.message.embeds
+        });
+    }
+
+    // ----------------------------------------------------
+    // Handle Ready Button (LOBBY): the game starts once everyone is ready
+    // ----------------------------------------------------
+    if (interaction.isButton() && interaction.customId.startsWith('toggle_ready')) {
+        const [, gameChannelId] = interaction.customId.split(':');
+        const gameToReady = activeGames.get(gameChannelId);
+
+        if (!gameToReady || gameToReady.state !== 'LOBBY') {
+            return interaction.reply({ content: 'That game lobby is no longer active or has already started!', ephemeral: true });
+        }
+
+        const player = gameToReady.getPlayerById(interaction.user.id);
+        const result = gameToReady.setReady(interaction.user.id, !player?.isReady);
+        if (result.error) {
+            return interaction.reply({ content: `🚫 ${result.error}`, ephemeral: true });
+        }
+
+        await interaction.update({
+            content: createLobbyContent(gameToReady, player.isReady
+                ? `**${player.username}** is ready!`
+                : `**${player.username}** is no longer ready.`),
+            components: createLobbyComponents(gameChannelId, gameToReady),
+            embeds: interaction.message.embeds
+        });
+        return startIfEveryoneReady(interaction, gameToReady);
+    }
+
+    // ----------------------------------------------------
+    // Handle Randomize / Lock Seats Buttons (LOBBY, owner only)
+    // ----------------------------------------------------
+    if (interaction.isButton() && (interaction.customId.startsWith('randomize_seats') || interaction.customId.startsWith('lock_seats'))) {
+        const [action, gameChannelId] = interaction.customId.split(':');
+        const gameForSeats = activeGames.get(gameChannelId);
+
+        if (!gameForSeats || gameForSeats.state !== 'LOBBY') {
+            return interaction.reply({ content: 'That game lobby is no longer active or has already started!', ephemeral: true });
+        }
+        if (interaction.user.id !== gameForSeats.ownerId) {
+            return interaction.reply({ content: '🚫 Only the player who opened the lobby can arrange the seats.', ephemeral: true });
+        }
+
+        const result = action === 'randomize_seats'
+            ? gameForSeats.randomizeSeats()
+            : gameForSeats.setSeatsLocked(!gameForSeats.seatsLocked);
+        if (result.error) {
+            return interaction.reply({ content: `🚫 ${result.error}`, ephemeral: true });
+        }
+
+        const note = action === 'randomize_seats'
+            ? '🎲 The seats have been shuffled! Everyone please check your seat and press **Ready** again.'
+            : gameForSeats.seatsLocked ? '🔒 The lobby owner locked the seats.' : '🔓 The lobby owner unlocked the seats.';
+        return interaction.update({
+            content: createLobbyContent(gameForSeats, note),
+            components: createLobbyComponents(gameChannelId, gameForSeats),
+            embeds: interaction.message.embeds
+        });
+    }
+
+    // ----------------------------------------------------
+    // Handle Start Game Button (LOBBY, before it is full)
+    // ----------------------------------------------------
+    if (interaction.isButton() && interaction.customId.startsWith('start_game')) {
+        const [, gameChannelId] = interaction.customId.split(':');
+        const gameToStart = activeGames.get(gameChannelId);
+
+        if (!gameToStart || gameToStart.state !== 'LOBBY') {
+            return interaction.reply({ content: 'That game lobby is no longer active or has already started!', ephemeral: true });
+        }
+        if (interaction.user.id !== gameToStart.ownerId) {
+            return interaction.reply({ content: '🚫 Only the player who opened the lobby can start the game.', ephemeral: true });
+        }
+
+        const startResult = gameToStart.startGame();
+        if (startResult.error) {
+            return interaction.reply({ content: `🚫 Cannot start game: ${startResult.error}`, ephemeral: true });
+        }
+
+        await interaction.update({
+            content: `📢 **GAME STARTING** with ${gameToStart.players.length} players! Check your DMs for your hand!`,
+            components: []
+        });
+        return;
+    }
+
+    // ----------------------------------------------------
+    // Handle Add Bot Menu (LOBBY)
+    // ----------------------------------------------------
+    if (interaction.isStringSelectMenu() && interaction.customId.startsWith('add_bot')) {
+        const [, gameChannelId] = interaction.customId.split(':');
+        const gameForBot = activeGames.get(gameChannelId);
+
+        if (!gameForBot || gameForBot.state !== 'LOBBY') {
+            return interaction.reply({ content: 'That game lobby is no longer active or has already started!', ephemeral: true });
+        }
+        if (interaction.user.id !== gameForBot.ownerId) {
+            return interaction.reply({ content: '🚫 Only the player who opened the lobby can add bots.', ephemeral: true });
+        }
+
+        const result = gameForBot.addBot(interaction.values[0]);
+        if (result.error) {
+            return interaction.reply({ content: `🚫 Cannot add a bot: ${result.error}`, ephemeral: true });
+        }
+
+        await interaction.update({
+            content: createLobbyContent(gameForBot, 'A computer player took a seat!'),
+            components: createLobbyComponents(gameChannelId, gameForBot),
+            embeds: interaction.message.embeds
+        });
+        return startIfEveryoneReady(interaction, gameForBot);
+    }
+
+    // ----------------------------------------------------
+    // Handle Bot Difficulty Menu (LOBBY)
+    // ----------------------------------------------------
+    if (interaction.isStringSelectMenu() && interaction.customId.startsWith('bot_difficulty')) {
+        const [, gameChannelId] = interaction.customId.split(':');
+        const gameForBot = activeGames.get(gameChannelId);
+
+        if (!gameForBot || gameForBot.state !== 'LOBBY') {
+            return interaction.reply({ content: 'That game lobby is no longer active or has already started!', ephemeral: true });
+        }
+        if (interaction.user.id !== gameForBot.ownerId) {
+            return interaction.reply({ content: '🚫 Only the player who opened the lobby can change bot difficulty.', ephemeral: true });
+        }
+
+        const [botId, difficulty] = interaction.values[0].split(':');
+        const result = gameForBot.setBotDifficulty(botId, difficulty);
+        if (result.error) {
+            return interaction.reply({ content: `🚫 ${result.error}`, ephemeral: true });
+        }
+
+        const bot = gameForBot.getPlayerById(botId);
+        await interaction.update({
+            content: createLobbyContent(gameForBot, `**${bot.username}** now plays at **${BOT_DIFFICULTIES[difficulty]}**.`),
+            components: createLobbyComponents(gameChannelId, gameForBot),
+            embeds: interaction.message.embeds
+        });
+        return;
+    }
+
+    // ----------------------------------------------------
+    // Handle Lobby Settings (LOBBY, owner only): the panel, its menus and the numbers form
+    // ----------------------------------------------------
+    if (interaction.customId?.startsWith('lobby_settings') || interaction.customId?.startsWith('settings_')) {
+        const [action, gameChannelId] = interaction.customId.split(':');
+        const gameToSet = activeGames.get(gameChannelId);
+
+        if (!gameToSet || gameToSet.state !== 'LOBBY') {
+            return interaction.reply({ content: 'That game lobby is no longer active or has already started!', ephemeral: true });
+        }
+        if (interaction.user.id !== gameToSet.ownerId) {
+            return interaction.reply({ content: '🚫 Only the player who opened the lobby can change its settings.', ephemeral: true });
+        }
+
+        if (action === 'lobby_settings') {
+            lobbyMessages.set(gameChannelId, interaction.message);
+            return interaction.reply({ ...createSettingsPanel(gameToSet), ephemeral: true });
+        }
+
+        if (action === 'settings_numbers') {
+            const modal = new ModalBuilder()
+                .setCustomId(`settings_modal:${gameChannelId}`)
+                .setTitle('Lobby settings')
+                .addComponents(
+                    new ActionRowBuilder().addComponents(
+                        new TextInputBuilder()
+                            .setCustomId('targetScore')
+                            .setLabel(`Target score (${TARGET_SCORE_LIMITS.min}–${TARGET_SCORE_LIMITS.max})`)
+                            .setStyle(TextInputStyle.Short)
+                            .setValue(String(gameToSet.rules.targetScore))
+                            .setRequired(true)
+                    ),
+                    new ActionRowBuilder().addComponents(
+                        new TextInputBuilder()
+                            .setCustomId('turnTimeLimit')
+                            .setLabel(`Seconds per turn (${TURN_TIME_LIMITS.min}–${TURN_TIME_LIMITS.max}, 0 = no limit)`)
+                            .setStyle(TextInputStyle.Short)
+                            .setValue(String(gameToSet.rules.turnTimeLimit))
+                            .setRequired(true)
+                    )
+                );
+            return interaction.showModal(modal);
+        }
+
+        let settings;
+        switch (action) {
+            case 'settings_preset':
+                settings = { preset: interaction.values[0] };
+                break;
+            case 'settings_bidding':
+                settings = { bidding: interaction.values[0] };
+                break;
+            case 'settings_bots':
+                settings = { allowBots: interaction.values[0] === 'allow' };
+                break;
+            case 'settings_invite':
+                settings = { invitedUserIds: [...interaction.users.keys()], invitedRoleIds: [...interaction.roles.keys()] };
+                break;
+            case 'settings_modal':
+                settings = {
+                    targetScore: Number(interaction.fields.getTextInputValue('targetScore').trim()),
+                    turnTimeLimit: Number(interaction.fields.getTextInputValue('turnTimeLimit').trim())
+                };
+                break;
+            default:
+                return;
+        }
+
+        const result = gameToSet.updateLobbySettings(settings);
+        if (result.error) {
+            return interaction.reply({ content: `🚫 ${result.error}`, ephemeral: true });
+        }
+
+        await interaction.update(createSettingsPanel(gameToSet));
+        const removedNote = result.removedBots.length > 0
+            ? ` Bots are no longer allowed, so ${result.removedBots.map(bot => `**${bot.username}**`).join(', ')} left the table.`
+            : '';
+        return refreshLobbyMessage(gameToSet, `⚙️ The lobby owner changed the settings.${removedNote}`);
+    }
+
+    // ----------------------------------------------------
+    // Handle Bid Button Interaction (BIDDING)
+    // ----------------------------------------------------
+    if (interaction.isButton() && interaction.customId.startsWith('bid_')) {
+    const parts = interaction.customId.split('_'); // Format: ['bid', <channelId>, <bidValue>]
+    if (parts.length < 3) {
+        return interaction.reply({ content: 'Invalid bid button format.', ephemeral: true });
+    }
+
+    const gameChannelId = parts[1];
+    const isBlindNil = parts[2] === 'blind';
+    const bidAmount = parts[2] === 'nil' ? 0 : parseInt(parts[2], 10);
+// 🔍 Debug logs
+console.log('🔍 Parsed channel ID from button:', gameChannelId);
+console.log('📚 Active game keys:', [...activeGames.keys()]);
+    const gameForBid = activeGames.get(gameChannelId);
+
+    if (!gameForBid || gameForBid.state !== 'BIDDING') {
+        return interaction.reply({ content: 'No active Spades game found or bidding is complete.', ephemeral: true });
+    }
+
+    const player = gameForBid.players.find(p => p.discordId === interaction.user.id);
+
+    if (!player) {
+        return interaction.reply({ content: 'You are not a player in this game.', ephemeral: true });
+    }
+
+    const bidResult = isBlindNil
+        ? gameForBid.tryPlaceBlindNil(player.discordId)
+        : gameForBid.tryPlaceBid(player.discordId, bidAmount);
+
+    if (bidResult.error) {
+        return interaction.reply({
+            content: `🚫 Cannot place bid: ${bidResult.error}`,
+            ephemeral: true
+        });
+    }
+
+    const bidDisplay = bidResult.bidDisplay;
+
+    // A Blind Nil bidder sees their hand for the first time once the bid is in
+    const bidContent = `✅ You successfully bid **${bidDisplay}**.\n\nWaiting for ${bidResult.bidsRemaining} more bids.`;
+    await interaction.update(isBlindNil
+        ? createHandMessage(player, `${bidContent}\n\n🃏 **Your Spades Hand**`, { embeds: interaction.message.embeds, components: [] })
+        : { content: bidContent, embeds: interaction.message.embeds, components: [] });
+
+    // The partner's new options, the next bidder, the card exchange or trick play are prompted through game events.
+    return;
+}
+
+    // ----------------------------------------------------
+    // Handle Suggest Bid Button (BIDDING)
+    // ----------------------------------------------------
+    if (interaction.isButton() && interaction.customId.startsWith('hint_')) {
+        const [, gameChannelId] = interaction.customId.split('_');
+        const gameForHint = activeGames.get(gameChannelId);
+
+        if (!gameForHint) {
+            return interaction.reply({ content: 'No active Spades game found for this hint.', ephemeral: true });
+        }
+
+        const hint = gameForHint.getBidHint(interaction.user.id);
+        if (hint.error) {
+            return interaction.reply({ content: `🚫 ${hint.error}`, ephemeral: true });
+        }
+        return interaction.reply({ content: formatBidHint(hint), ephemeral: true });
+    }
+
+    // ----------------------------------------------------
+    // Handle Watch / Stop Watching Buttons (SPECTATORS)
+    // ----------------------------------------------------
+    if (interaction.isButton() && interaction.customId.startsWith('watch_game')) {
+        const [, gameChannelId] = interaction.customId.split(':');
+        const gameToWatch = activeGames.get(gameChannelId);
+
+        if (!gameToWatch) {
+            return interaction.reply({ content: 'That game is no longer active.', ephemeral: true });
+        }
+
+        const result = gameToWatch.addSpectator(interaction.user.id, getMemberRoleIds(interaction));
+        if (result.error) {
+            return interaction.reply({ content: `🚫 ${result.error}`, ephemeral: true });
+        }
+
+        await interaction.reply({
+            content: gameToWatch.rules.spectatorHands
+                ? '👀 You are watching. The live table view is in your DMs. This table shows spectators every hand, so you will not be able to take a seat in this game.'
+                : '👀 You are watching. The live table view is in your DMs.',
+            ephemeral: true
+        });
+        const channelToWatch = await client.channels.fetch(gameChannelId);
+        return showSpectatorView(gameToWatch, channelToWatch, interaction.user.id)
+            .catch(() => interaction.followUp({ content: '⚠️ I could not DM you the table view. Please allow DMs from server members.', ephemeral: true }));
+    }
+
+    if (interaction.isButton() && interaction.customId.startsWith('unwatch_game')) {
+        const [, gameChannelId] = interaction.customId.split(':');
+        activeGames.get(gameChannelId)?.removeSpectator(interaction.user.id);
+        spectatorMessages.delete(`${gameChannelId}:${interaction.user.id}`);
+        return interaction.update({ content: 'You stopped watching this game.', components: [] });
+    }
+
+    // ----------------------------------------------------
+    // Handle Replace AFK Player Button (IN GAME)
+    // ----------------------------------------------------
+    if (interaction.isButton() && interaction.customId.startsWith('replace_afk')) {
+        const [, gameChannelId, afkPlayerId] = interaction.customId.split(':');
+        const gameForReplace = activeGames.get(gameChannelId);
+
+        if (!gameForReplace) {
+            return interaction.reply({ content: 'That game is no longer active.', ephemeral: true });
+        }
+        const isSeated = gameForReplace.players.some(p => p.discordId === interaction.user.id);
+        if (!isSeated && interaction.user.id !== gameForReplace.ownerId) {
+            return interaction.reply({ content: '🚫 Only players at this table can replace an AFK player.', ephemeral: true });
+        }
+        const afkPlayer = gameForReplace.getPlayerById(afkPlayerId);
+        if (!afkPlayer?.isAfk) {
+            await interaction.update({ components: [] });
+            return interaction.followUp({ content: 'That player is back (or has already been replaced).', ephemeral: true });
+        }
 
-    if (!game || game.state !== 'LOBBY') {
-        console.log('🚫 Game not found or not in LOBBY state.');
-        return interaction.reply({ content: 'That game lobby is no longer active or has already started!', ephemeral: true });
+        const result = gameForReplace.replaceWithBot(afkPlayerId);
+        if (result.error) {
+            return interaction.reply({ content: `🚫 ${result.error}`, ephemeral: true });
+        }
+        return interaction.update({ components: [] });
     }
 
-    const playerDetails = {
-        id: interaction.user.id,
-        username: interaction.user.username,
-        guildId: interaction.guildId
-    };
+    // ----------------------------------------------------
+    // Handle Open Seat Buttons (IN GAME)
+    // ----------------------------------------------------
+    if (interaction.isButton() && interaction.customId.startsWith('take_seat')) {
+        const [, gameChannelId, seatId] = interaction.customId.split(':');
+        const gameForSeat = activeGames.get(gameChannelId);
 
-    const result = game.addPlayer(playerDetails); // Assume GameManager has this method
+        if (!gameForSeat) {
+            return interaction.reply({ content: 'That game is no longer active.', ephemeral: true });
+        }
 
-    if (result.error) {
-        return interaction.reply({ content: `🚫 Cannot join game: ${result.error}`, ephemeral: true });
+        const result = gameForSeat.takeSeat(seatId, {
+            id: interaction.user.id,
+            username: interaction.user.username,
+            guildId: interaction.guildId,
+            roleIds: getMemberRoleIds(interaction)
+        });
+        if (result.error) {
+            return interaction.reply({ content: `🚫 ${result.error}`, ephemeral: true });
+        }
+        return interaction.update({ components: [] });
     }
 
-    // Successfully joined. Update the public message.
-    const playerCount = game.players.length;
-    const lobbyComponents = createLobbyComponents(gameChannelId, playerCount);
-    const playerList = game.players.map(p => `\`${p.username}\``).join(', ');
+    if (interaction.isButton() && interaction.customId.startsWith('seat_bot')) {
+        const [, gameChannelId, seatId] = interaction.customId.split(':');
+        const gameForSeat = activeGames.get(gameChannelId);
 
-    const joinMessage = `**${interaction.user.username}** joined the lobby! Current Players: ${playerList}`;
+        if (!gameForSeat) {
+            return interaction.reply({ content: 'That game is no longer active.', ephemeral: true });
+        }
+        const isSeated = gameForSeat.players.some(p => p.discordId === interaction.user.id);
+        if (!isSeated && interaction.user.id !== gameForSeat.ownerId) {
+            return interaction.reply({ content: '🚫 Only players at this table can fill a seat with a bot.', ephemeral: true });
+        }
+        if (!gameForSeat.getPlayerById(seatId)?.isOpenSeat) {
+            await interaction.update({ components: [] });
+            return interaction.followUp({ content: 'That seat has already been taken.', ephemeral: true });
+        }
 
-    // Edit the original message to update the player count on the button
-    await interaction.update({
-        content: `♠️ **Spades Lobby** - 4 players needed.\n\n${joinMessage}`,
-        components: lobbyComponents,
-        embeds: interaction.message.embeds // Keep any existing embeds
-    });
+        const result = gameForSeat.replaceWithBot(seatId);
+        if (result.error) {
+            return interaction.reply({ content: `🚫 ${result.error}`, ephemeral: true });
+        }
+        return interaction.update({ components: [] });
+    }
+
+    // ----------------------------------------------------
+    // Handle Keep / Discard Buttons (HONEYMOON DRAFT)
+    // ----------------------------------------------------
+    if (interaction.isButton() && interaction.customId.startsWith('draft_')) {
+        const [, gameChannelId, decision] = interaction.customId.split('_');
+        const gameForDraft = activeGames.get(gameChannelId);
 
-    	if (game.isLobbyFull()) {
-    	// Lobby is full, start the game!
-        game.startGame(); // Deals cards, sets dealer, and sets state to BIDDING
+        if (!gameForDraft || gameForDraft.state !== 'DRAFT') {
+            return interaction.reply({ content: 'There is no draft in progress.', ephemeral: true });
+        }
 
-        // Send DMs and start bidding sequence
-        const channel = interaction.channel;
-        await sendHandsAndBiddingButtons(game, channel, gameChannelId);
+        const draftResult = gameForDraft.tryDraftDecision(interaction.user.id, decision === 'keep');
+        if (draftResult.error) {
+            return interaction.reply({ content: `🚫 ${draftResult.error}`, ephemeral: true });
+        }
 
-        // Final update to remove the 'Join Game' button after starting
-        await interaction.editReply({
-            content: '📢 **LOBBY FULL!** The game is starting now. Check your DMs for your hand!',
-            components: [], // Remove all components
+        await interaction.update({
+            content: `✅ You kept **${getCardEmojiDisplay(draftResult.kept)}** and discarded **${getCardEmojiDisplay(draftResult.discarded)}**. ` +
+                     `${draftResult.cardsLeft} cards left in the stock.`,
+            components: []
         });
+        return;
     }
 
-    return;
-}
-
-
     // ----------------------------------------------------
-    // Handle Bid Button Interaction (BIDDING)
+    // Handle Show My Hand Button (BLIND NIL DECLINED)
     // ----------------------------------------------------
-    if (interaction.isButton() && interaction.customId.startsWith('bid_')) {
-    const parts = interaction.customId.split('_'); // Format: ['bid', <channelId>, <bidValue>]
-    if (parts.length < 3) {
-        return interaction.reply({ content: 'Invalid bid button format.', ephemeral: true });
-    }
+    if (interaction.isButton() && interaction.customId.startsWith('reveal_')) {
+        const [, gameChannelId] = interaction.customId.split('_');
+        const gameForReveal = activeGames.get(gameChannelId);
 
-    const gameChannelId = parts[1];
-    const bidAmount = parts[2] === 'nil' ? 0 : parseInt(parts[2], 10);
-// 🔍 Debug logs
-console.log('🔍 Parsed channel ID from button:', gameChannelId);
-console.log('📚 Active game keys:', [...activeGames.keys()]);
-    const gameForBid = activeGames.get(gameChannelId);
+        if (!gameForReveal || gameForReveal.state !== 'BIDDING') {
+            return interaction.reply({ content: 'No active Spades game found or bidding is complete.', ephemeral: true });
+        }
 
-    if (!gameForBid || gameForBid.state !== 'BIDDING') {
-        return interaction.reply({ content: 'No active Spades game found or bidding is complete.', ephemeral: true });
+        const revealResult = gameForReveal.revealHand(interaction.user.id);
+        if (revealResult.error) {
+            return interaction.reply({ content: `🚫 ${revealResult.error}`, ephemeral: true });
+        }
+
+        const player = gameForReveal.getPlayerById(interaction.user.id);
+        await interaction.update(createHandMessage(player, '🃏 **Your Spades Hand**\nSelect your bid using the buttons below.', {
+            components: createBiddingComponents(gameChannelId, gameForReveal.getLegalBids(player), gameForReveal.rules.allowHints)
+        }));
+        return;
     }
 
-    const player = gameForBid.players.find(p => p.discordId === interaction.user.id);
+    // ----------------------------------------------------
+    // Handle Card Exchange Select Menu (BLIND NIL)
+    // ----------------------------------------------------
+    if (interaction.isStringSelectMenu() && interaction.customId.startsWith('exchange_')) {
+        const [, gameChannelId] = interaction.customId.split('_');
+        const gameForExchange = activeGames.get(gameChannelId);
 
-    if (!player) {
-        return interaction.reply({ content: 'You are not a player in this game.', ephemeral: true });
-    }
+        if (!gameForExchange || gameForExchange.state !== 'EXCHANGE') {
+            return interaction.reply({ content: 'There is no card exchange in progress.', ephemeral: true });
+        }
 
-    const bidResult = gameForBid.tryPlaceBid(player.discordId, bidAmount);
+        const exchangeResult = gameForExchange.trySubmitExchange(interaction.user.id, interaction.values);
+        if (exchangeResult.error) {
+            return interaction.reply({ content: `🚫 ${exchangeResult.error}`, ephemeral: true });
+        }
 
-    if (bidResult.error) {
-        return interaction.reply({
-            content: `🚫 Cannot place bid: ${bidResult.error}`,
-            ephemeral: true
+        const waitingText = exchangeResult.exchangeComplete
+            ? 'The exchange is complete.'
+            : `Waiting for: ${exchangeResult.waitingFor.join(', ')}.`;
+        await interaction.update({
+            content: `✅ You chose to pass **${interaction.values.length}** card(s). ${waitingText}`,
+            components: []
         });
+        return;
     }
 
-    const bidDisplay = bidResult.bidDisplay;
-    const channel = await client.channels.fetch(gameChannelId).catch(console.error);
+    // ----------------------------------------------------
+    // Handle Card Buttons (PLAYING)
+    // ----------------------------------------------------
+    if (interaction.isButton() && interaction.customId.startsWith('playcard_')) {
+        const [, gameChannelId, cardCode] = interaction.customId.split('_');
+        const gameForPlay = activeGames.get(gameChannelId);
 
-    await interaction.update({
-        content: `✅ You successfully bid **${bidDisplay}**.\n\nWaiting for ${bidResult.bidsRemaining} more bids.`,
-        embeds: interaction.message.embeds,
-        components: []
-    });
+        if (!gameForPlay || gameForPlay.state !== 'PLAYING') {
+            return interaction.reply({ content: 'There is no trick in progress in that game.', ephemeral: true });
+        }
 
-    const announceEmbed = new EmbedBuilder()
-        .setColor('#1E90FF')
-        .setDescription(`**${player.username}** bids **${bidDisplay}**!`);
+        // The current prompt is closed by the cardPlayed event; an older one is closed here
+        const isCurrentPrompt = playPrompts.get(`${gameChannelId}:${interaction.user.id}`)?.id === interaction.message.id;
+        const playResult = gameForPlay.tryPlayCard(interaction.user.id, cardCode);
+        if (playResult.error) {
+            return interaction.reply({ content: `🚫 Invalid play: ${playResult.error}`, ephemeral: true });
+        }
 
-    if (channel) {
-        await channel.send({ embeds: [announceEmbed] });
+        if (isCurrentPrompt) return interaction.deferUpdate();
+        return interaction.update({
+            content: `${interaction.message.content}\n\n✅ You played **${getCardEmojiDisplay(playResult.card)}**.`,
+            components: []
+        });
     }
 
-    if (bidResult.biddingComplete) {
-        const firstPlayer = gameForBid.players[gameForBid.currentPlayerIndex].username;
+    // ----------------------------------------------------
+    // Handle Replay Step / Export Buttons (REPLAY)
+    // ----------------------------------------------------
+    if (interaction.isButton() && interaction.customId.startsWith('replay')) {
+        const [action, historyId, roundText, stepText] = interaction.customId.split('_');
+        const history = await findHistory(historyId);
 
-        if (channel) {
-            const biddingSummary = new EmbedBuilder()
-                .setColor('#FFD700')
-                .setTitle('🚨 BIDDING COMPLETE! PLAYING PHASE STARTING! 🚨')
-                .setDescription(`The first card is led by **${firstPlayer}**!`)
-                .addFields({
-                    name: 'Scores & Bids',
-                    value: gameForBid.getTeamScoreDisplay(),
-                    inline: false
-                });
+        if (!history) {
+            return interaction.reply({ content: 'That game record is no longer available.', ephemeral: true });
+        }
 
-            await channel.send({
-                embeds: [biddingSummary],
-                content: `It is **${firstPlayer}**'s turn to play the first card. Use \`/spades play <card>\`.`
+        if (action === 'replayexport') {
+            // A game still being played keeps its seed secret (see GameHistory.toText)
+            const record = { ...history.toJSON(), seed: history.result ? history.seed : null, rounds: history.getFinishedRounds() };
+            return interaction.reply({
+                content: `📄 Record of game \`${history.id}\` (finished rounds only).`,
+                files: [
+                    new AttachmentBuilder(Buffer.from(history.toText()), { name: `spades-${history.id}.txt` }),
+                    new AttachmentBuilder(Buffer.from(JSON.stringify(record, null, 2)), { name: `spades-${history.id}.json` })
+                ],
+                ephemeral: true
             });
         }
-    } else {
-        const nextBidder = gameForBid.players[gameForBid.currentPlayerIndex].username;
-        if (channel) {
-            await channel.send(`It is now **${nextBidder}**'s turn to bid. Please check your DMs.`);
+
+        const round = history.getFinishedRounds().find(r => r.round === Number(roundText));
+        if (!round) {
+            return interaction.reply({ content: 'That round is not available for replay.', ephemeral: true });
         }
+
+        const step = Number(stepText);
+        const lastStep = round.tricks.length + 1;
+        await interaction.update({
+            embeds: [createReplayEmbed(history, round, step)],
+            components: createReplayComponents(history.id, round.round, step, lastStep)
+        });
+        return;
     }
 
-    return;
-}
+    // ----------------------------------------------------
+    // Handle Leaderboard Page Buttons
+    // ----------------------------------------------------
+    if (interaction.isButton() && interaction.customId.startsWith('leaderboard:')) {
+        const [, scope, period, variant, pageText] = interaction.customId.split(':');
+        return interaction.update(createLeaderboardMessage({ scope, guild: interaction.guild, period, variant }, Number(pageText)));
+    }
+
+    // ----------------------------------------------------
+    // Handle "Spades stats" User Context Menu
+    // ----------------------------------------------------
+    if (interaction.isUserContextMenuCommand() && interaction.commandName === 'Spades stats') {
+        return interaction.reply({ embeds: [createStatsEmbed(interaction.targetUser)], ephemeral: true });
+    }
 
     // ------------------------------------------------------------------------
     // SLASH COMMAND HANDLING SECTION
@@ -377,12 +2768,129 @@ console.log('📚 Active game keys:', [...activeGames.keys()]);
 
     const subcommand = options.getSubcommand();
 
+    // ----------------------------------------------------
+    // 13. /spades tournament ... (subcommands share names with the table commands, so they go first)
+    // ----------------------------------------------------
+    if (options.getSubcommandGroup(false) === 'tournament') {
+        const tournament = tournaments.get(channelId);
+
+        if (subcommand === 'create') {
+            if (!TABLE_THREAD_PARENTS.includes(interaction.channel?.type)) {
+                return interaction.reply({ content: '❌ Tournaments can only be run in a server text channel, where each match gets a thread.', ephemeral: true });
+            }
+            if (tournament && tournament.state !== 'FINISHED') {
+                return interaction.reply({ content: `❌ **${tournament.name}** is already being run in this channel.`, ephemeral: true });
+            }
+            const settings = {
+                channelId,
+                guildId: interaction.guildId,
+                ownerId: user.id,
+                name: options.getString('name'),
+                format: options.getString('format') ?? 'single',
+                rulesPreset: options.getString('rules') ?? 'standard'
+            };
+            const problem = Tournament.validateSettings(settings);
+            if (problem) {
+                return interaction.reply({ content: `🚫 ${problem}`, ephemeral: true });
+            }
+
+            const newTournament = new Tournament(settings);
+            tournaments.set(channelId, newTournament);
+            saveTournament(newTournament);
+            return interaction.reply({
+                content: `🏆 **${user.username}** has created **${newTournament.name}**! Register a team of two with \`/spades tournament register\`.`,
+                embeds: [createTournamentEmbed(newTournament)]
+            });
+        }
+
+        if (!tournament) {
+            return interaction.reply({ content: '❌ No tournament is being run in this channel.', ephemeral: true });
+        }
+
+        if (subcommand === 'standings') {
+            return interaction.reply({ embeds: [createTournamentEmbed(tournament)] });
+        }
+
+        if (subcommand === 'register') {
+            const partner = options.getUser('partner');
+            if (partner.bot) {
+                return interaction.reply({ content: '🚫 Your partner must be a person.', ephemeral: true });
+            }
+            const result = tournament.registerTeam(
+                [{ id: user.id, username: user.username }, { id: partner.id, username: partner.username }],
+                options.getString('team'));
+            if (result.error) {
+                return interaction.reply({ content: `🚫 ${result.error}`, ephemeral: true });
+            }
+            saveTournament(tournament);
+            return interaction.reply(`✅ <@${user.id}> and <@${partner.id}> are registered as **${result.team.name}** ` +
+                `(team #${result.team.id}). ${tournament.teams.length} team(s) so far.`);
+        }
+
+        if (subcommand === 'withdraw') {
+            const result = tournament.withdrawTeam(user.id);
+            if (result.error) {
+                return interaction.reply({ content: `🚫 ${result.error}`, ephemeral: true });
+            }
+            saveTournament(tournament);
+            return interaction.reply(`🚪 **${result.team.name}** has withdrawn from **${tournament.name}**.`);
+        }
+
+        // The rest run the tournament
+        if (!canManageTournament(interaction, tournament)) {
+            return interaction.reply({ content: '🚫 Only the organizer or a server admin can do that.', ephemeral: true });
+        }
+
+        if (subcommand === 'start') {
+            const result = tournament.start();
+            if (result.error) {
+                return interaction.reply({ content: `🚫 ${result.error}`, ephemeral: true });
+            }
+            await interaction.reply(`📢 **${tournament.name}** is starting with ${tournament.teams.length} teams! Opening the first tables…`);
+            await advanceTournament(tournament, '🎲 The matches have been drawn. Each table opens as a thread here: head to yours and press **Ready**.');
+            return;
+        }
+
+        if (subcommand === 'report') {
+            const match = tournament.getMatch(options.getInteger('match'));
+            const tableChannelId = match?.tableChannelId;
+            const result = tournament.recordResult(match?.id, options.getInteger('winner'));
+            if (result.error) {
+                return interaction.reply({ content: `🚫 ${result.error}`, ephemeral: true });
+            }
+            // A game still running at the table no longer decides anything
+            const tableGame = activeGames.get(tableChannelId);
+            if (tableGame && tableGame.state !== 'GAME_OVER') {
+                await client.channels.fetch(tableChannelId)
+                    .then(table => table.send('📝 The organizer has recorded this match\'s result, so the table is closing.'))
+                    .catch(console.error);
+                tableGame.abandonGame();
+            }
+            await interaction.reply({ content: `✅ Result recorded for match #${match.id}.`, ephemeral: true });
+            await advanceTournament(tournament,
+                `📝 The organizer recorded **${tournament.getMatchLabel(match)}** as won by **${tournament.getTeam(match.winnerId).name}**.`);
+            return;
+        }
+
+        if (subcommand === 'cancel') {
+            tournaments.delete(channelId);
+            deleteTournament(channelId);
+            return interaction.reply(`🛑 **${tournament.name}** has been cancelled.`);
+        }
+        return;
+    }
+
    // ----------------------------------------------------
 // 1. /spades start (LOBBY INITIATION)
 // ----------------------------------------------------
 if (subcommand === 'start') {
-    if (game) {
-        return interaction.reply({ content: 'A game is already active in this channel.', ephemeral: true });
+    // Lobbies in a text channel get a thread each, so the channel can host several tables
+    const opensThread = TABLE_THREAD_PARENTS.includes(interaction.channel?.type);
+    if (game && (!opensThread || game.getPlayerById(user.id))) {
+        return interaction.reply({
+            content: game.channelId === channelId ? 'A game is already active in this channel.' : `You are already playing at <#${game.channelId}>.`,
+            ephemeral: true
+        });
     }
 
     // The user initiating the command is the first player
@@ -392,43 +2900,90 @@ if (subcommand === 'start') {
         guildId: interaction.guildId
     };
 
-    // Define communication hooks required by GameManager
-    const publicAnnounce = (message) => {
-        interaction.channel.send(message);
-    };
+    // Replaying a seed reveals every deal in advance, so only server admins may choose one
+    const seed = options.getString('seed')?.trim() || undefined;
+    if (seed && !interaction.memberPermissions?.has(PermissionsBitField.Flags.ManageGuild)) {
+        return interaction.reply({ content: '🚫 Only server admins (Manage Server) can start a game from a seed.', ephemeral: true });
+    }
 
-    const privatePrompt = async (playerId, message) => {
-        try {
-            const user = await interaction.client.users.fetch(playerId);
-            await user.send(message);
-        } catch (err) {
-            console.error(`Failed to DM player ${playerId}:`, err);
+    // ✅ Create the new game instance and add the initiator properly
+    const overrides = {};
+    for (const key of ['mode', 'bidding']) {
+        const value = options.getString(key);
+        if (value) overrides[key] = value;
+    }
+    const allowHints = options.getBoolean('hints');
+    if (allowHints !== null) overrides.allowHints = allowHints;
+    const rules = createRules(options.getString('rules') ?? 'standard', overrides);
+    const newGame = new GameManager(rules, seed);
+    newGame.ownerId = user.id;
+
+    // Table settings are checked by the engine, the same way the lobby settings panel changes them
+    const inviteRole = options.getRole('invite_role');
+    const settingsResult = newGame.updateLobbySettings({
+        targetScore: options.getInteger('target') ?? undefined,
+        turnTimeLimit: options.getInteger('timer') ?? undefined,
+        allowBots: options.getBoolean('bots') ?? undefined,
+        invitedUserIds: [...(options.getString('invite') ?? '').matchAll(/<@!?(\d+)>/g)].map(match => match[1]),
+        invitedRoleIds: inviteRole ? [inviteRole.id] : []
+    });
+    if (settingsResult.error) {
+        return interaction.reply({ content: `🚫 Cannot open the lobby: ${settingsResult.error}`, ephemeral: true });
+    }
+
+    let tableChannel = interaction.channel;
+    if (opensThread) {
+        await interaction.deferReply();
+        tableChannel = await openTableThread(interaction.channel, `♠️ ${initiator.username}'s table`);
+        if (!tableChannel) {
+            return interaction.editReply('🚫 Could not open a thread for the table. Check that I may create public threads in this channel.');
         }
-    };
+        newGame.parentChannelId = channelId;
+    }
+    const tableChannelId = tableChannel.id;
 
-    // ✅ Create the new game instance and add the initiator properly
-    const newGame = new GameManager(publicAnnounce, privatePrompt);
-    newGame.channelId = channelId;
+    attachTable(newGame, tableChannel);
+    newGame.channelId = tableChannelId;
     newGame.state = 'LOBBY'; // Optional, if not already set in constructor
 
     const result = newGame.addPlayer(initiator);
     if (result.error) {
-        return interaction.reply({ content: `🚫 Cannot join game: ${result.error}`, ephemeral: true });
+        const message = `🚫 Cannot join game: ${result.error}`;
+        return opensThread ? interaction.editReply(message) : interaction.reply({ content: message, ephemeral: true });
     }
 
-    activeGames.set(channelId, newGame);
+    activeGames.set(tableChannelId, newGame);
 
     // Create lobby components with correct channel ID
-    const lobbyComponents = createLobbyComponents(channelId, 1);
-    const playerList = `\`${initiator.username}\``;
+    const lobbyComponents = createLobbyComponents(tableChannelId, newGame);
 
-    await interaction.reply({ 
-        content: `♠️ **A new Spades Lobby has been opened!** The game needs 4 players.\n\n` +
-                 `Current Players: ${playerList}`, 
-        components: lobbyComponents,
-        ephemeral: false
+    // Only the admin who chose the seed is told: anyone who knows it can work out every hand
+    const sendSeedNotice = () => seed && interaction.followUp({
+        content: `🎲 Deals in this game are replayed from seed \`${seed}\`. Keep it to yourself until the game is over.`,
+        ephemeral: true
     });
+    const lobbyMessage = {
+        content: createLobbyContent(newGame, `**A new Spades Lobby has been opened by ${initiator.username}!**`),
+        embeds: [createLobbyEmbed(newGame)],
+        components: lobbyComponents
+    };
 
+    if (!opensThread) {
+        await interaction.reply({ ...lobbyMessage, ephemeral: false });
+        lobbyMessages.set(tableChannelId, await interaction.fetchReply());
+        await sendSeedNotice();
+        return;
+    }
+
+    // The lobby and the whole game live in the thread; the channel keeps one summary post
+    lobbyMessages.set(tableChannelId, await tableChannel.send(lobbyMessage));
+    const summaryMessage = await interaction.editReply({
+        content: `♠️ **${initiator.username}** opened a table. Join it in ${tableChannel}!`,
+        embeds: [createTableSummaryEmbed(newGame)]
+    });
+    newGame.summaryMessageId = summaryMessage.id;
+    saveGame(newGame);
+    await sendSeedNotice();
     return;
 }
 
@@ -440,7 +2995,7 @@ if (interaction.isChatInputCommand() && interaction.commandName === 'spades') {
     const subcommand = interaction.options.getSubcommand();
 
     if (subcommand === 'hand') {
-        const game = activeGames.get(interaction.channelId);
+        const game = findGame(interaction.channelId, interaction.user.id);
 
         if (!game) {
             return interaction.reply({
@@ -458,13 +3013,15 @@ if (interaction.isChatInputCommand() && interaction.commandName === 'spades') {
             });
         }
 
-        // Format the hand for display
-        const handDisplay = player.hand.length > 0
-            ? player.hand.map(card => `• ${card}`).join('\n')
-            : 'Your hand is currently empty.';
+        if (!player.hasSeenHand) {
+            return interaction.reply({
+                content: '🙈 Your hand is face down while you decide on Blind Nil. Use the buttons in your DMs to bid Blind Nil or reveal it.',
+                ephemeral: true
+            });
+        }
 
         await interaction.reply({
-            content: `🃏 Here is your current hand:\n\n${handDisplay}`,
+            ...createHandMessage(player, '🃏 Here is your current hand:'),
             ephemeral: true
         });
     }
@@ -473,221 +3030,226 @@ if (interaction.isChatInputCommand() && interaction.commandName === 'spades') {
     // 4. /spades status
     // ----------------------------------------------------
     if (subcommand === 'status') {
-        
+        if (!game) {
+            return interaction.reply({ content: '❌ No active Spades game found in this channel.', ephemeral: true });
+        }
+
         // Handle Lobby State
         if (game.state === 'LOBBY') {
-            const playerList = game.players.map(p => `\`${p.username}\``).join('\n');
+            const playerList = formatLobbySeats(game);
             const lobbyEmbed = new EmbedBuilder()
                 .setColor('#FF9900')
                 .setTitle('Spades Lobby Status')
-                .setDescription(`Waiting for **${4 - game.getLobbySize()}** more players to join.`)
-                .addFields({ name: `Current Players (${game.getLobbySize()}/4)`, value: playerList || 'None yet.' });
+                .setDescription(!game.canStartGame()
+                    ? `Waiting for **${game.getMinPlayers() - game.getLobbySize()}** more players to join.`
+                    : game.isEveryoneReady()
+                        ? 'Enough players have joined and everyone is ready.'
+                        : 'Enough players have joined — waiting for everyone to press **Ready**.')
+                .addFields({ name: `Seats (${game.getLobbySize()}/${game.getMaxPlayers()})`, value: playerList || 'None yet.' });
                 
             return interaction.reply({ embeds: [lobbyEmbed], ephemeral: false });
         }
         
         // Continue with Bidding/Playing Status
-        const playerDetails = game.players.map((p, index) => {
-            const team = (index === 0 || index === 2) ? 'Team 1' : 'Team 2';
-            // Bid 0 means not bid yet, Bid 14 means Nil, otherwise show bid value
-            const bidDisplay = p.bid === 0 ? '?' : p.bid === 14 ? 'Nil' : p.bid; 
-            
+        const playerDetails = game.players.map(p => {
             // Format: Player Name (Team) - Bid: X | Tricks: Y
-            return `**${p.username}** (${team}) - Bid: \`${bidDisplay}\` | Tricks: \`${p.tricks}\``;
+            const team = game.hasPartnerships() ? ` (Team ${p.team})` : '';
+            return `**${getSeatName(p)}**${team} - Bid: \`${game.getBidDisplay(p)}\` | Tricks: \`${p.tricksWon}\``;
         }).join('\n');
         
         // Use the new helper function to display cards in the trick
-        const cardsInTrickDisplay = game.trick.length > 0 
-            ? game.trick.map(t => getCardEmojiDisplay(t.card)).join(' ') 
+        const cardsInTrickDisplay = game.currentTrick.length > 0 
+            ? game.currentTrick.map(t => getCardEmojiDisplay(t.card)).join(' ') 
             : 'None';
             
-        const currentTurnText = game.state === 'BIDDING'
-            ? `Bidding: **${game.players[game.currentPlayerIndex].username}**`
-            : game.state === 'PLAYING'
-                ? `Playing: **${game.players[game.currentPlayerIndex].username}**`
-                : 'Game Over';
+        const currentPlayerName = game.getCurrentPlayer()?.username;
+        const currentTurnText = {
+            DRAFT: `Drawing: **${currentPlayerName}**`,
+            BIDDING: `Bidding: **${currentPlayerName}**`,
+            EXCHANGE: 'Blind Nil card exchange',
+            PLAYING: `Playing: **${currentPlayerName}**`
+        }[game.state] ?? 'Game Over';
 
 
         const gameStatusEmbed = new EmbedBuilder()
             .setColor('#1080A0')
             .setTitle(`Spades Game Status (Round ${game.currentRound})`)
             .setDescription(`**Game State:** ${game.state}\n` +
-                            `**Dealer:** ${game.players[game.dealerIndex].username}`)
+                            `**Dealer:** ${game.players[game.dealerIndex].username}\n` +
+                            `**Spades Broken:** ${game.spadesBroken ? 'Yes' : 'No'}`)
             .addFields(
                 // NEW FIELD: Individual Player Details
                 { name: 'Player Bids & Tricks', value: playerDetails, inline: false },
                 // Renamed existing field for clarity
                 { name: 'Team Totals (Score & Bags)', value: game.getTeamScoreDisplay(), inline: false }, 
                 { name: 'Current Turn', value: currentTurnText, inline: true },
-                { name: 'Cards in Trick', value: cardsInTrickDisplay, inline: true }
+                { name: 'Cards in Trick', value: cardsInTrickDisplay, inline: true },
+                { name: `House Rules: ${game.rules.name}`, value: describeRules(game.rules), inline: false }
             );
         
         return interaction.reply({ embeds: [gameStatusEmbed], ephemeral: false });
     }
 
     // ----------------------------------------------------
-    // 5. /spades play (IMPLEMENTING SPADES RULES VALIDATION)
+    // 6. /spades hint (private bid advice, unless the table turned hints off)
     // ----------------------------------------------------
-if (subcommand === 'play') {
-    const game = activeGames.get(interaction.channelId);
-
-    if (!game || game.state !== 'PLAYING') {
-        return interaction.reply({
-            content: `❌ You can only play cards during the PLAYING phase. Current state is: ${game?.state ?? 'none'}`,
-            ephemeral: true
-        });
-    }
+    if (subcommand === 'hint') {
+        if (!game) {
+            return interaction.reply({ content: '❌ No active Spades game found in this channel.', ephemeral: true });
+        }
 
-    const player = game.players.find(p => p.discordId === interaction.user.id);
-    if (!player) {
-        return interaction.reply({
-            content: '❌ You are not a player in this game.',
-            ephemeral: true
-        });
+        const hint = game.getBidHint(user.id);
+        if (hint.error) {
+            return interaction.reply({ content: `🚫 ${hint.error}`, ephemeral: true });
+        }
+        return interaction.reply({ content: formatBidHint(hint), ephemeral: true });
     }
 
-    if (player.id !== game.players[game.currentPlayerIndex].id) {
-        return interaction.reply({
-            content: `🚫 It is not your turn. It is **${game.players[game.currentPlayerIndex].username}**'s turn.`,
-            ephemeral: true
-        });
-    }
+    // ----------------------------------------------------
+    // 7. /spades replay (finished rounds only, so no live hand is revealed)
+    // ----------------------------------------------------
+    if (subcommand === 'replay') {
+        const liveHistory = game?.history.getFinishedRounds().length ? game.history : null;
+        const savedHistory = liveHistory ? null : await loadLatestHistory(channelId);
+        const history = liveHistory ?? (savedHistory && GameHistory.fromJSON(savedHistory));
+        const finishedRounds = history?.getFinishedRounds() ?? [];
+
+        if (finishedRounds.length === 0) {
+            return interaction.reply({ content: '❌ There is no finished round to replay in this channel yet.', ephemeral: true });
+        }
 
-    const cardInput = interaction.options.getString('card');
-    const cardToPlay = game.getCardFromInput(player, cardInput);
+        const roundNumber = options.getInteger('round') ?? finishedRounds[finishedRounds.length - 1].round;
+        const round = finishedRounds.find(r => r.round === roundNumber);
+        if (!round) {
+            return interaction.reply({
+                content: `❌ Round ${roundNumber} has not been finished. Finished rounds: ${finishedRounds.map(r => r.round).join(', ')}.`,
+                ephemeral: true
+            });
+        }
 
-    if (cardToPlay.error) {
         return interaction.reply({
-            content: `🚫 Invalid play: ${cardToPlay.error}`,
+            embeds: [createReplayEmbed(history, round, 0)],
+            components: createReplayComponents(history.id, round.round, 0, round.tricks.length + 1),
             ephemeral: true
         });
     }
 
-    // --- SPADES PLAY VALIDATION RULES START ---
-    const leadSuit = game.trick.length > 0 ? game.trick[0].card.suit : null;
-    const playedSuit = cardToPlay.suit;
-    const playerHandSuits = player.getHandSuits();
+    // ----------------------------------------------------
+    // 8. /spades leave (frees a lobby seat; mid-game the seat is left open)
+    // ----------------------------------------------------
+    if (subcommand === 'leave') {
+        if (!game) {
+            return interaction.reply({ content: '❌ No active Spades game found in this channel.', ephemeral: true });
+        }
+
+        const result = game.leaveGame(user.id);
+        if (result.error) {
+            return interaction.reply({ content: `🚫 ${result.error}`, ephemeral: true });
+        }
+        if (result.abandoned) {
+            return interaction.reply({ content: 'You left. Nobody else was playing, so the game has been closed.', ephemeral: true });
+        }
+        if (game.state !== 'LOBBY') {
+            return interaction.reply({
+                content: 'You left the game. Your seat stays open until someone takes it; use `/spades rejoin` to come back.',
+                ephemeral: true
+            });
+        }
 
-    let validationError = null;
+        // Whoever has been in the lobby longest takes it over from a departing owner
+        if (result.newOwner) {
+            await refreshLobbyMessage(game, `**${user.username}** left. **${result.newOwner.username}** now runs the lobby.`);
+            return interaction.reply({ content: `🚪 You left the lobby. **${result.newOwner.username}** now runs it and can start the game.` });
+        }
+        await refreshLobbyMessage(game, `**${user.username}** left the lobby.`);
+        return interaction.reply({ content: 'You left the lobby.', ephemeral: true });
+    }
 
-    if (leadSuit) {
-        if (playedSuit !== leadSuit && playerHandSuits.includes(leadSuit)) {
-            validationError = `You must follow suit: The leading suit is ${SUIT_EMOJIS[leadSuit]}. You have cards of this suit in your hand.`;
+    // ----------------------------------------------------
+    // 9. /spades rejoin (take back a seat that was left open or handed to someone else)
+    // ----------------------------------------------------
+    if (subcommand === 'rejoin') {
+        if (!game) {
+            return interaction.reply({ content: '❌ No active Spades game found in this channel.', ephemeral: true });
         }
-    } else {
-        if (playedSuit === 'S' && !game.spadesBroken) {
-            const nonSpadeSuits = playerHandSuits.filter(s => s !== 'S');
-            if (nonSpadeSuits.length > 0) {
-                validationError = `Spades has not been broken yet. You cannot lead with a Spade unless you only have Spades remaining in your hand.`;
-            }
+
+        const result = game.rejoinGame({ id: user.id, username: user.username, guildId: interaction.guildId });
+        if (result.error) {
+            return interaction.reply({ content: `🚫 ${result.error}`, ephemeral: true });
         }
+        return interaction.reply({ content: '↩️ Welcome back! Check your DMs for your hand.', ephemeral: true });
     }
 
-    if (validationError) {
+    // ----------------------------------------------------
+    // 10. /spades display (card images or emoji text in DMs; works without a game)
+    // ----------------------------------------------------
+    if (subcommand === 'display') {
+        const cardImages = options.getString('style') === 'images';
+        await setPreference(user.id, 'cardImages', cardImages);
         return interaction.reply({
-            content: `🚫 Invalid play: ${validationError}`,
+            content: cardImages
+                ? '🖼️ Your hand and the trick will be shown as card images in your DMs.'
+                : '🔤 Your hand will be shown as emoji text in your DMs.',
             ephemeral: true
         });
     }
-    // --- SPADES PLAY VALIDATION RULES END ---
 
-    // Ensure trick is initialized
-    if (!Array.isArray(game.trick)) {
-        game.trick = [];
+    // ----------------------------------------------------
+    // 11. /spades stats (lifetime statistics; works without a game)
+    // ----------------------------------------------------
+    if (subcommand === 'stats') {
+        return interaction.reply({ embeds: [createStatsEmbed(options.getUser('user') ?? user)] });
     }
 
-    // 1. Add card to trick and remove from hand
-    game.trick.push({ player, card: cardToPlay });
-    player.removeCard(cardToPlay);
-
-    // 2. Confirm play to the player
-    const cardDisplayWithEmoji = getCardEmojiDisplay(cardToPlay);
-    await interaction.reply({
-        content: `✅ You played **${cardDisplayWithEmoji}**.`,
-        ephemeral: true
-    });
-
-    // 3. Break Spades if needed
-    if (playedSuit === 'S' && !game.spadesBroken) {
-        game.spadesBroken = true;
-        await interaction.channel.send("🚨 **SPADES ARE BROKEN!** ♠️ Spades can now be led.");
+    // ----------------------------------------------------
+    // 12. /spades leaderboard (ratings replayed from the recorded games)
+    // ----------------------------------------------------
+    if (subcommand === 'leaderboard') {
+        // Outside a server only the global ranking makes sense
+        const scope = interaction.guild ? options.getString('scope') ?? 'server' : 'global';
+        return interaction.reply(createLeaderboardMessage({
+            scope,
+            guild: interaction.guild,
+            period: options.getString('period') ?? 'all',
+            variant: options.getString('variant') ?? 'any'
+        }));
     }
 
-    // 4. Check if trick is complete
-    if (game.trick.length === 4) {
-        const { winningPlayer, winningCard } = game.determineTrickWinner();
-
-        if (!winningPlayer) {
-            console.error("Critical Error: determineTrickWinner() did not return a valid player.");
-            await interaction.channel.send("❌ Error: Game could not determine the trick winner. Check the bot's console for details.");
-            return;
-        }
-
-        winningPlayer.tricks++;
-        const winningCardEmojiDisplay = getCardEmojiDisplay(winningCard);
-
-        let trickSummary = `🔥 **TRICK WON!** 🔥\n`;
-        trickSummary += `**${winningPlayer.username}** wins the trick with the **${winningCardEmojiDisplay}**!\n`;
-        trickSummary += `**${winningPlayer.username}** now has ${winningPlayer.tricks} tricks.`;
-
-        await interaction.channel.send(trickSummary);
-
-        game.trick = []; // Reset trick
-        game.currentPlayerIndex = game.players.findIndex(p => p.id === winningPlayer.id);
-
-        const totalTricks = game.players.reduce((sum, p) => sum + p.tricks, 0);
-        if (totalTricks === 13) {
-            const { roundSummary, isGameOver } = game.calculateRoundScores();
-
-            const finalRoundMessage = new EmbedBuilder()
-                .setColor('#4CAF50')
-                .setTitle(`🏆 Round ${game.currentRound} Ended! 🏆`)
-                .setDescription(roundSummary)
-                .addFields(
-                    { name: '\u200B', value: '\u200B', inline: false },
-                    {
-                        name: '📈 Overall Scores & Bags',
-                        value: game.getTeamScoreDisplay(),
-                        inline: false
-                    }
-                );
-
-            await interaction.channel.send({
-                content: `--- **ROUND ${game.currentRound} ENDED** ---`,
-                embeds: [finalRoundMessage]
-            });
-
-            if (isGameOver) {
-                const winnerMessage = game.endGame();
-                await interaction.channel.send(`🎉 **GAME OVER!** 🎉\n**Winner:** ${winnerMessage}`);
-                activeGames.delete(interaction.channelId);
-            } else {
-                game.currentRound++;
-                game.dealerIndex = (game.dealerIndex + 1) % game.players.length;
-                game.startRound();
+    // ----------------------------------------------------
+    // 5. /spades play (rules are enforced by GameManager)
+    // ----------------------------------------------------
+if (subcommand === 'play') {
+    const game = findGame(interaction.channelId, interaction.user.id);
 
-                const nextDealer = game.players[game.dealerIndex].username;
-                const firstBidder = game.players[game.currentPlayerIndex].username;
+    if (!game || game.state !== 'PLAYING') {
+        return interaction.reply({
+            content: `❌ You can only play cards during the PLAYING phase. Current state is: ${game?.state ?? 'none'}`,
+            ephemeral: true
+        });
+    }
 
-                await interaction.channel.send(`--- **STARTING ROUND ${game.currentRound}** ---\n` +
-                    `New Dealer: **${nextDealer}**.\n` +
-                    `It is **${firstBidder}**'s turn to bid first! Check DMs and use the buttons sent to you.`);
+    if (!game.getPlayerById(interaction.user.id)) {
+        return interaction.reply({
+            content: '❌ You are not a player in this game.',
+            ephemeral: true
+        });
+    }
 
-                await sendHandsAndBiddingButtons(game, interaction.channel, interaction.channelId);
-            }
+    const cardInput = interaction.options.getString('card');
+    const playResult = game.tryPlayCard(interaction.user.id, cardInput);
 
-            return;
-        }
-    } else {
-        // Trick continues: advance to next player
-        game.currentPlayerIndex = (game.currentPlayerIndex + 1) % game.players.length;
+    if (playResult.error) {
+        return interaction.reply({
+            content: `🚫 Invalid play: ${playResult.error}`,
+            ephemeral: true
+        });
     }
 
-    // 5. Announce next player
-    if (game.state === 'PLAYING') {
-        const nextPlayer = game.players[game.currentPlayerIndex].username;
-        await interaction.channel.send(`It is now **${nextPlayer}**'s turn. Use \`/spades play <card>\`.`);
-    }
+    // Confirm play to the player; the trick, scoring and next round arrive as game events.
+    await interaction.reply({
+        content: `✅ You played **${getCardEmojiDisplay(playResult.card)}**.`,
+        ephemeral: true
+    });
 
     return;
 }
@@ -0,0 +1,326 @@
+// rendering/TableImages.js
+import { createCanvas } from '@napi-rs/canvas';
+
+/**
+ * Draws the table as PNG images for Discord attachments: a player's hand, the trick
+ * laid out by seat, and the end-of-round score card. Every function returns the
+ * encoded PNG as a Buffer, drawn synchronously so channel messages keep their order;
+ * callers fall back to the text display if drawing fails.
+ */
+
+const CARD_WIDTH = 84;
+const CARD_HEIGHT = 120;
+const CARD_RADIUS = 8;
+const HAND_OVERLAP = 46;       // Horizontal distance between cards fanned in a hand
+const PADDING = 16;
+const FONT = 'Arial, "DejaVu Sans", sans-serif';
+
+const COLORS = {
+  felt: '#0B6623',
+  feltEdge: '#084C1A',
+  card: '#FFFFFF',
+  cardEdge: '#333333',
+  red: '#C62828',
+  black: '#111111',
+  joker: '#6A1B9A',
+  dimmed: 'rgba(40, 40, 40, 0.55)',
+  winner: '#FFD54F',
+  text: '#FFFFFF',
+  mutedText: '#C8E6C9',
+  header: '#1B5E20',
+  rowAlt: '#F1F8E9'
+};
+
+// Plain glyphs (no emoji variation selectors), so they draw in the card's colour
+const SUIT_GLYPHS = { S: '♠', H: '♥', D: '♦', C: '♣' };
+
+/**
+ * Traces a rounded rectangle on the context's current path.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {number} x
+ * @param {number} y
+ * @param {number} width
+ * @param {number} height
+ * @param {number} radius
+ */
+function traceRoundedRect(ctx, x, y, width, height, radius) {
+  ctx.beginPath();
+  ctx.moveTo(x + radius, y);
+  ctx.arcTo(x + width, y, x + width, y + height, radius);
+  ctx.arcTo(x + width, y + height, x, y + height, radius);
+  ctx.arcTo(x, y + height, x, y, radius);
+  ctx.arcTo(x, y, x + width, y, radius);
+  ctx.closePath();
+}
+
+/**
+ * Draws one face-up card with its top-left corner at (x, y).
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Card} card
+ * @param {number} x
+ * @param {number} y
+ * @param {object} [options]
+ * @param {boolean} [options.dimmed=false] - Greys the card out (e.g., it cannot be played).
+ * @param {boolean} [options.highlighted=false] - Outlines the card (e.g., it won the trick).
+ */
+function drawCard(ctx, card, x, y, { dimmed = false, highlighted = false } = {}) {
+  traceRoundedRect(ctx, x, y, CARD_WIDTH, CARD_HEIGHT, CARD_RADIUS);
+  ctx.fillStyle = COLORS.card;
+  ctx.fill();
+  ctx.lineWidth = highlighted ? 4 : 1.5;
+  ctx.strokeStyle = highlighted ? COLORS.winner : COLORS.cardEdge;
+  ctx.stroke();
+
+  ctx.fillStyle = card.isJoker ? COLORS.joker : card.suit.color === 'red' ? COLORS.red : COLORS.black;
+  ctx.textBaseline = 'top';
+  ctx.textAlign = 'left';
+
+  // Corner index: rank over suit, readable where the cards overlap
+  ctx.font = `bold 22px ${FONT}`;
+  ctx.fillText(card.rankText, x + 7, y + 6);
+  if (!card.isJoker) {
+    ctx.font = `20px ${FONT}`;
+    ctx.fillText(SUIT_GLYPHS[card.suitCode], x + 9, y + 32);
+  }
+
+  // Centre pip, or a star over the joker's name
+  const centerX = x + CARD_WIDTH / 2;
+  const centerY = y + CARD_HEIGHT / 2;
+  if (card.isJoker) {
+    drawStar(ctx, centerX, centerY + 4, 20);
+    ctx.font = `bold 11px ${FONT}`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    ctx.fillText(fitText(ctx, card.rank.name.toUpperCase(), CARD_WIDTH - 8), centerX, centerY + 32);
+  } else {
+    ctx.font = `48px ${FONT}`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(SUIT_GLYPHS[card.suitCode], centerX, centerY + 12);
+  }
+
+  if (dimmed) {
+    traceRoundedRect(ctx, x, y, CARD_WIDTH, CARD_HEIGHT, CARD_RADIUS);
+    ctx.fillStyle = COLORS.dimmed;
+    ctx.fill();
+  }
+}
+
+/**
+ * Fills a five-pointed star in the current fill style.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {number} centerX
+ * @param {number} centerY
+ * @param {number} radius - Distance from the centre to each point.
+ */
+function drawStar(ctx, centerX, centerY, radius) {
+  ctx.beginPath();
+  for (let i = 0; i < 10; i++) {
+    const pointRadius = i % 2 === 0 ? radius : radius * 0.45;
+    const angle = -Math.PI / 2 + (i * Math.PI) / 5;
+    ctx.lineTo(centerX + pointRadius * Math.cos(angle), centerY + pointRadius * Math.sin(angle));
+  }
+  ctx.closePath();
+  ctx.fill();
+}
+
+/**
+ * Draws the outline of a seat that has not played yet.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {number} x
+ * @param {number} y
+ */
+function drawEmptySlot(ctx, x, y) {
+  traceRoundedRect(ctx, x, y, CARD_WIDTH, CARD_HEIGHT, CARD_RADIUS);
+  ctx.setLineDash([6, 6]);
+  ctx.lineWidth = 2;
+  ctx.strokeStyle = COLORS.mutedText;
+  ctx.stroke();
+  ctx.setLineDash([]);
+}
+
+/**
+ * Fills the canvas with the table felt.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {number} width
+ * @param {number} height
+ */
+function drawFelt(ctx, width, height) {
+  ctx.fillStyle = COLORS.feltEdge;
+  ctx.fillRect(0, 0, width, height);
+  traceRoundedRect(ctx, 4, 4, width - 8, height - 8, 14);
+  ctx.fillStyle = COLORS.felt;
+  ctx.fill();
+}
+
+/**
+ * Shortens text with an ellipsis until it fits the given width.
+ * @param {CanvasRenderingContext2D} ctx - With its font already set.
+ * @param {string} text
+ * @param {number} maxWidth
+ * @returns {string}
+ */
+function fitText(ctx, text, maxWidth) {
+  if (ctx.measureText(text).width <= maxWidth) return text;
+  let shortened = text;
+  while (shortened.length > 1 && ctx.measureText(`${shortened}…`).width > maxWidth) {
+    shortened = shortened.slice(0, -1);
+  }
+  return `${shortened}…`;
+}
+
+/**
+ * Removes emoji (e.g., a bot's 🤖) from a name: the card fonts have no glyphs for them.
+ * @param {string} name
+ * @returns {string}
+ */
+function plainName(name) {
+  return name.replace(/\p{Extended_Pictographic}\uFE0F?/gu, '').trim();
+}
+
+/**
+ * Renders a hand fanned left to right, in the order given.
+ * @param {Card[]} cards
+ * @param {object} [options]
+ * @param {Card[]} [options.legalCards] - When given, every other card is greyed out.
+ * @param {string} [options.title] - A caption above the cards.
+ * @returns {Buffer}
+ */
+function renderHand(cards, { legalCards, title } = {}) {
+  const titleHeight = title ? 30 : 0;
+  const width = PADDING * 2 + CARD_WIDTH + Math.max(cards.length - 1, 0) * HAND_OVERLAP;
+  const height = PADDING * 2 + titleHeight + CARD_HEIGHT;
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  drawFelt(ctx, width, height);
+
+  if (title) {
+    ctx.fillStyle = COLORS.text;
+    ctx.font = `bold 18px ${FONT}`;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillText(fitText(ctx, title, width - PADDING * 2), PADDING, PADDING);
+  }
+
+  cards.forEach((card, index) => {
+    drawCard(ctx, card, PADDING + index * HAND_OVERLAP, PADDING + titleHeight, {
+      dimmed: legalCards !== undefined && !legalCards.includes(card)
+    });
+  });
+  return canvas.toBuffer('image/png');
+}
+
+// Where each seat's card lies on the trick image, as fractions of the table's width and height
+const SEAT_POSITIONS = {
+  North: { x: 0.5, y: 0.27 },
+  East: { x: 0.8, y: 0.5 },
+  South: { x: 0.5, y: 0.73 },
+  West: { x: 0.2, y: 0.5 }
+};
+
+/**
+ * Renders a trick laid out around the table by seat.
+ * @param {object} trick
+ * @param {{seatName: string, username: string, card: Card|null}[]} trick.seats - Every seat
+ *   at the table, with the card it played (null if it has not played yet).
+ * @param {string|null} [trick.winnerName] - The seat whose card won, once the trick is complete.
+ * @param {string} [trick.title] - E.g. "Trick 3 of 13".
+ * @returns {Buffer}
+ */
+function renderTrick({ seats, winnerName = null, title }) {
+  const width = 560;
+  const height = 460;
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  drawFelt(ctx, width, height);
+
+  if (title) {
+    ctx.fillStyle = COLORS.text;
+    ctx.font = `bold 18px ${FONT}`;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillText(title, PADDING, PADDING);
+  }
+
+  for (const { seatName, username, card } of seats) {
+    const position = SEAT_POSITIONS[seatName];
+    const x = Math.round(position.x * width - CARD_WIDTH / 2);
+    const y = Math.round(position.y * height - CARD_HEIGHT / 2);
+    const isWinner = seatName === winnerName;
+    if (card) {
+      drawCard(ctx, card, x, y, { highlighted: isWinner });
+    } else {
+      drawEmptySlot(ctx, x, y);
+    }
+
+    // Names sit above the North card and below the others
+    ctx.font = `${isWinner ? 'bold ' : ''}15px ${FONT}`;
+    ctx.fillStyle = isWinner ? COLORS.winner : COLORS.text;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = seatName === 'North' ? 'bottom' : 'top';
+    const labelY = seatName === 'North' ? y - 6 : y + CARD_HEIGHT + 6;
+    ctx.fillText(fitText(ctx, `${plainName(username)} (${seatName})`, 160), x + CARD_WIDTH / 2, labelY);
+  }
+  return canvas.toBuffer('image/png');
+}
+
+/**
+ * Renders the end-of-round score card: one row per team (or player in Cutthroat).
+ * @param {object} scoreCard
+ * @param {string} scoreCard.title - E.g. "Round 4".
+ * @param {{label: string, bid: string, tricks: number, points: number, score: number, bags: number}[]} scoreCard.rows
+ * @returns {Buffer}
+ */
+function renderScoreCard({ title, rows }) {
+  const columns = [
+    { header: 'Team', width: 210, value: row => plainName(row.label), align: 'left' },
+    { header: 'Bid', width: 130, value: row => row.bid },
+    { header: 'Tricks', width: 84, value: row => String(row.tricks) },
+    { header: 'Round', width: 80, value: row => `${row.points >= 0 ? '+' : ''}${row.points}` },
+    { header: 'Score', width: 80, value: row => String(row.score) },
+    { header: 'Bags', width: 74, value: row => String(row.bags) }
+  ];
+  const rowHeight = 34;
+  const titleHeight = 40;
+  const width = PADDING * 2 + columns.reduce((sum, column) => sum + column.width, 0);
+  const height = PADDING * 2 + titleHeight + rowHeight * (rows.length + 1);
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  drawFelt(ctx, width, height);
+
+  ctx.fillStyle = COLORS.text;
+  ctx.font = `bold 20px ${FONT}`;
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(title, PADDING, PADDING + titleHeight / 2 - 4);
+
+  const tableTop = PADDING + titleHeight;
+  traceRoundedRect(ctx, PADDING, tableTop, width - PADDING * 2, rowHeight * (rows.length + 1), 6);
+  ctx.fillStyle = COLORS.card;
+  ctx.fill();
+  ctx.fillStyle = COLORS.header;
+  ctx.fillRect(PADDING, tableTop, width - PADDING * 2, rowHeight);
+
+  const drawRow = (cells, rowIndex, { isHeader = false } = {}) => {
+    const y = tableTop + rowIndex * rowHeight;
+    if (!isHeader && rowIndex % 2 === 0) {
+      ctx.fillStyle = COLORS.rowAlt;
+      ctx.fillRect(PADDING, y, width - PADDING * 2, rowHeight);
+    }
+    let x = PADDING;
+    columns.forEach((column, index) => {
+      ctx.font = `${isHeader || index === 0 ? 'bold ' : ''}16px ${FONT}`;
+      ctx.fillStyle = isHeader ? COLORS.text : COLORS.black;
+      ctx.textAlign = column.align ?? 'center';
+      const textX = column.align === 'left' ? x + 10 : x + column.width / 2;
+      ctx.fillText(fitText(ctx, cells[index], column.width - 16), textX, y + rowHeight / 2);
+      x += column.width;
+    });
+  };
+
+  drawRow(columns.map(column => column.header), 0, { isHeader: true });
+  rows.forEach((row, index) => drawRow(columns.map(column => column.value(row)), index + 1));
+  return canvas.toBuffer('image/png');
+}
+
+export { renderHand, renderTrick, renderScoreCard };
@@ -0,0 +1,108 @@
+// storage/GameStore.js
+import { mkdir, readdir, readFile, rename, rm, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import GameManager from '../game_logic/GameManager.js';
+
+/**
+ * Saves games in progress as one JSON file per channel, so they survive bot restarts.
+ * Files live in `$SPADES_DATA_DIR/games` (default `./data/games`).
+ */
+const DATA_DIR = process.env.SPADES_DATA_DIR ?? './data';
+const GAMES_DIR = path.join(DATA_DIR, 'games');
+
+// Channel ID -> promise of the last queued write, so writes to one file never overlap
+const pendingWrites = new Map();
+
+const getGamePath = (channelId) => path.join(GAMES_DIR, `${channelId}.json`);
+
+/**
+ * Queues a file operation for a channel behind any earlier one.
+ * @param {string} channelId
+ * @param {function(): Promise} operation
+ * @returns {Promise}
+ */
+const enqueue = (channelId, operation) => {
+  const previous = pendingWrites.get(channelId) ?? Promise.resolve();
+  const next = previous
+    .then(operation)
+    .catch(err => console.error(`❌ Could not save game ${channelId}:`, err));
+  pendingWrites.set(channelId, next);
+  return next;
+};
+
+/**
+ * Writes a game's current state to disk. A finished game's file is removed instead.
+ * @param {GameManager} game
+ * @returns {Promise}
+ */
+const saveGame = (game) => {
+  if (game.state === 'GAME_OVER') {
+    return deleteGame(game.channelId);
+  }
+
+  const data = JSON.stringify(game);
+  const filePath = getGamePath(game.channelId);
+  return enqueue(game.channelId, async () => {
+    await mkdir(GAMES_DIR, { recursive: true });
+    // Write then rename, so a crash mid-write never leaves a truncated file
+    await writeFile(`${filePath}.tmp`, data);
+    await rename(`${filePath}.tmp`, filePath);
+  });
+};
+
+/**
+ * Removes a channel's saved game, if any.
+ * @param {string} channelId
+ * @returns {Promise}
+ */
+const deleteGame = (channelId) => {
+  return enqueue(channelId, () => rm(getGamePath(channelId), { force: true }));
+};
+
+/**
+ * Saves a game after every action: any engine event schedules one write once the
+ * action that emitted it has finished.
+ * @param {GameManager} game
+ */
+const trackGame = (game) => {
+  let saveScheduled = false;
+  const scheduleSave = () => {
+    if (saveScheduled) return;
+    saveScheduled = true;
+    setImmediate(() => {
+      saveScheduled = false;
+      saveGame(game);
+    });
+  };
+
+  for (const eventName of GameManager.EVENTS) {
+    game.on(eventName, scheduleSave);
+  }
+};
+
+/**
+ * Loads every saved game. Files that cannot be read are logged and skipped.
+ * @returns {Promise<GameManager[]>}
+ */
+const loadGames = async () => {
+  let fileNames;
+  try {
+    fileNames = await readdir(GAMES_DIR);
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+
+  const games = [];
+  for (const fileName of fileNames.filter(name => name.endsWith('.json'))) {
+    try {
+      const data = JSON.parse(await readFile(path.join(GAMES_DIR, fileName), 'utf8'));
+      games.push(GameManager.fromJSON(data));
+    } catch (err) {
+      console.error(`❌ Could not restore saved game ${fileName}:`, err);
+    }
+  }
+  return games;
+};
+
+export { saveGame, deleteGame, trackGame, loadGames };
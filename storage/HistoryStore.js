@@ -0,0 +1,63 @@
+// storage/HistoryStore.js
+import { mkdir, readdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+/**
+ * Keeps the recorded history of every finished game, one JSON file per game,
+ * in `$SPADES_DATA_DIR/history` (default `./data/history`).
+ */
+const DATA_DIR = process.env.SPADES_DATA_DIR ?? './data';
+const HISTORY_DIR = path.join(DATA_DIR, 'history');
+
+// History IDs are "<channelId>-<timestamp>"; anything else never reaches the file system
+const HISTORY_ID_PATTERN = /^\d+-\d+$/;
+
+/**
+ * Saves a finished game's history.
+ * @param {GameHistory} history
+ * @returns {Promise}
+ */
+const saveHistory = async (history) => {
+  await mkdir(HISTORY_DIR, { recursive: true });
+  await writeFile(path.join(HISTORY_DIR, `${history.id}.json`), JSON.stringify(history));
+};
+
+/**
+ * Loads a saved history by ID.
+ * @param {string} historyId
+ * @returns {Promise<object|null>} The history data, or null if there is none.
+ */
+const loadHistory = async (historyId) => {
+  if (!HISTORY_ID_PATTERN.test(historyId)) return null;
+  try {
+    return JSON.parse(await readFile(path.join(HISTORY_DIR, `${historyId}.json`), 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+};
+
+/**
+ * Loads the most recently finished game played in a channel.
+ * @param {string} channelId
+ * @returns {Promise<object|null>} The history data, or null if the channel has none.
+ */
+const loadLatestHistory = async (channelId) => {
+  let fileNames;
+  try {
+    fileNames = await readdir(HISTORY_DIR);
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+
+  // File names end in the start timestamp, so the latest game sorts last
+  const latest = fileNames
+    .filter(name => name.startsWith(`${channelId}-`) && name.endsWith('.json'))
+    .map(name => name.slice(0, -'.json'.length))
+    .sort((a, b) => Number(a.split('-')[1]) - Number(b.split('-')[1]))
+    .pop();
+  return latest ? loadHistory(latest) : null;
+};
+
+export { saveHistory, loadHistory, loadLatestHistory };
@@ -0,0 +1,67 @@
+// storage/PreferenceStore.js
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+/**
+ * Keeps each user's display preferences in `$SPADES_DATA_DIR/preferences.json`
+ * (default `./data/preferences.json`). The file is read once at startup and
+ * cached, so preferences can be looked up without waiting on the disk.
+ */
+const DATA_DIR = process.env.SPADES_DATA_DIR ?? './data';
+const PREFERENCES_PATH = path.join(DATA_DIR, 'preferences.json');
+
+const DEFAULT_PREFERENCES = {
+  cardImages: true  // Attach rendered card images to DMs; false = emoji text only
+};
+
+// Discord ID -> the preferences that user has changed
+let preferences = {};
+
+// The last queued write, so writes to the file never overlap
+let pendingWrite = Promise.resolve();
+
+/**
+ * Reads the saved preferences into the cache.
+ * @returns {Promise}
+ */
+const loadPreferences = async () => {
+  try {
+    preferences = JSON.parse(await readFile(PREFERENCES_PATH, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+};
+
+/**
+ * Returns a user's preferences, with defaults for anything they have not set.
+ * @param {string} userId
+ * @returns {object}
+ */
+const getPreferences = (userId) => ({ ...DEFAULT_PREFERENCES, ...preferences[userId] });
+
+/**
+ * Changes one of a user's preferences and saves the file.
+ * @param {string} userId
+ * @param {string} key - A key of DEFAULT_PREFERENCES.
+ * @param {*} value
+ * @returns {Promise}
+ */
+const setPreference = (userId, key, value) => {
+  if (!(key in DEFAULT_PREFERENCES)) {
+    throw new Error(`Unknown preference: ${key}`);
+  }
+  preferences[userId] = { ...preferences[userId], [key]: value };
+
+  const data = JSON.stringify(preferences);
+  pendingWrite = pendingWrite
+    .then(async () => {
+      await mkdir(DATA_DIR, { recursive: true });
+      // Write then rename, so a crash mid-write never leaves a truncated file
+      await writeFile(`${PREFERENCES_PATH}.tmp`, data);
+      await rename(`${PREFERENCES_PATH}.tmp`, PREFERENCES_PATH);
+    })
+    .catch(err => console.error('❌ Could not save preferences:', err));
+  return pendingWrite;
+};
+
+export { loadPreferences, getPreferences, setPreference };
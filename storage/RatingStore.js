@@ -0,0 +1,83 @@
+// storage/RatingStore.js
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+/**
+ * Records the result of every finished game in `$SPADES_DATA_DIR/results.json`
+ * (default `./data/results.json`), for the ratings and leaderboards (see
+ * game_logic/Ratings.js). Like the stats, the file is read once at startup and cached.
+ */
+const DATA_DIR = process.env.SPADES_DATA_DIR ?? './data';
+const RESULTS_PATH = path.join(DATA_DIR, 'results.json');
+
+// Oldest first: { id, guildId, endedAt, variant, mode, players: [{ id, username, team }], scores, winningTeam, rated }
+let results = [];
+
+// The last queued write, so writes to the file never overlap
+let pendingWrite = Promise.resolve();
+
+/**
+ * Reads the saved results into the cache.
+ * @returns {Promise}
+ */
+const loadResults = async () => {
+  try {
+    results = JSON.parse(await readFile(RESULTS_PATH, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+};
+
+/**
+ * Records a finished (or abandoned) game and saves the file. Games that a computer
+ * player took part in, and abandoned games, are kept but not rated.
+ * @param {GameHistory} history
+ * @param {string|null} guildId - The server the game was played in.
+ * @returns {Promise}
+ */
+const recordResult = (history, guildId) => {
+  const rounds = history.getFinishedRounds();
+  if (!history.result || rounds.length === 0 || results.some(result => result.id === history.id)) {
+    return pendingWrite;
+  }
+
+  const finalSeats = Object.keys(rounds[rounds.length - 1].hands);
+  const hasBots = Object.values(history.players).some(player => player.isBot);
+  results.push({
+    id: history.id,
+    guildId,
+    endedAt: history.endedAt,
+    variant: history.rules.preset,
+    mode: history.rules.mode,
+    players: finalSeats.map(id => ({ id, username: history.getUsername(id), team: history.players[id].team })),
+    scores: history.result.scores,
+    winningTeam: history.result.winningTeam,
+    rated: !hasBots && !history.result.abandoned
+  });
+
+  const data = JSON.stringify(results);
+  pendingWrite = pendingWrite
+    .then(async () => {
+      await mkdir(DATA_DIR, { recursive: true });
+      // Write then rename, so a crash mid-write never leaves a truncated file
+      await writeFile(`${RESULTS_PATH}.tmp`, data);
+      await rename(`${RESULTS_PATH}.tmp`, RESULTS_PATH);
+    })
+    .catch(err => console.error('❌ Could not save results:', err));
+  return pendingWrite;
+};
+
+/**
+ * Returns the recorded results matching every filter given.
+ * @param {object} [filters]
+ * @param {string} [filters.guildId] - Only games played in this server.
+ * @param {Date} [filters.since] - Only games that ended at or after this time.
+ * @param {string} [filters.variant] - Only games played with this rules preset.
+ * @returns {object[]}
+ */
+const getResults = ({ guildId, since, variant } = {}) => results.filter(result =>
+  (!guildId || result.guildId === guildId) &&
+  (!since || new Date(result.endedAt) >= since) &&
+  (!variant || result.variant === variant));
+
+export { loadResults, recordResult, getResults };
@@ -0,0 +1,85 @@
+// storage/StatsStore.js
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+/**
+ * Keeps every player's lifetime statistics in `$SPADES_DATA_DIR/stats.json`
+ * (default `./data/stats.json`), added to as each game ends. Like the preferences,
+ * the file is read once at startup and cached.
+ */
+const DATA_DIR = process.env.SPADES_DATA_DIR ?? './data';
+const STATS_PATH = path.join(DATA_DIR, 'stats.json');
+
+const EMPTY_STATS = {
+  gamesPlayed: 0,
+  gamesWon: 0,
+  rounds: 0,
+  contractsMade: 0,   // Made exactly
+  contractsOver: 0,   // Made with bags
+  contractsSet: 0,
+  nilAttempts: 0,
+  nilMade: 0,
+  blindNilAttempts: 0,
+  blindNilMade: 0,
+  bags: 0,
+  points: 0
+};
+
+// Discord ID -> { username, ...EMPTY_STATS }
+let stats = {};
+
+// The last queued write, so writes to the file never overlap
+let pendingWrite = Promise.resolve();
+
+/**
+ * Reads the saved statistics into the cache.
+ * @returns {Promise}
+ */
+const loadStats = async () => {
+  try {
+    stats = JSON.parse(await readFile(STATS_PATH, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+};
+
+/**
+ * Returns a player's statistics, or null if they have never finished a round.
+ * @param {string} userId
+ * @returns {object|null}
+ */
+const getStats = (userId) => (stats[userId] ? { ...EMPTY_STATS, ...stats[userId] } : null);
+
+/**
+ * Adds a finished game to its human players' statistics and saves the file.
+ * Abandoned games are not counted.
+ * @param {GameHistory} history
+ * @returns {Promise}
+ */
+const recordGameStats = (history) => {
+  if (!history.result || history.result.abandoned) return pendingWrite;
+
+  for (const [playerId, summary] of Object.entries(history.getPlayerSummaries())) {
+    const { username, gamePlayed, gameWon, ...roundTotals } = summary;
+    const playerStats = { ...EMPTY_STATS, ...stats[playerId], username };
+    playerStats.gamesPlayed += gamePlayed ? 1 : 0;
+    playerStats.gamesWon += gameWon ? 1 : 0;
+    for (const [key, value] of Object.entries(roundTotals)) {
+      playerStats[key] += value;
+    }
+    stats[playerId] = playerStats;
+  }
+
+  const data = JSON.stringify(stats);
+  pendingWrite = pendingWrite
+    .then(async () => {
+      await mkdir(DATA_DIR, { recursive: true });
+      // Write then rename, so a crash mid-write never leaves a truncated file
+      await writeFile(`${STATS_PATH}.tmp`, data);
+      await rename(`${STATS_PATH}.tmp`, STATS_PATH);
+    })
+    .catch(err => console.error('❌ Could not save stats:', err));
+  return pendingWrite;
+};
+
+export { loadStats, getStats, recordGameStats };
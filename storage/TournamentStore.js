@@ -0,0 +1,84 @@
+// storage/TournamentStore.js
+import { mkdir, readdir, readFile, rename, rm, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import Tournament from '../game_logic/Tournament.js';
+
+/**
+ * Saves tournaments as one JSON file per channel they are run from, so brackets
+ * survive bot restarts. Files live in `$SPADES_DATA_DIR/tournaments`
+ * (default `./data/tournaments`).
+ */
+const DATA_DIR = process.env.SPADES_DATA_DIR ?? './data';
+const TOURNAMENTS_DIR = path.join(DATA_DIR, 'tournaments');
+
+// Channel ID -> promise of the last queued write, so writes to one file never overlap
+const pendingWrites = new Map();
+
+const getTournamentPath = (channelId) => path.join(TOURNAMENTS_DIR, `${channelId}.json`);
+
+/**
+ * Queues a file operation for a channel behind any earlier one.
+ * @param {string} channelId
+ * @param {function(): Promise} operation
+ * @returns {Promise}
+ */
+const enqueue = (channelId, operation) => {
+  const previous = pendingWrites.get(channelId) ?? Promise.resolve();
+  const next = previous
+    .then(operation)
+    .catch(err => console.error(`❌ Could not save tournament ${channelId}:`, err));
+  pendingWrites.set(channelId, next);
+  return next;
+};
+
+/**
+ * Writes a tournament's current state to disk.
+ * @param {Tournament} tournament
+ * @returns {Promise}
+ */
+const saveTournament = (tournament) => {
+  const data = JSON.stringify(tournament);
+  const filePath = getTournamentPath(tournament.channelId);
+  return enqueue(tournament.channelId, async () => {
+    await mkdir(TOURNAMENTS_DIR, { recursive: true });
+    // Write then rename, so a crash mid-write never leaves a truncated file
+    await writeFile(`${filePath}.tmp`, data);
+    await rename(`${filePath}.tmp`, filePath);
+  });
+};
+
+/**
+ * Removes a channel's saved tournament, if any.
+ * @param {string} channelId
+ * @returns {Promise}
+ */
+const deleteTournament = (channelId) => {
+  return enqueue(channelId, () => rm(getTournamentPath(channelId), { force: true }));
+};
+
+/**
+ * Loads every saved tournament. Files that cannot be read are logged and skipped.
+ * @returns {Promise<Tournament[]>}
+ */
+const loadTournaments = async () => {
+  let fileNames;
+  try {
+    fileNames = await readdir(TOURNAMENTS_DIR);
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+
+  const tournaments = [];
+  for (const fileName of fileNames.filter(name => name.endsWith('.json'))) {
+    try {
+      const data = JSON.parse(await readFile(path.join(TOURNAMENTS_DIR, fileName), 'utf8'));
+      tournaments.push(Tournament.fromJSON(data));
+    } catch (err) {
+      console.error(`❌ Could not restore saved tournament ${fileName}:`, err);
+    }
+  }
+  return tournaments;
+};
+
+export { saveTournament, deleteTournament, loadTournaments };
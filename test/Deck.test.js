@@ -0,0 +1,57 @@
+// test/Deck.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Deck } from '../game_logic/Deck.js';
+import GameManager from '../game_logic/GameManager.js';
+import { createRules } from '../game_logic/Rules.js';
+
+const getCodes = deck => deck.cards.map(card => card.shortDisplay);
+
+describe('Standard deck', () => {
+    it('holds the 52 cards once each', () => {
+        const codes = getCodes(new Deck());
+        assert.equal(codes.length, 52);
+        assert.equal(new Set(codes).size, 52);
+        assert.ok(!codes.includes('BJ') && !codes.includes('LJ'));
+    });
+});
+
+describe('Joker Joker Deuce Deuce deck', () => {
+    it('swaps the 2♣ and 2♦ for two jokers that count as spades', () => {
+        const deck = new Deck('jokers');
+        const codes = getCodes(deck);
+        assert.equal(codes.length, 52);
+        assert.equal(new Set(codes).size, 52);
+        assert.ok(!codes.includes('2C') && !codes.includes('2D'));
+        assert.ok(codes.includes('2H') && codes.includes('2S'));
+
+        const valueOf = code => deck.cards.find(card => card.shortDisplay === code);
+        assert.deepEqual(['BJ', 'LJ', '2S', 'AS'].map(code => valueOf(code).value), [17, 16, 15, 14]);
+        assert.ok(['BJ', 'LJ'].every(code => valueOf(code).suitCode === 'S'));
+        assert.equal(valueOf('2H').value, 2);
+    });
+
+    it('ranks the Big Joker over the Little Joker over the 2♠ over the A♠', () => {
+        const game = new GameManager(createRules('jokers'));
+        const deck = new Deck('jokers');
+        const card = code => deck.cards.find(c => c.shortDisplay === code);
+
+        /**
+         * Plays the cards into a trick, p1 leading, and returns the card that wins it.
+         * @param {string[]} codes
+         * @returns {string}
+         */
+        const winTrick = (codes) => {
+            game.currentTrick = codes.map((code, i) => ({ playerId: `p${i + 1}`, card: card(code) }));
+            game.trickSuit = card(codes[0]).suitCode;
+            return game.getWinnerOfTrick().card.shortDisplay;
+        };
+
+        assert.equal(winTrick(['AS', '2S', 'LJ', 'BJ']), 'BJ');
+        assert.equal(winTrick(['BJ', 'LJ', '2S', 'AS']), 'BJ');
+        assert.equal(winTrick(['2S', 'AS', 'LJ', 'KS']), 'LJ');
+        assert.equal(winTrick(['AS', 'KS', '2S', 'QS']), '2S');
+        // Off-suit, a joker still trumps the led suit
+        assert.equal(winTrick(['AH', 'KH', 'LJ', '2H']), 'LJ');
+    });
+});
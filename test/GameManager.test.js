@@ -0,0 +1,397 @@
+// test/GameManager.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import GameManager from '../game_logic/GameManager.js';
+import { createRules } from '../game_logic/Rules.js';
+import { getRoundSeed } from '../game_logic/Random.js';
+import { chooseCard, getFallbackBid, lowestCard } from '../game_logic/BotStrategy.js';
+
+/**
+ * Seats players p1..pN (all ready) and starts the game.
+ * @param {object} [options]
+ * @param {number} [options.playerCount=4]
+ * @param {string} [options.preset='standard']
+ * @param {object} [options.rules] - Overrides of the preset's rules.
+ * @param {string} [options.seed]
+ * @returns {GameManager}
+ */
+function startGame({ playerCount = 4, preset = 'standard', rules = {}, seed } = {}) {
+    const game = new GameManager(createRules(preset, rules), seed);
+    for (let i = 1; i <= playerCount; i++) {
+        game.addPlayer({ id: `p${i}`, username: `P${i}` });
+        game.setReady(`p${i}`, true);
+    }
+    assert.deepEqual(game.startGame(), { success: true });
+    return game;
+}
+
+/**
+ * Sets each player's bid and tricks taken for a round about to be scored.
+ * @param {GameManager} game
+ * @param {Object<string, [number, number]>} round - Player ID -> [bid, tricks].
+ */
+function setRound(game, round) {
+    for (const [playerId, [bid, tricks]] of Object.entries(round)) {
+        const player = game.getPlayerById(playerId);
+        player.setBid(bid);
+        player.tricksWon = tricks;
+    }
+}
+
+/**
+ * Has every player bid their lowest legal number bid.
+ * @param {GameManager} game
+ */
+function bidAll(game) {
+    while (game.state === 'BIDDING') {
+        const player = game.getCurrentPlayer();
+        const bid = game.getLegalBids(player).find(b => b > 0);
+        assert.ok(!game.tryPlaceBid(player.discordId, bid).error);
+    }
+}
+
+/**
+ * Plays a legal card for the current player, a spade whenever one is allowed.
+ * @param {GameManager} game
+ */
+function playCard(game) {
+    const player = game.getCurrentPlayer();
+    const legal = player.hand.filter(card => game.validatePlay(player, card) === null);
+    const card = legal.find(c => c.suitCode === 'S') ?? legal[0];
+    assert.ok(!game.tryPlayCard(player.discordId, card.shortDisplay).error);
+}
+
+const getHands = game => game.players.map(p => p.hand.map(card => card.shortDisplay).join(' '));
+
+describe('Seeded deals', () => {
+    it('deals the same hands from the same seed', () => {
+        const first = startGame({ seed: 'abc123' });
+        const second = startGame({ seed: 'abc123' });
+        assert.deepEqual(getHands(first), getHands(second));
+        assert.deepEqual(first.roundSeeds, second.roundSeeds);
+
+        for (const game of [first, second]) game.startRound();
+        assert.deepEqual(getHands(first), getHands(second));
+    });
+
+    it('deals different hands from different seeds', () => {
+        assert.notDeepEqual(getHands(startGame({ seed: 'abc123' })), getHands(startGame({ seed: 'abc124' })));
+    });
+
+    it('derives round seeds that do not give away the game seed', () => {
+        const roundSeed = getRoundSeed('abc123', 1);
+        assert.equal(roundSeed, getRoundSeed('abc123', 1));
+        assert.notEqual(roundSeed, getRoundSeed('abc123', 2));
+        assert.ok(!roundSeed.includes('abc123'));
+    });
+});
+
+describe('Saving and restoring', () => {
+    /**
+     * Rebuilds a game from its saved JSON, as the bot does on startup.
+     * @param {GameManager} game
+     * @returns {GameManager}
+     */
+    const restore = game => GameManager.fromJSON(JSON.parse(JSON.stringify(game)));
+
+    it('restores a game saved mid-trick to the same state', () => {
+        const game = startGame({ seed: 'mid-hand' });
+        bidAll(game);
+        // Play on until spades are broken and a trick is under way
+        while (!game.spadesBroken || game.currentTrick.length === 0) playCard(game);
+
+        const restored = restore(game);
+        assert.ok(restored instanceof GameManager);
+        assert.deepEqual(JSON.parse(JSON.stringify(restored)), JSON.parse(JSON.stringify(game)));
+        assert.deepEqual(getHands(restored), getHands(game));
+        assert.deepEqual(restored.players.map(p => p.bid), game.players.map(p => p.bid));
+        const getTrick = table => table.getTrickCards().map(({ player, card }) => `${player.discordId}:${card.shortDisplay}`);
+        assert.ok(getTrick(game).length > 0);
+        assert.deepEqual(getTrick(restored), getTrick(game));
+        assert.equal(restored.spadesBroken, true);
+        assert.equal(restored.getCurrentRoundSeed(), game.getCurrentRoundSeed());
+        assert.equal(restored.getCurrentPlayer().discordId, game.getCurrentPlayer().discordId);
+    });
+
+    it('plays on and deals the next round as the original would have', () => {
+        const game = startGame({ seed: 'restore' });
+        bidAll(game);
+        playCard(game);
+        const restored = restore(game);
+
+        for (const table of [game, restored]) {
+            while (table.currentRound === 1) {
+                if (table.state === 'BIDDING') bidAll(table);
+                else playCard(table);
+            }
+        }
+        assert.deepEqual(restored.teamScores, game.teamScores);
+        assert.deepEqual(getHands(restored), getHands(game));
+    });
+});
+
+describe('Partnership scoring', () => {
+    it('scores a made contract with bags and a failed Nil', () => {
+        const game = startGame();
+        // Team 1 is p1 and p3; team 2 is p2 and p4
+        setRound(game, { p1: [4, 5], p3: [3, 3], p2: [0, 1], p4: [4, 4] });
+
+        game.scoreTeamRound(1);
+        assert.equal(game.teamScores[1], 70);
+        assert.equal(game.teamBags[1], 1);
+
+        game.scoreTeamRound(2);
+        assert.equal(game.teamScores[2], -60);
+        assert.equal(game.teamBags[2], 0);
+    });
+
+    it('counts a failed Nil\'s tricks as bags under League rules', () => {
+        const game = startGame({ preset: 'league' });
+        setRound(game, { p1: [0, 2], p3: [4, 4] });
+        game.scoreTeamRound(1);
+        assert.equal(game.teamScores[1], -60);
+        assert.equal(game.teamBags[1], 2);
+    });
+
+    it('applies the bag penalty at the bag limit', () => {
+        const game = startGame();
+        game.teamBags[1] = 9;
+        setRound(game, { p1: [3, 5], p3: [3, 3], p2: [3, 3], p4: [2, 2] });
+        game.scoreTeamRound(1);
+        game.scoreTeamRound(2);
+
+        game.calculateAndApplyBags();
+        assert.equal(game.teamBags[1], 1);
+        assert.equal(game.teamScores[1], -40);
+        assert.equal(game.teamScores[2], 50);
+    });
+});
+
+describe('Cutthroat', () => {
+    it('deals 17 cards each to three players, with one card removed', () => {
+        const game = startGame({ playerCount: 3, rules: { mode: 'cutthroat' } });
+        assert.equal(game.tricksPerRound, 17);
+        assert.ok(game.players.every(p => p.hand.length === 17));
+        assert.ok(game.players.every(p => !p.hand.some(card => card.shortDisplay === '2C')));
+        assert.deepEqual(game.getTeamIds(), [1, 2, 3]);
+    });
+
+    it('scores every player\'s contract and bags on their own', () => {
+        const game = startGame({ rules: { mode: 'cutthroat' } });
+        setRound(game, { p1: [3, 5], p2: [4, 3], p3: [0, 0], p4: [5, 5] });
+        for (const teamId of game.getTeamIds()) game.scoreTeamRound(teamId);
+
+        assert.deepEqual(game.teamScores, { 1: 30, 2: -40, 3: 100, 4: 50 });
+        assert.deepEqual(game.teamBags, { 1: 2, 2: 0, 3: 0, 4: 0 });
+    });
+});
+
+describe('Honeymoon', () => {
+    it('drafts a 13-card hand for each player, then opens bidding', () => {
+        const game = startGame({ playerCount: 2, rules: { mode: 'honeymoon' } });
+        assert.equal(game.state, 'DRAFT');
+
+        let keep = true;
+        while (game.state === 'DRAFT') {
+            const result = game.tryDraftDecision(game.getCurrentPlayer().discordId, keep);
+            assert.equal(result.error, null);
+            assert.notEqual(result.kept, result.discarded);
+            keep = !keep;
+        }
+        assert.equal(game.state, 'BIDDING');
+        assert.equal(game.tricksPerRound, 13);
+        assert.ok(game.players.every(p => p.hand.length === 13));
+    });
+
+    it('only lets the player whose turn it is draw', () => {
+        const game = startGame({ playerCount: 2, rules: { mode: 'honeymoon' } });
+        const waiting = game.players.find(p => p !== game.getCurrentPlayer());
+        assert.match(game.tryDraftDecision(waiting.discordId, true).error, /not your turn/);
+    });
+});
+
+describe('Bidding variants', () => {
+    const countSpades = player => player.hand.filter(card => card.suitCode === 'S').length;
+
+    it('forces Mirror bids to the number of spades held', () => {
+        const game = startGame({ rules: { bidding: 'mirror', allowBlindNil: false } });
+        const player = game.getCurrentPlayer();
+        assert.deepEqual(game.getLegalBids(player), [countSpades(player)]);
+        assert.match(game.getBidRestrictionMessage(player, countSpades(player) + 1), /Mirror bidding/);
+    });
+
+    it('offers Whiz bidders their spades or Nil', () => {
+        const game = startGame({ rules: { bidding: 'whiz', allowBlindNil: false } });
+        const player = game.getCurrentPlayer();
+        const spades = countSpades(player);
+        assert.deepEqual(game.getLegalBids(player), spades === 0 ? [0] : [0, spades]);
+    });
+
+    it('makes one Suicide partner bid Nil and the other at least 4', () => {
+        const game = startGame({ rules: { bidding: 'suicide', allowBlindNil: false } });
+        const player = game.getCurrentPlayer();
+        assert.deepEqual(game.getLegalBids(player), [0, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13]);
+
+        const partner = game.getPartner(player);
+        player.setBid(4);
+        assert.deepEqual(game.getLegalBids(partner), [0]);
+        player.setBid(0);
+        assert.ok(game.getLegalBids(partner).every(bid => bid >= 4));
+    });
+});
+
+describe('Turn timeouts', () => {
+    /**
+     * Times out the current player's turn.
+     * @param {GameManager} game
+     * @returns {object} The result of playTimedOutTurn.
+     */
+    const timeOut = (game) => {
+        const result = game.playTimedOutTurn(game.getCurrentPlayer().discordId);
+        assert.ok(result.success);
+        return result;
+    };
+
+    it('marks a player AFK once their timeouts in a row reach afkTimeouts', () => {
+        const game = startGame({ rules: { afkTimeouts: 2 } });
+        const afk = [];
+        game.on('playerAfk', ({ player, timeouts }) => afk.push([player.discordId, timeouts]));
+
+        // Everyone times out through the bidding and the first trick: two turns each
+        for (let turn = 0; turn < 4; turn++) assert.equal(timeOut(game).isAfk, false);
+        assert.equal(game.state, 'PLAYING');
+        for (let turn = 0; turn < 4; turn++) assert.equal(timeOut(game).isAfk, true);
+
+        assert.deepEqual(afk.map(([, timeouts]) => timeouts), [2, 2, 2, 2]);
+        assert.equal(new Set(afk.map(([playerId]) => playerId)).size, 4);
+        assert.ok(game.players.every(p => p.isAfk && p.timeouts === 2));
+    });
+
+    it('starts the count again when the player acts for themselves', () => {
+        const game = startGame({ rules: { afkTimeouts: 2 } });
+        const player = game.getCurrentPlayer();
+        timeOut(game);
+        assert.equal(player.timeouts, 1);
+
+        bidAll(game);
+        while (game.getCurrentPlayer() !== player) playCard(game);
+        playCard(game);
+        assert.equal(player.timeouts, 0);
+        assert.equal(player.isAfk, false);
+    });
+
+    it('plays the lowest legal card under the lowest rule', () => {
+        const game = startGame({ seed: 't2', rules: { timeoutPlay: 'lowest' } });
+        bidAll(game);
+        playCard(game);
+        const player = game.getCurrentPlayer();
+        const view = game.getPlayerView(player.discordId);
+        const expected = lowestCard(view.legalCards);
+        // This deal was picked so the two rules disagree
+        assert.notEqual(expected, chooseCard(view));
+
+        timeOut(game);
+        assert.equal(game.getTrickCards().at(-1).card, expected);
+    });
+
+    it('plays the computer player\'s move under the ai rule', () => {
+        const game = startGame({ seed: 't2', rules: { timeoutPlay: 'ai' } });
+        bidAll(game);
+        playCard(game);
+        const player = game.getCurrentPlayer();
+        const expected = chooseCard(game.getPlayerView(player.discordId));
+
+        timeOut(game);
+        assert.equal(game.getTrickCards().at(-1).card.shortDisplay, expected.shortDisplay);
+    });
+
+    it('bids the lowest number bid, not Nil, when the advised bid is not legal', () => {
+        assert.equal(getFallbackBid([0, 4, 5, 6]), 4);
+        assert.equal(getFallbackBid([0]), 0);
+    });
+});
+
+describe('Leaving and taking over seats', () => {
+    it('keeps an open seat\'s hand, bid and tricks across a take-over and a rejoin', () => {
+        const game = startGame({ seed: 'seats' });
+        bidAll(game);
+        while (game.getCurrentPlayer().discordId !== 'p2') playCard(game);
+        playCard(game);
+        const seat = game.getPlayerById('p2');
+        seat.tricksWon = 2;
+        const snapshot = () => ({
+            hand: seat.hand.map(card => card.shortDisplay),
+            bid: seat.bid,
+            tricksWon: seat.tricksWon,
+            team: seat.team,
+            inTrick: game.currentTrick.some(entry => entry.playerId === seat.discordId)
+        });
+        const before = snapshot();
+        assert.equal(before.inTrick, true);
+
+        assert.deepEqual(game.leaveGame('p2'), { success: true, abandoned: false, newOwner: null });
+        assert.equal(seat.isOpenSeat, true);
+        assert.equal(game.getPlayerById('p2'), undefined);
+        assert.deepEqual(snapshot(), before);
+
+        assert.ok(game.takeSeat(seat.discordId, { id: 'p5', username: 'P5' }).success);
+        assert.equal(seat.discordId, 'p5');
+        assert.equal(seat.isOpenSeat, false);
+        assert.deepEqual(snapshot(), before);
+
+        assert.ok(game.rejoinGame({ id: 'p2', username: 'P2' }).success);
+        assert.equal(seat.discordId, 'p2');
+        assert.deepEqual(snapshot(), before);
+    });
+
+    it('only lets the player who left reclaim their seat', () => {
+        const game = startGame();
+        game.leaveGame('p3');
+        const openSeat = game.players.find(p => p.isOpenSeat);
+        assert.match(game.takeSeat(openSeat.discordId, { id: 'p3', username: 'P3' }).error, /rejoin/);
+        assert.ok(game.rejoinGame({ id: 'p5', username: 'P5' }).error);
+    });
+
+    it('hands a departing owner\'s lobby to the next person in it', () => {
+        const game = new GameManager(createRules('standard'));
+        game.ownerId = 'p1';
+        game.addPlayer({ id: 'p1', username: 'P1' });
+        game.addPlayer({ id: 'p2', username: 'P2' });
+
+        const result = game.leaveGame('p1');
+        assert.equal(result.newOwner.discordId, 'p2');
+        assert.equal(game.ownerId, 'p2');
+    });
+
+    it('abandons a game once nobody is left at the table', () => {
+        const game = startGame();
+        for (const playerId of ['p1', 'p2', 'p3']) assert.equal(game.leaveGame(playerId).abandoned, false);
+        assert.equal(game.leaveGame('p4').abandoned, true);
+        assert.equal(game.state, 'GAME_OVER');
+    });
+});
+
+describe('Lobby seats', () => {
+    it('keeps everyone out of their seats while the owner has them locked', () => {
+        const game = new GameManager(createRules('standard'));
+        game.addPlayer({ id: 'p1', username: 'P1' });
+        assert.ok(game.setSeatsLocked(true).success);
+
+        assert.match(game.addPlayer({ id: 'p2', username: 'P2' }).error, /locked/);
+        assert.match(game.randomizeSeats().error, /locked/);
+
+        game.setSeatsLocked(false);
+        assert.ok(game.addPlayer({ id: 'p2', username: 'P2' }).success);
+        assert.ok(game.randomizeSeats().success);
+    });
+
+    it('waits for every player to be ready before dealing', () => {
+        const game = new GameManager(createRules('standard'));
+        for (let i = 1; i <= 4; i++) game.addPlayer({ id: `p${i}`, username: `P${i}` });
+        for (let i = 1; i <= 3; i++) game.setReady(`p${i}`, true);
+        assert.ok(game.startGame().error);
+
+        game.setReady('p4', true);
+        assert.deepEqual(game.startGame(), { success: true });
+    });
+});
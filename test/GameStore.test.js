@@ -0,0 +1,43 @@
+// test/GameStore.test.js
+import { after, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readdir, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import GameManager from '../game_logic/GameManager.js';
+import { createRules } from '../game_logic/Rules.js';
+
+// The store reads its directory when it is loaded, so point it at a scratch directory first
+const dataDir = await mkdtemp(path.join(tmpdir(), 'spades-'));
+process.env.SPADES_DATA_DIR = dataDir;
+const { saveGame, loadGames } = await import('../storage/GameStore.js');
+
+after(() => rm(dataDir, { recursive: true, force: true }));
+
+describe('GameStore', () => {
+    it('loads a saved game back in the same round and turn', async () => {
+        const game = new GameManager(createRules('standard'), 'stored');
+        game.channelId = 'channel-1';
+        for (let i = 1; i <= 4; i++) {
+            game.addPlayer({ id: `p${i}`, username: `P${i}` });
+            game.setReady(`p${i}`, true);
+        }
+        game.startGame();
+        const player = game.getCurrentPlayer();
+        game.tryPlaceBid(player.discordId, 3);
+
+        await saveGame(game);
+        const [loaded] = await loadGames();
+        assert.equal(loaded.channelId, 'channel-1');
+        assert.equal(loaded.getPlayerById(player.discordId).bid, 3);
+        assert.equal(loaded.getCurrentPlayer().discordId, game.getCurrentPlayer().discordId);
+        assert.deepEqual(JSON.parse(JSON.stringify(loaded)), JSON.parse(JSON.stringify(game)));
+    });
+
+    it('removes a game\'s file once it is over', async () => {
+        const [game] = await loadGames();
+        game.state = 'GAME_OVER';
+        await saveGame(game);
+        assert.deepEqual(await readdir(path.join(dataDir, 'games')), []);
+    });
+});
@@ -0,0 +1,85 @@
+// test/RatingStore.test.js
+import { after, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import GameManager from '../game_logic/GameManager.js';
+import { createRules } from '../game_logic/Rules.js';
+
+// The store reads its directory when it is loaded, so point it at a scratch directory first
+const dataDir = await mkdtemp(path.join(tmpdir(), 'spades-'));
+process.env.SPADES_DATA_DIR = dataDir;
+const { recordResult, getResults } = await import('../storage/RatingStore.js');
+
+after(() => rm(dataDir, { recursive: true, force: true }));
+
+/**
+ * Starts a game for p1..p4, short by default, with the given seats played by the computer.
+ * @param {object} [options]
+ * @param {number[]} [options.botSeats=[]] - 1-based seats to fill with bots.
+ * @param {number} [options.targetScore=10]
+ * @returns {GameManager}
+ */
+function startGame({ botSeats = [], targetScore = 10 } = {}) {
+    const game = new GameManager(createRules('standard', { targetScore }), 'ratings');
+    for (let i = 1; i <= 4; i++) {
+        const isBot = botSeats.includes(i);
+        game.addPlayer({ id: `p${i}`, username: `P${i}`, isBot, botDifficulty: isBot ? 'easy' : undefined });
+        game.setReady(`p${i}`, true);
+    }
+    game.startGame();
+    return game;
+}
+
+/**
+ * Bids and plays every turn until the round in progress is scored.
+ * @param {GameManager} game
+ */
+function playRound(game) {
+    const round = game.currentRound;
+    while (game.currentRound === round && game.state !== 'GAME_OVER') {
+        const player = game.getCurrentPlayer();
+        if (game.state === 'BIDDING') {
+            // A side far enough behind is offered Blind Nil before seeing its cards
+            if (!player.hasSeenHand) game.revealHand(player.discordId);
+            assert.ok(!game.tryPlaceBid(player.discordId, game.getLegalBids(player).find(bid => bid > 0)).error);
+        } else {
+            assert.ok(!game.tryPlayCard(player.discordId, game.getLegalCards(player)[0].shortDisplay).error);
+        }
+    }
+}
+
+/**
+ * Plays a game to the end and records its result.
+ * @param {GameManager} game
+ * @returns {Promise<object>} The recorded result.
+ */
+async function finishAndRecord(game) {
+    while (game.state !== 'GAME_OVER') playRound(game);
+    await recordResult(game.history, 'guild');
+    return getResults().find(result => result.id === game.history.id);
+}
+
+describe('RatingStore', () => {
+    it('rates a finished game between people', async () => {
+        const result = await finishAndRecord(startGame());
+        assert.equal(result.rated, true);
+        assert.equal(result.guildId, 'guild');
+        assert.equal(result.players.length, 4);
+    });
+
+    it('keeps a game with a computer player unrated', async () => {
+        const result = await finishAndRecord(startGame({ botSeats: [2] }));
+        assert.equal(result.rated, false);
+    });
+
+    it('keeps an abandoned game unrated', async () => {
+        const game = startGame({ targetScore: 500 });
+        playRound(game);
+        for (const playerId of ['p1', 'p2', 'p3', 'p4']) game.leaveGame(playerId);
+        const result = await finishAndRecord(game);
+        assert.ok(game.history.result.abandoned);
+        assert.equal(result.rated, false);
+    });
+});
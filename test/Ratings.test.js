@@ -0,0 +1,70 @@
+// test/Ratings.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { INITIAL_RATING, expectedScore, rateResults, getLeaderboard } from '../game_logic/Ratings.js';
+
+let gameNumber = 0;
+
+/**
+ * Builds a rated partnership result: p1 & p3 (team 1) against p2 & p4 (team 2).
+ * @param {number} winningTeam
+ * @param {object} [extra] - Fields to override, e.g. rated.
+ * @returns {object}
+ */
+function partnershipResult(winningTeam, extra = {}) {
+    gameNumber++;
+    return {
+        id: `game-${gameNumber}`,
+        endedAt: new Date(Date.UTC(2026, 0, 1, 0, gameNumber)).toISOString(),
+        players: ['p1', 'p2', 'p3', 'p4'].map((id, seat) => ({ id, username: id.toUpperCase(), team: (seat % 2) + 1 })),
+        scores: winningTeam === 1 ? { 1: 500, 2: 300 } : { 1: 300, 2: 500 },
+        winningTeam,
+        rated: true,
+        ...extra
+    };
+}
+
+describe('Ratings', () => {
+    it('moves new players by the provisional K of 40', () => {
+        const ratings = rateResults([partnershipResult(1)]);
+        for (const id of ['p1', 'p3']) assert.equal(ratings.get(id).rating, INITIAL_RATING + 20);
+        for (const id of ['p2', 'p4']) assert.equal(ratings.get(id).rating, INITIAL_RATING - 20);
+        assert.equal(ratings.get('p1').wins, 1);
+        assert.equal(ratings.get('p2').wins, 0);
+    });
+
+    it('moves players by the established K of 20 after ten games', () => {
+        const results = Array.from({ length: 11 }, (_, i) => partnershipResult(i % 2 === 0 ? 1 : 2));
+        // Works out the K applied to p1 in the nth game from their rating before and after it
+        const getK = (n) => {
+            const before = rateResults(results.slice(0, n - 1));
+            const rating = before.get('p1')?.rating ?? INITIAL_RATING;
+            const expected = expectedScore(rating, before.get('p2')?.rating ?? INITIAL_RATING);
+            const actual = results[n - 1].winningTeam === 1 ? 1 : 0;
+            return (rateResults(results.slice(0, n)).get('p1').rating - rating) / (actual - expected);
+        };
+
+        assert.ok(Math.abs(getK(10) - 40) < 1e-9);
+        assert.ok(Math.abs(getK(11) - 20) < 1e-9);
+        assert.equal(rateResults(results).get('p1').games, 11);
+    });
+
+    it('skips unrated results', () => {
+        const ratings = rateResults([partnershipResult(1, { rated: false })]);
+        assert.equal(ratings.size, 0);
+    });
+
+    it('rates every Cutthroat player against every other', () => {
+        const result = {
+            id: 'cutthroat',
+            endedAt: '2026-01-01T00:00:00.000Z',
+            players: [{ id: 'a', username: 'A', team: 1 }, { id: 'b', username: 'B', team: 2 }, { id: 'c', username: 'C', team: 3 }],
+            scores: { 1: 300, 2: 200, 3: 100 },
+            winningTeam: 1,
+            rated: true
+        };
+        const leaderboard = getLeaderboard([result]);
+        assert.deepEqual(leaderboard.map(entry => entry.playerId), ['a', 'b', 'c']);
+        assert.deepEqual(leaderboard.map(entry => entry.rating), [INITIAL_RATING + 20, INITIAL_RATING, INITIAL_RATING - 20]);
+    });
+});
@@ -0,0 +1,191 @@
+// test/Tournament.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import Tournament from '../game_logic/Tournament.js';
+import { createRandom } from '../game_logic/Random.js';
+
+/**
+ * Creates a started tournament with teams #1..#teamCount, drawn from a fixed seed.
+ * @param {string} format
+ * @param {number} teamCount
+ * @returns {Tournament}
+ */
+function createTournament(format, teamCount) {
+    const tournament = new Tournament({ channelId: 'channel', guildId: 'guild', ownerId: 'owner', name: 'Test', format });
+    for (let i = 1; i <= teamCount; i++) {
+        tournament.registerTeam([{ id: `a${i}`, username: `A${i}` }, { id: `b${i}`, username: `B${i}` }]);
+    }
+    assert.deepEqual(tournament.start(createRandom('draw')), { success: true });
+    return tournament;
+}
+
+/**
+ * Plays every match as soon as it can be opened, until the tournament finishes.
+ * @param {Tournament} tournament
+ * @param {function(object): number} pickWinner - Returns the winning team ID of a match.
+ * @returns {object[]} The matches played, in order.
+ */
+function playOut(tournament, pickWinner) {
+    const played = [];
+    while (tournament.state === 'RUNNING') {
+        const openable = tournament.getOpenableMatches();
+        assert.ok(openable.length > 0, 'a running tournament always has a match to play');
+
+        const teamIds = openable.flatMap(match => match.slots.map(slot => slot.teamId));
+        assert.equal(new Set(teamIds).size, teamIds.length, 'no team is at two tables at once');
+
+        for (const match of openable) {
+            assert.deepEqual(tournament.startMatch(match.id, `table-${match.id}`), { success: true });
+        }
+        for (const match of openable) {
+            const [teamA, teamB] = match.slots.map(slot => slot.teamId);
+            const winnerId = pickWinner(match);
+            const scores = { [teamA]: winnerId === teamA ? 500 : 250, [teamB]: winnerId === teamB ? 500 : 250 };
+            const result = tournament.recordResult(match.id, winnerId, scores);
+            assert.ok(result.success);
+            played.push(match);
+        }
+    }
+    return played;
+}
+
+// The lower team ID always wins
+const favourite = match => Math.min(...match.slots.map(slot => slot.teamId));
+
+describe('Tournament registration', () => {
+    it('rejects a player registering twice and withdraws a team', () => {
+        const tournament = new Tournament({ name: 'Test', format: 'single' });
+        assert.ok(tournament.registerTeam([{ id: 'a', username: 'Ann' }, { id: 'b', username: 'Bo' }]).success);
+        assert.match(tournament.registerTeam([{ id: 'c', username: 'Cy' }, { id: 'b', username: 'Bo' }]).error, /already registered/);
+        assert.equal(tournament.teams[0].name, 'Ann & Bo');
+
+        assert.ok(tournament.withdrawTeam('b').success);
+        assert.equal(tournament.teams.length, 0);
+    });
+
+    it('needs two teams to start', () => {
+        const tournament = new Tournament({ name: 'Test', format: 'roundrobin' });
+        tournament.registerTeam([{ id: 'a', username: 'Ann' }, { id: 'b', username: 'Bo' }]);
+        assert.ok(tournament.start().error);
+        assert.equal(tournament.state, 'REGISTRATION');
+    });
+});
+
+describe('Round robin', () => {
+    for (const teamCount of [2, 3, 4, 5, 8]) {
+        it(`plays every pair of ${teamCount} teams once`, () => {
+            const tournament = createTournament('roundrobin', teamCount);
+            const played = playOut(tournament, favourite);
+
+            const pairs = played.map(match => match.slots.map(slot => slot.teamId).sort((a, b) => a - b).join('-'));
+            assert.equal(played.length, (teamCount * (teamCount - 1)) / 2);
+            assert.equal(new Set(pairs).size, played.length);
+            assert.equal(tournament.state, 'FINISHED');
+            assert.equal(tournament.championId, 1);
+
+            const standings = tournament.getStandings();
+            assert.deepEqual(standings.map(row => row.team.id), Array.from({ length: teamCount }, (_, i) => i + 1));
+            assert.equal(standings[0].pointDiff, 250 * (teamCount - 1));
+        });
+    }
+});
+
+describe('Single elimination', () => {
+    it('gives the byes to the top seeds and plays one match fewer than there are teams', () => {
+        for (const teamCount of [2, 3, 5, 6, 7, 8, 11, 16]) {
+            const tournament = createTournament('single', teamCount);
+            const byes = tournament.matches.filter(match => match.isBye);
+            const fieldSize = 2 ** Math.ceil(Math.log2(teamCount));
+            assert.equal(byes.length, fieldSize - teamCount);
+            // Two byes never meet, so every bye advances a team
+            assert.ok(byes.every(match => match.winnerId !== null));
+
+            const played = playOut(tournament, favourite);
+            assert.equal(played.length, teamCount - 1);
+            assert.equal(tournament.championId, 1);
+        }
+    });
+
+    it('eliminates a team after one loss', () => {
+        const tournament = createTournament('single', 4);
+        playOut(tournament, favourite);
+        const standings = tournament.getStandings();
+        assert.equal(standings[0].team.id, tournament.championId);
+        assert.ok(standings.slice(1).every(row => row.eliminated && row.losses === 1));
+    });
+
+    it('rejects a result for a team not in the match', () => {
+        const tournament = createTournament('single', 4);
+        const [match] = tournament.getOpenableMatches();
+        const outsider = tournament.teams.find(team => !match.slots.some(slot => slot.teamId === team.id));
+        assert.ok(tournament.recordResult(match.id, outsider.id).error);
+    });
+});
+
+describe('Double elimination', () => {
+    for (const teamCount of [2, 3, 4, 5, 6, 8, 11]) {
+        it(`knocks out every team but the champion after two losses (${teamCount} teams)`, () => {
+            const tournament = createTournament('double', teamCount);
+            const coin = createRandom(`coin-${teamCount}`);
+            playOut(tournament, match => match.slots[coin() < 0.5 ? 0 : 1].teamId);
+
+            const standings = tournament.getStandings();
+            assert.equal(standings[0].team.id, tournament.championId);
+            assert.ok(standings[0].losses <= 1);
+            assert.ok(standings.slice(1).every(row => row.losses === 2 && row.eliminated));
+        });
+    }
+
+    it('drops losers of the winners bracket into the losers bracket', () => {
+        const tournament = createTournament('double', 4);
+        const [first] = tournament.getOpenableMatches();
+        tournament.startMatch(first.id, 'table');
+        tournament.recordResult(first.id, first.slots[0].teamId);
+
+        const losersMatch = tournament.matches.find(match => match.bracket === 'L' && match.round === 1);
+        assert.ok(losersMatch.slots.some(slot => slot.teamId === first.loserId));
+    });
+
+    it('adds a reset final only when the losers bracket team wins the grand final', () => {
+        const unbeaten = createTournament('double', 4);
+        playOut(unbeaten, favourite);
+        assert.equal(unbeaten.matches.filter(match => match.bracket === 'F').length, 1);
+
+        // The winners bracket champion loses the first grand final, then wins the reset
+        const reset = createTournament('double', 4);
+        playOut(reset, match => {
+            if (match.bracket !== 'F') return favourite(match);
+            return match.round === 1 ? match.slots[1].teamId : match.slots[0].teamId;
+        });
+        const finals = reset.matches.filter(match => match.bracket === 'F');
+        assert.equal(finals.length, 2);
+        assert.equal(reset.championId, finals[1].winnerId);
+        assert.equal(reset.getTeam(reset.championId).id, finals[0].slots[0].teamId);
+    });
+});
+
+describe('Saving and reopening matches', () => {
+    it('picks up where it left off after a save', () => {
+        const tournament = createTournament('double', 5);
+        const [match] = tournament.getOpenableMatches();
+        tournament.startMatch(match.id, 'table');
+
+        const restored = Tournament.fromJSON(JSON.parse(JSON.stringify(tournament)));
+        assert.ok(restored instanceof Tournament);
+        assert.equal(restored.getMatchAtTable('table').id, match.id);
+        assert.ok(restored.recordResult(match.id, favourite(match)).success);
+        playOut(restored, favourite);
+        assert.equal(restored.state, 'FINISHED');
+    });
+
+    it('puts an abandoned match back to be opened again', () => {
+        const tournament = createTournament('single', 2);
+        const [match] = tournament.getOpenableMatches();
+        tournament.startMatch(match.id, 'table');
+        assert.equal(tournament.getOpenableMatches().length, 0);
+
+        assert.ok(tournament.reopenMatch(match.id).success);
+        assert.equal(tournament.getOpenableMatches()[0].id, match.id);
+        assert.equal(tournament.getMatchAtTable('table'), undefined);
+    });
+});